@@ -1,8 +1,24 @@
 // Background service worker for Albert Course Planner
 
-import { initializeStorage } from "./course-storage.js";
+import {
+	clearCourses,
+	createDailySnapshot,
+	getActiveTerm,
+	getCourses,
+	initializeStorage,
+	mergeFetchedCourses,
+	registerTerm,
+	saveCourse,
+	saveSearchResults,
+	setActiveTerm,
+} from "./course-storage.js";
+import { isSyncedChange, syncNow } from "./storage-sync.js";
+import { sectionToCourse } from "./utils/section-utils.js";
+import { isValidTermCode } from "./utils/term-utils.js";
 
 const PANEL_PATH = "src/popup.html?mode=sidepanel";
+const SNAPSHOT_ALARM = "daily-snapshot";
+const SYNC_DELAY_MS = 3000;
 const WEEKLY_VIEW_PATH = "src/weekly-view.html";
 const ALLOWED_SIDE_PANEL_HOSTS = ["sis.portal.nyu.edu", "sis.nyu.edu"];
 const hasSidePanelApi = Boolean(chrome.sidePanel);
@@ -43,6 +59,8 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 	try {
 		await initializeStorage();
 		await setupContextMenus();
+		await scheduleSnapshots();
+		await runSync();
 	} catch (error) {
 		console.error("[Albert Enhancer] Install initialization failed:", error);
 	}
@@ -69,11 +87,55 @@ chrome.runtime.onStartup.addListener(async () => {
 	try {
 		await initializeStorage();
 		await setupContextMenus();
+		await scheduleSnapshots();
+		await runSync();
 	} catch (error) {
 		console.error("[Albert Enhancer] Startup initialization failed:", error);
 	}
 });
 
+// ============ Restore Points ============
+
+// Checked hourly; createDailySnapshot only saves when the newest is a day old
+async function scheduleSnapshots() {
+	await chrome.alarms.create(SNAPSHOT_ALARM, { periodInMinutes: 60 });
+	await createDailySnapshot();
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+	if (alarm.name !== SNAPSHOT_ALARM) return;
+	try {
+		await createDailySnapshot();
+	} catch (error) {
+		console.error("[Albert Enhancer] Daily snapshot failed:", error);
+	}
+});
+
+// ============ Device Sync ============
+
+let syncTimer = null;
+
+async function runSync(options) {
+	const result = await syncNow(options);
+	if (result !== "disabled" && result !== "unchanged") {
+		console.log("[Albert Enhancer] Sync:", result);
+	}
+	return result;
+}
+
+// Local edits come in bursts (drag, then save), so push once they settle;
+// a new remote copy is pulled right away
+chrome.storage.onChanged.addListener((changes, namespace) => {
+	if (!isSyncedChange(changes, namespace)) return;
+	clearTimeout(syncTimer);
+	syncTimer = setTimeout(
+		() => {
+			runSync().catch(() => {});
+		},
+		namespace === "sync" ? 0 : SYNC_DELAY_MS,
+	);
+});
+
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 	if (!message || typeof message.type !== "string") {
@@ -85,14 +147,50 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 	switch (message.type) {
 		case "COURSES_PARSED":
 			// Content script parsed the shopping cart - save to storage
-			handleCoursesParsed(message.courses, sender.tab).catch((error) => {
-				console.error(
-					"[Albert Enhancer] Failed to persist parsed courses:",
-					error,
-				);
-			});
+			handleCoursesParsed(message.courses, sender.tab, message.term).catch(
+				(error) => {
+					console.error(
+						"[Albert Enhancer] Failed to persist parsed courses:",
+						error,
+					);
+				},
+			);
+			break;
+
+		case "SEARCH_RESULTS_PARSED":
+			// Content script scraped class search results - cache sections
+			handleSearchResultsParsed(message.sections, message.term).catch(
+				(error) => {
+					console.error(
+						"[Albert Enhancer] Failed to cache search results:",
+						error,
+					);
+				},
+			);
 			break;
 
+		case "TERM_DETECTED":
+			// Content script found a term code on an Albert page
+			if (isValidTermCode(message.term)) {
+				registerTerm(message.term).catch((error) => {
+					console.error("[Albert Enhancer] Failed to register term:", error);
+				});
+			}
+			break;
+
+		case "ADD_SECTION_TO_PLANNER":
+			// "+ planner" button on a search row - save without touching the cart
+			handleAddSectionToPlanner(message.section, message.bucketId, message.term)
+				.then((courseId) => sendResponse({ ok: true, courseId }))
+				.catch((error) => {
+					console.error(
+						"[Albert Enhancer] Failed to add section to planner:",
+						error,
+					);
+					sendResponse({ ok: false, error: error.message });
+				});
+			return true; // Keep channel open for async response
+
 		case "OPEN_PLANNER":
 			openPlannerPage().catch((error) => {
 				console.error("[Albert Enhancer] Failed to open planner page:", error);
@@ -123,6 +221,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 				});
 			return true; // Keep channel open for async response
 
+		case "SYNC_NOW":
+			// Settings "sync now" or a conflict choice from an extension page
+			runSync({ resolve: message.resolve })
+				.then((result) => sendResponse({ ok: true, result }))
+				.catch((error) => sendResponse({ ok: false, error: error.message }));
+			return true; // Keep channel open for async response
+
 		default:
 			console.log("[Albert Enhancer] Unknown message type:", message.type);
 	}
@@ -160,7 +265,19 @@ if (hasSidePanelApi) {
 
 // ============ Message Handlers ============
 
-async function handleCoursesParsed(courses, tab) {
+/**
+ * Make the term a page's data belongs to the planned term, so scraped
+ * courses never land in another semester's plan
+ */
+async function switchToPageTerm(term) {
+	if (!isValidTermCode(term)) return;
+	if (term !== (await getActiveTerm())) {
+		await setActiveTerm(term);
+		console.log("[Albert Enhancer] Switched planned term to", term);
+	}
+}
+
+async function handleCoursesParsed(courses, tab, term) {
 	if (!Array.isArray(courses)) {
 		throw new Error("Parsed courses payload must be an array");
 	}
@@ -170,12 +287,15 @@ async function handleCoursesParsed(courses, tab) {
 		throw new Error("Parsed courses payload contains invalid course objects");
 	}
 
-	// Save parsed courses to storage
-	await chrome.storage.local.set({ courses: filteredCourses });
+	await switchToPageTerm(term);
+
+	// Merge parsed courses into storage, keeping buckets and notes
+	const diff = await mergeFetchedCourses(filteredCourses);
 	console.log(
-		"[Albert Enhancer] Saved",
+		"[Albert Enhancer] Merged",
 		filteredCourses.length,
-		"courses to storage",
+		"cart courses:",
+		`${diff.added.length} added, ${diff.removed.length} dropped, ${diff.changed.length} changed`,
 	);
 
 	// Update badge with course count
@@ -196,9 +316,51 @@ async function handleCoursesParsed(courses, tab) {
 	}
 }
 
+async function handleSearchResultsParsed(sections, term) {
+	if (!Array.isArray(sections)) {
+		throw new Error("Search results payload must be an array");
+	}
+
+	// Cache under the page's term without switching the planned term
+	const total = await saveSearchResults(
+		sections,
+		isValidTermCode(term) ? term : null,
+	);
+	console.log(
+		"[Albert Enhancer] Cached",
+		sections.length,
+		"search sections (" + total + " for term)",
+	);
+}
+
+async function handleAddSectionToPlanner(section, bucketId, term) {
+	if (
+		!section ||
+		!isNonEmptyString(section.id) ||
+		!isNonEmptyString(section.courseCode) ||
+		!isNonEmptyString(section.section)
+	) {
+		throw new Error("Section payload is missing id, course code or section");
+	}
+
+	await switchToPageTerm(term);
+	const bucket = isNonEmptyString(bucketId) ? bucketId : null;
+	const existing = (await getCourses()).find(
+		(c) =>
+			c.id === section.id ||
+			Boolean(section.classNumber && c.classNumber === section.classNumber),
+	);
+	// Keep cart data for sections already stored; only move them between buckets
+	const course = existing
+		? { ...existing, bucket }
+		: { ...sectionToCourse(section), bucket };
+	await saveCourse(course);
+	console.log("[Albert Enhancer] Added search section", course.id);
+	return course.id;
+}
+
 async function handleGetCourses() {
-	const result = await chrome.storage.local.get("courses");
-	return result.courses || [];
+	return getCourses();
 }
 
 async function openPlannerPage() {
@@ -311,7 +473,7 @@ chrome.contextMenus.onClicked.addListener(async (info) => {
 			break;
 
 		case "clear-courses":
-			await chrome.storage.local.set({ courses: [], plannerSelection: [] });
+			await clearCourses();
 			await chrome.action.setBadgeText({ text: "" });
 			console.log("[Albert Enhancer] All courses cleared");
 			break;
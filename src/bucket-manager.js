@@ -3,6 +3,7 @@
 import {
 	assignCourseToBucket,
 } from "./course-storage.js";
+import { getComponentMeetings } from "./utils/calendar-utils.js";
 import { formatTime } from "./utils/time-parser.js";
 
 /**
@@ -50,10 +51,12 @@ function createBucketElement(bucket, courses, options = {}) {
 	const header = document.createElement("div");
 	header.className = "bucket-header";
 	header.innerHTML = `
-    <span class="bucket-color" style="background-color: ${bucket.color}"></span>
-    <span class="bucket-name">${bucket.name}</span>
+    <span class="bucket-color"></span>
+    <span class="bucket-name"></span>
     <span class="bucket-count">(${courses.length})</span>
   `;
+	header.querySelector(".bucket-color").style.backgroundColor = bucket.color;
+	header.querySelector(".bucket-name").textContent = bucket.name;
 	div.appendChild(header);
 
 	const list = document.createElement("div");
@@ -87,7 +90,7 @@ function isCourseOnline(course) {
 }
 
 function createCourseElement(course, options = {}) {
-	const { onEditCourse } = options;
+	const { onEditCourse, showWeekends = false } = options;
 	const div = document.createElement("div");
 	div.className = "course-item";
 	div.draggable = true;
@@ -97,16 +100,21 @@ function createCourseElement(course, options = {}) {
 	const hasRecitation = courseHasRecitation(course);
 	const isOnline = isCourseOnline(course);
 	const timeLabel = formatLectureTime(lectureComponent);
-	const dayDots = renderDayDots(lectureComponent);
+	const dayDots = renderDayDots(lectureComponent, showWeekends);
 	const creditsLabel = Number.isFinite(course.credits)
 		? course.credits
 		: lectureComponent?.credits ?? "-";
 
 	div.innerHTML = `
 		<div class="course-card-header">
-			<div class="course-code">${course.courseCode}</div>
+			<div class="course-code"></div>
 			<div class="course-card-actions">
 				${isOnline ? '<span class="course-badge course-badge-online">Online</span>' : ""}
+				${
+					course.droppedFromCart
+						? '<span class="course-badge course-badge-dropped" title="No longer in your Albert shopping cart">Dropped</span>'
+						: ""
+				}
 				${
 					hasRecitation
 						? '<span class="course-badge course-badge-recitation">R</span>'
@@ -115,7 +123,7 @@ function createCourseElement(course, options = {}) {
 				<button type="button" class="course-card-edit" aria-label="Edit course metadata" title="Edit course metadata">✏️</button>
 			</div>
 		</div>
-		<div class="course-title" title="${course.title}">${course.title}</div>
+		<div class="course-title"></div>
 		<div class="course-time">${timeLabel}</div>
 		<div class="course-footer">
 			<div class="course-day-dots">${dayDots}</div>
@@ -123,6 +131,12 @@ function createCourseElement(course, options = {}) {
 		</div>
 	`;
 
+	// Course text can come from backups and shared plans, so it's never HTML
+	div.querySelector(".course-code").textContent = course.courseCode;
+	const titleEl = div.querySelector(".course-title");
+	titleEl.textContent = course.title;
+	titleEl.title = course.title;
+
 	div.addEventListener("dragstart", handleDragStart);
 	div.addEventListener("dragend", handleDragEnd);
 
@@ -144,6 +158,9 @@ const DAY_DOT_ORDER = [
 	{ label: "T", day: "Tue" },
 	{ label: "W", day: "Wed" },
 	{ label: "R", day: "Thu" },
+	{ label: "F", day: "Fri" },
+	{ label: "S", day: "Sat", weekend: true },
+	{ label: "U", day: "Sun", weekend: true },
 ];
 
 function getLectureComponent(course) {
@@ -169,14 +186,24 @@ function formatLectureTime(component) {
 		return "Time TBA";
 	}
 
-	const start = formatTime(component.timeRange.start);
-	const end = formatTime(component.timeRange.end);
-	return `${start} - ${end}`;
+	const times = getComponentMeetings(component)
+		.filter((meeting) => meeting.timeRange)
+		.map(
+			(meeting) =>
+				`${formatTime(meeting.timeRange.start)} - ${formatTime(meeting.timeRange.end)}`,
+		);
+	return Array.from(new Set(times)).join(", ");
 }
 
-function renderDayDots(component) {
-	const lectureDays = component?.days || [];
-	return DAY_DOT_ORDER.map(({ label, day }) => {
+function renderDayDots(component, showWeekends = false) {
+	const lectureDays = component
+		? getComponentMeetings(component).flatMap((meeting) => meeting.days)
+		: [];
+	// Weekend dots only when enabled in settings or the class meets then
+	const dots = DAY_DOT_ORDER.filter(
+		({ day, weekend }) => !weekend || showWeekends || lectureDays.includes(day),
+	);
+	return dots.map(({ label, day }) => {
 		const isActive = lectureDays.includes(day);
 		return `<span class="day-dot${isActive ? " active" : ""}">${label}</span>`;
 	}).join("");
@@ -80,6 +80,12 @@
 						for (const k of Object.keys(storage)) delete storage[k];
 						resolve();
 					}),
+				remove: (keys) =>
+					new Promise((resolve) => {
+						const storage = window.parent.__sharedStorage;
+						for (const k of Array.isArray(keys) ? keys : [keys]) delete storage[k];
+						resolve();
+					}),
 			},
 			onChanged: {
 				addListener: (cb) => localListeners.push(cb),
@@ -32,14 +32,73 @@ const SELECTORS = {
 	CART_ROW: "tr.ps_grid-row",
 	// Inside each row, the layout container
 	LAYOUT: "div.ps_box-group.psc_layout",
+	// Class search results grids (one per course in the results list)
+	SEARCH_TABLE: "table.ps_grid-flex",
+	SEARCH_HEADER_CELL: "thead th, tr.ps_grid-head th",
+	SEARCH_ROW: "tr.ps_grid-row",
 };
 
+// Search result columns are located by header text since Albert's
+// generated ids differ between the search and cart pages
+const SEARCH_COLUMN_PATTERNS = {
+	classNumber: /class\s*(nbr|number|#)/i,
+	section: /^section|^class$/i,
+	component: /component|^type$/i,
+	meetingDates: /meeting\s*dates|start\s*\/\s*end|^dates$/i,
+	daysTimes: /days|meeting|times?$/i,
+	room: /room|location/i,
+	instructor: /instructor/i,
+	seats: /seats|availab/i,
+	status: /status/i,
+	session: /session/i,
+	title: /description|title/i,
+	credits: /units|credits/i,
+};
+
+const SEARCH_TABLE_TITLE_PATTERN = /class search|search results|class options|sections/i;
+const ENROLLED_TABLE_TITLE_PATTERN = /enrolled|my class schedule|class schedule/i;
+const COURSE_CODE_PATTERN = /\b([A-Z]{2,}-[A-Z]{2,}\s+\d+[A-Z]?)\b/;
+
+// One "Days Start - End" meeting pattern; a cell can list several
+const MEETING_PATTERN =
+	/([A-Za-z]+)\s+(\d{1,2}:\d{2}(?:\s*[AaPp][Mm])?)\s*-\s*(\d{1,2}:\d{2}(?:\s*[AaPp][Mm])?)/g;
+// Meeting dates read "09/08/2026 - 10/26/2026"
+const MEETING_DATES_PATTERN =
+	/(\d{1,2})\/(\d{1,2})\/(\d{4})\s*[-\u2013]\s*(\d{1,2})\/(\d{1,2})\/(\d{4})/g;
+// Albert session codes (SESSION_LABELS in constants.js); other labels are kept as-is
+const SESSION_PATTERNS = [
+	{ code: "7W1", pattern: /\b7W1\b|first\s+(7[\s-]*week|half)/i },
+	{ code: "7W2", pattern: /\b7W2\b|second\s+(7[\s-]*week|half)/i },
+	{ code: "1", pattern: /^(1|regular(\s+academic)?(\s+session)?)$/i },
+];
+
+const COMPONENT_TYPES = {
+	LEC: "Lecture",
+	REC: "Recitation",
+	LAB: "Laboratory",
+	SEM: "Seminar",
+	STU: "Studio",
+	IND: "Independent Study",
+	CLN: "Clinic",
+	WKS: "Workshop",
+};
+
+// Term codes are 1YYS (see utils/term-utils.js); DEFAULT_TERM mirrors constants.js
+const DEFAULT_TERM = "1268";
+const TERM_CODE_PATTERN = /^1\d{2}[2468]$/;
+const TERM_SEASON_DIGITS = { january: "2", spring: "4", summer: "6", fall: "8" };
+const TERM_NAME_PATTERN = /\b(January|Spring|Summer|Fall)\s+(20\d{2})\b/i;
+
 const DRAWER_IDS = {
 	panel: "albert-planner-drawer",
 	toggle: "albert-planner-toggle",
 	iframe: "albert-planner-frame",
 };
 const PLANNER_HOSTS = new Set(["sis.portal.nyu.edu", "sis.nyu.edu"]);
+// Class on the "+ planner" controls injected into search rows
+const ROW_ACTION_CLASS = "ap-row-actions";
+// Class added to Albert rows that clash with the planner selection
+const ROW_CONFLICT_CLASS = "ap-row-conflict";
 
 let drawerInitialized = false;
 let contextInvalidatedNotified = false;
@@ -138,55 +197,120 @@ function parseTime(timeStr) {
 }
 
 /**
- * Parse days/times string like "TuTh 09:30 - 10:45" or "MoWe 11:00 AM - 12:15 PM"
+ * Parse days/times string like "TuTh 09:30 - 10:45" or "MoWe 11:00 AM - 12:15 PM".
+ * Sections with several patterns ("MoWe 9:30 AM - 10:45 AM" and
+ * "Fr 2:00 PM - 3:15 PM") list them one after another; days/timeRange are
+ * the first pattern and meetings holds all of them.
  */
 function parseDaysAndTime(daysTimesStr) {
+	const tba = { days: [], timeRange: null, isTBA: true, meetings: [] };
 	if (!daysTimesStr || daysTimesStr.toUpperCase() === "TBA") {
-		return { days: [], timeRange: null, isTBA: true };
+		return tba;
 	}
 
 	// Normalize whitespace
 	const normalized = daysTimesStr.replace(/\s+/g, " ").trim();
 
-	// Format: "TuTh 09:30 - 10:45" or "Fr 2:00PM - 3:15PM"
-	// Capture days, start time (with optional AM/PM), end time (with optional AM/PM)
-	const match = normalized.match(
-		/^([A-Za-z]+)\s+(\d{1,2}:\d{2}(?:\s*[AaPp][Mm])?)\s*-\s*(\d{1,2}:\d{2}(?:\s*[AaPp][Mm])?)$/,
-	);
+	const meetings = [];
+	for (const match of normalized.matchAll(MEETING_PATTERN)) {
+		const [, daysStr, startStr, endStr] = match;
 
-	if (!match) {
-		return { days: [], timeRange: null, isTBA: true };
+		// Parse days - extract 2-letter day codes
+		const days = [];
+		const dayOrder = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+		for (const dayCode of dayOrder) {
+			if (daysStr.includes(dayCode)) {
+				days.push(DAY_MAP[dayCode]);
+			}
+		}
+
+		// Parse time range
+		const start = parseTime(startStr);
+		const end = parseTime(endStr);
+		const hasValidRange =
+			start &&
+			end &&
+			start.hours * 60 + start.minutes < end.hours * 60 + end.minutes;
+		if (hasValidRange) {
+			meetings.push({ days, timeRange: { start, end } });
+		}
 	}
 
-	const daysStr = match[1];
-	const startStr = match[2];
-	const endStr = match[3];
+	if (!meetings.length) {
+		return tba;
+	}
 
-	// Parse days - extract 2-letter day codes
-	const days = [];
-	const dayOrder = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+	return {
+		days: meetings[0].days,
+		timeRange: meetings[0].timeRange,
+		isTBA: false,
+		meetings,
+	};
+}
 
-	for (const dayCode of dayOrder) {
-		if (daysStr.includes(dayCode)) {
-			days.push(DAY_MAP[dayCode]);
-		}
-	}
+/**
+ * Parse meeting date ranges like "09/08/2026 - 10/26/2026", one per meeting
+ * pattern when Albert lists several
+ * @returns {{ start: string, end: string }[]} "YYYY-MM-DD" dates
+ */
+function parseMeetingDateRanges(text) {
+	if (!text) return [];
+	const toDateKey = (month, day, year) => {
+		const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+		const key = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+		return date.toISOString().slice(0, 10) === key ? key : null;
+	};
 
-	// Parse time range
-	const start = parseTime(startStr);
-	const end = parseTime(endStr);
-	const hasValidRange =
-		start &&
-		end &&
-		start.hours * 60 + start.minutes < end.hours * 60 + end.minutes;
+	const ranges = [];
+	for (const match of text.matchAll(MEETING_DATES_PATTERN)) {
+		const start = toDateKey(match[1], match[2], match[3]);
+		const end = toDateKey(match[4], match[5], match[6]);
+		if (start && end && start <= end) ranges.push({ start, end });
+	}
+	return ranges;
+}
 
+/**
+ * The whole span of a component's meeting date ranges
+ * @returns {{ start: string, end: string } | null}
+ */
+function spanDateRanges(ranges) {
+	if (!ranges.length) return null;
 	return {
-		days,
-		timeRange: hasValidRange ? { start, end } : null,
-		isTBA: !hasValidRange,
+		start: ranges.reduce((min, range) => (range.start < min ? range.start : min), ranges[0].start),
+		end: ranges.reduce((max, range) => (range.end > max ? range.end : max), ranges[0].end),
 	};
 }
 
+/**
+ * Pair each meeting pattern with its room and dates, which Albert lists line
+ * by line in the same order
+ */
+function attachMeetingDetails(meetings, roomText, dateRanges) {
+	const rooms = (roomText || "")
+		.split(/\n+/)
+		.map((line) => line.trim())
+		.filter(Boolean);
+	return meetings.map((meeting, index) => {
+		const detailed = { ...meeting, room: rooms[index] || rooms[0] || "TBA" };
+		if (dateRanges.length > 1 && dateRanges[index]) {
+			detailed.dateRange = dateRanges[index];
+		}
+		return detailed;
+	});
+}
+
+/**
+ * Normalize a session label like "Regular Academic Session" or
+ * "Second 7 Week Session" to its code
+ */
+function parseSession(text) {
+	const label = text?.replace(/\s+/g, " ").trim();
+	if (!label) return null;
+	const known = SESSION_PATTERNS.find(({ pattern }) => pattern.test(label));
+	return known ? known.code : label;
+}
+
 /**
  * Extract course code from class name link text
  * e.g., "Class Code:CORE-UA 203-010 (15133)" -> { code: "CORE-UA 203", section: "010", classNumber: "15133" }
@@ -263,14 +387,32 @@ function parseRow(row) {
 	const daysTimesEl = layout.querySelector(
 		'[id^="DERIVED_REGFRM1_SSR_MTG_SCHED_LONG"]',
 	);
-	const daysTimesStr = daysTimesEl?.textContent?.trim() || "TBA";
-	const { days, timeRange, isTBA } = parseDaysAndTime(daysTimesStr);
+	const daysTimesStr = daysTimesEl ? getAlbertText(daysTimesEl).trim() : "";
+	const { days, timeRange, isTBA, meetings } = parseDaysAndTime(
+		daysTimesStr || "TBA",
+	);
+
+	// Meeting dates and session - half-semester classes only meet for part of the term
+	const layoutText = getAlbertText(layout);
+	const meetingDatesEl = layout.querySelector(
+		'[id^="DERIVED_REGFRM1_SSR_MTG_DATES"]',
+	);
+	const dateRanges = parseMeetingDateRanges(
+		meetingDatesEl?.textContent || layoutText,
+	);
+	const sessionEl = layout.querySelector(
+		'[id^="DERIVED_REGFRM1_SESSION"], [id^="CLASS_TBL_VW_SESSION"]',
+	);
+	const session = parseSession(
+		sessionEl?.textContent || layoutText.match(/\bSession:\s*([^\n]+)/i)?.[1],
+	);
 
 	// Location
 	const locationEl = layout.querySelector(
 		'[id^="DERIVED_REGFRM1_SSR_MTG_LOC_LONG"]',
 	);
-	const location = locationEl?.textContent?.trim() || "TBA";
+	const locationText = locationEl ? getAlbertText(locationEl).trim() : "";
+	const location = locationText.split(/\n+/)[0].trim() || "TBA";
 
 	// Units - blank means this is a recitation/lab
 	const unitsEl = layout.querySelector('[id^="SSR_REGFORM_VW_UNT_TAKEN"]');
@@ -294,6 +436,9 @@ function parseRow(row) {
 		instructor,
 		days,
 		timeRange,
+		meetings: attachMeetingDetails(meetings, locationText, dateRanges),
+		dateRange: spanDateRanges(dateRanges),
+		session,
 		location,
 		credits: units,
 		status,
@@ -337,6 +482,9 @@ function parseShoppingCart(existingTable = null) {
 					section: parsed.section,
 					days: parsed.days,
 					timeRange: parsed.timeRange,
+					meetings: parsed.meetings,
+					dateRange: parsed.dateRange,
+					session: parsed.session,
 					room: parsed.location,
 					instructor: parsed.instructor,
 					isTBA: parsed.isTBA,
@@ -354,7 +502,7 @@ function parseShoppingCart(existingTable = null) {
 				courses.push(currentCourse);
 			}
 
-			const id = `${parsed.courseCode}-${parsed.section}`.replace(/\s+/g, "-");
+			const id = toCourseId(parsed.courseCode, parsed.section);
 
 			currentCourse = {
 				id,
@@ -370,6 +518,9 @@ function parseShoppingCart(existingTable = null) {
 						section: parsed.section,
 						days: parsed.days,
 						timeRange: parsed.timeRange,
+						meetings: parsed.meetings,
+						dateRange: parsed.dateRange,
+						session: parsed.session,
 						room: parsed.location,
 						instructor: parsed.instructor,
 						isTBA: parsed.isTBA,
@@ -394,9 +545,732 @@ function parseShoppingCart(existingTable = null) {
 	return courses;
 }
 
+// ============ Class Search Results ============
+
+/**
+ * Text of an Albert element, ignoring controls we injected into it
+ */
+function getAlbertText(element) {
+	if (!element.querySelector(`.${ROW_ACTION_CLASS}`)) {
+		return element.innerText || element.textContent || "";
+	}
+	const clone = element.cloneNode(true);
+	clone.querySelectorAll(`.${ROW_ACTION_CLASS}`).forEach((node) => node.remove());
+	return clone.textContent || "";
+}
+
+function getCellText(cell) {
+	if (!cell) return "";
+	const img = cell.querySelector("img[alt]");
+	const text = getAlbertText(cell).trim();
+	return text || img?.getAttribute("alt")?.trim() || "";
+}
+
+function mapSearchColumns(table) {
+	const headers = Array.from(table.querySelectorAll(SELECTORS.SEARCH_HEADER_CELL));
+	const columns = {};
+	headers.forEach((header, index) => {
+		const label = header.textContent.replace(/\s+/g, " ").trim();
+		for (const [key, pattern] of Object.entries(SEARCH_COLUMN_PATTERNS)) {
+			if (columns[key] === undefined && pattern.test(label)) {
+				columns[key] = index;
+				break;
+			}
+		}
+	});
+	return columns;
+}
+
+function getTableTitle(table) {
+	return table.getAttribute("title") || table.getAttribute("summary") || "";
+}
+
+function hasMeetingColumns(columns) {
+	return (
+		columns.daysTimes !== undefined &&
+		(columns.instructor !== undefined || columns.room !== undefined)
+	);
+}
+
+function isSearchResultsTable(table, columns) {
+	if (table.matches(SELECTORS.CART_TABLE)) return false;
+	const title = getTableTitle(table);
+	if (/shopping cart/i.test(title) || ENROLLED_TABLE_TITLE_PATTERN.test(title)) {
+		return false;
+	}
+	return (
+		hasMeetingColumns(columns) &&
+		(columns.section !== undefined || SEARCH_TABLE_TITLE_PATTERN.test(title))
+	);
+}
+
+function findGridTables(predicate) {
+	return Array.from(document.querySelectorAll(SELECTORS.SEARCH_TABLE))
+		.map((table) => ({ table, columns: mapSearchColumns(table) }))
+		.filter(({ table, columns }) => predicate(table, columns));
+}
+
+function findSearchResultsTables() {
+	return findGridTables(isSearchResultsTable);
+}
+
+/**
+ * Enrolled classes ("My Class Schedule") share the search grid's columns
+ * but must never be cached as search results
+ */
+function findEnrolledTables() {
+	return findGridTables(
+		(table, columns) =>
+			ENROLLED_TABLE_TITLE_PATTERN.test(getTableTitle(table)) &&
+			columns.daysTimes !== undefined,
+	);
+}
+
+/**
+ * Albert lists sections under a course heading instead of repeating the code
+ * on each row, so walk back from the grid until a course code shows up
+ */
+function findCourseHeading(table) {
+	const title = getTableTitle(table);
+	const titleMatch = title.match(COURSE_CODE_PATTERN);
+	if (titleMatch) {
+		return { code: titleMatch[1], title: title.split(/\s+-\s+/).slice(1).join(" - ").trim() };
+	}
+
+	let node = table;
+	for (let depth = 0; node && depth < 6; depth += 1) {
+		let sibling = node.previousElementSibling;
+		while (sibling) {
+			const text = sibling.textContent.replace(/\s+/g, " ").trim();
+			const match = text.match(COURSE_CODE_PATTERN);
+			if (match) {
+				const rest = text.slice(text.indexOf(match[1]) + match[1].length);
+				return { code: match[1], title: rest.replace(/^[\s:-]+/, "").trim() };
+			}
+			sibling = sibling.previousElementSibling;
+		}
+		node = node.parentElement;
+	}
+	return null;
+}
+
+/**
+ * Parse "001-LEC (12345)", "Section 001" or "LEC 001" style section cells
+ */
+function parseSectionCell(text) {
+	const sectionMatch = text.match(/\b(\d{3}[A-Z]?)\b/);
+	const componentMatch = text.match(/\b(LEC|REC|LAB|SEM|STU|IND|CLN|WKS)\b/i);
+	const classNumberMatch = text.match(/\((\d{4,6})\)/);
+	return {
+		section: sectionMatch ? sectionMatch[1] : null,
+		component: componentMatch
+			? COMPONENT_TYPES[componentMatch[1].toUpperCase()]
+			: null,
+		classNumber: classNumberMatch ? classNumberMatch[1] : null,
+	};
+}
+
+function parseSeats(text) {
+	const match = text.match(/(\d+)\s*(?:of|\/)\s*(\d+)/i);
+	if (!match) return null;
+	return { open: parseInt(match[1], 10), total: parseInt(match[2], 10) };
+}
+
+/**
+ * Id of the planner course for a cart section, e.g. "CSCI-UA-101-001"
+ */
+function toCourseId(courseCode, section) {
+	return `${courseCode}-${section}`.replace(/\s+/g, "-");
+}
+
+/**
+ * Id of a class search row. Lectures share the id of the cart course, so a
+ * section already in the cart is recognized; other components get their
+ * type appended, so a recitation doesn't overwrite the lecture with the
+ * same section number in the search cache.
+ */
+function toSearchSectionId(courseCode, section, component) {
+	const id = toCourseId(courseCode, section);
+	return component === "Lecture"
+		? id
+		: `${id}-${component.replace(/\s+/g, "-")}`;
+}
+
+/**
+ * Ids of planned courses a row belongs to, which never count as clashing
+ * with it: its own id and the course its section number points to
+ */
+function getOwnCourseIds(section) {
+	return [section.id, toCourseId(section.courseCode, section.section)];
+}
+
+function parseSearchRow(row, columns, heading) {
+	const cells = Array.from(row.querySelectorAll("td"));
+	if (!cells.length) return null;
+	const cellText = (key) =>
+		columns[key] === undefined ? "" : getCellText(cells[columns[key]]);
+
+	const rowText = getAlbertText(row).replace(/\s+/g, " ");
+	const codeMatch = rowText.match(COURSE_CODE_PATTERN);
+	const classCode = parseClassCode(rowText);
+	const courseCode = classCode?.code || codeMatch?.[1] || heading?.code;
+	if (!courseCode) return null;
+
+	const sectionInfo = parseSectionCell(cellText("section"));
+	const section = classCode?.section || sectionInfo.section;
+	if (!section) return null;
+
+	const classNumberText = cellText("classNumber").match(/\d{4,6}/)?.[0];
+	const componentText = cellText("component");
+	const component =
+		sectionInfo.component ||
+		COMPONENT_TYPES[componentText.slice(0, 3).toUpperCase()] ||
+		componentText ||
+		"Lecture";
+	const { days, timeRange, isTBA, meetings } = parseDaysAndTime(
+		cellText("daysTimes") || "TBA",
+	);
+	const roomText = cellText("room");
+	const dateRanges = parseMeetingDateRanges(cellText("meetingDates") || rowText);
+	const seatsText = cellText("seats");
+
+	return {
+		id: toSearchSectionId(courseCode, section, component),
+		courseCode,
+		section,
+		classNumber:
+			classCode?.classNumber || sectionInfo.classNumber || classNumberText || "",
+		title: cellText("title") || heading?.title || "",
+		component,
+		days,
+		timeRange,
+		isTBA,
+		meetings: attachMeetingDetails(meetings, roomText, dateRanges),
+		dateRange: spanDateRanges(dateRanges),
+		session: parseSession(cellText("session")),
+		room: roomText.split(/\n+/)[0].trim() || "TBA",
+		instructor: cellText("instructor") || "TBA",
+		seats: parseSeats(seatsText),
+		seatsText,
+		status: cellText("status") || "Unknown",
+		credits: parseFloat(cellText("credits")) || null,
+	};
+}
+
+/**
+ * Parse each grid row, keeping the row element alongside its section
+ * @returns {{ row: HTMLTableRowElement, section: object }[]}
+ */
+function parseGridRows(tables) {
+	const parsedRows = [];
+	for (const { table, columns } of tables) {
+		const heading = findCourseHeading(table);
+		for (const row of table.querySelectorAll(SELECTORS.SEARCH_ROW)) {
+			const section = parseSearchRow(row, columns, heading);
+			if (section) {
+				parsedRows.push({ row, section });
+			}
+		}
+	}
+	return parsedRows;
+}
+
+function parseSearchRows() {
+	return parseGridRows(findSearchResultsTables());
+}
+
+/**
+ * Parse every section listed in Albert's class search results
+ */
+function parseSearchResults(parsedRows = parseSearchRows()) {
+	const sections = [];
+	const seen = new Set();
+
+	for (const { section } of parsedRows) {
+		if (seen.has(section.id)) continue;
+		seen.add(section.id);
+		sections.push(section);
+	}
+
+	debugLog("Parsed", sections.length, "search result sections");
+	return sections;
+}
+
+let gridScanTimer = null;
+let lastSearchResultsKey = "";
+
+function reportSearchResults(parsedRows) {
+	const sections = parseSearchResults(parsedRows);
+	if (!sections.length) return;
+
+	const key = sections.map((s) => `${s.id}:${s.status}:${s.seatsText}`).join("|");
+	if (key === lastSearchResultsKey) return;
+	lastSearchResultsKey = key;
+
+	try {
+		chrome.runtime.sendMessage(
+			{ type: "SEARCH_RESULTS_PARSED", sections, term: pageTerm },
+			() => {
+				// Read lastError so Chrome doesn't log unchecked errors when the
+				// background worker is restarting.
+				void chrome.runtime.lastError;
+			},
+		);
+	} catch (error) {
+		debugLog("Could not report search results:", error?.message || error);
+	}
+}
+
+/**
+ * Re-scan Albert's grids: cache search results, inject row controls and
+ * outline rows that clash with the planner selection
+ */
+function scanAlbertGrids() {
+	if (updatePageTerm()) {
+		// Planner data is per term, so reload it before highlighting anything
+		loadPlannerState().then(scanAlbertGrids);
+		return;
+	}
+
+	const searchRows = parseSearchRows();
+	decorateSearchRows(searchRows);
+	highlightRowConflicts([
+		...parseCartRowMeetings(),
+		...searchRows,
+		...parseGridRows(findEnrolledTables()),
+	]);
+	reportSearchResults(searchRows);
+}
+
+function scheduleGridScan() {
+	clearTimeout(gridScanTimer);
+	gridScanTimer = setTimeout(scanAlbertGrids, 400);
+}
+
+// PeopleSoft swaps grid rows out on every search/page change, so watch the
+// whole body. Only childList is observed: the row classes/titles we set
+// don't retrigger a scan.
+function watchAlbertGrids() {
+	if (!document.body) {
+		setTimeout(watchAlbertGrids, 100);
+		return;
+	}
+	scheduleGridScan();
+	new MutationObserver(scheduleGridScan).observe(document.body, {
+		childList: true,
+		subtree: true,
+	});
+}
+
+// ============ Term Detection ============
+
+// Term of the Albert page in this frame, once detected
+let pageTerm = null;
+
+function termFromName(text) {
+	const match = text.match(TERM_NAME_PATTERN);
+	if (!match) return null;
+	const year = parseInt(match[2], 10);
+	return `1${String(year - 2000).padStart(2, "0")}${TERM_SEASON_DIGITS[match[1].toLowerCase()]}`;
+}
+
+/**
+ * Find the term code from the URL (STRM=1268), a PeopleSoft STRM field,
+ * or a "Fall 2026" style term label on the page
+ */
+function detectAlbertTerm() {
+	const urlMatch = window.location.href.match(/[?&#]STRM=(\d{4})\b/i);
+	if (urlMatch && TERM_CODE_PATTERN.test(urlMatch[1])) {
+		return urlMatch[1];
+	}
+
+	const fields = document.querySelectorAll(
+		'input[id*="STRM"], input[name*="STRM"], select[id*="STRM"]',
+	);
+	for (const field of fields) {
+		if (TERM_CODE_PATTERN.test(field.value)) {
+			return field.value;
+		}
+	}
+
+	for (const label of document.querySelectorAll('[id*="TERM"], [id*="STRM"]')) {
+		const text = (label.textContent || "").slice(0, 200);
+		const term = termFromName(text);
+		if (term) return term;
+	}
+
+	return termFromName(document.title || "");
+}
+
+/**
+ * Refresh pageTerm and tell the background about newly seen terms
+ * @returns {boolean} Whether the term changed
+ */
+function updatePageTerm() {
+	const detected = detectAlbertTerm();
+	if (!detected || detected === pageTerm) return false;
+	pageTerm = detected;
+	debugLog("Detected term", detected);
+
+	try {
+		chrome.runtime.sendMessage({ type: "TERM_DETECTED", term: detected }, () => {
+			void chrome.runtime.lastError;
+		});
+	} catch (error) {
+		debugLog("Could not report term:", error?.message || error);
+	}
+	return true;
+}
+
+// ============ Planner State ============
+
+// Mirror of the stored planner data, kept fresh via storage.onChanged
+const plannerState = {
+	term: null,
+	courses: [],
+	selection: new Set(),
+	buckets: [],
+};
+
+async function loadPlannerState() {
+	try {
+		const { activeTerm } = await chrome.storage.local.get("activeTerm");
+		// Highlight against the plan for the page's term when Albert shows one
+		const term = pageTerm || activeTerm || DEFAULT_TERM;
+		const keys = {
+			courses: `${term}:courses`,
+			scenarios: `${term}:scenarios`,
+			legacySelection: `${term}:plannerSelection`,
+			buckets: `${term}:buckets`,
+		};
+		const result = await chrome.storage.local.get(Object.values(keys));
+
+		// Conflicts are checked against the active scenario only
+		const scenarios = result[keys.scenarios];
+		const activeScenario = scenarios?.items?.find(
+			(item) => item.id === scenarios.activeId,
+		);
+		const selection = activeScenario
+			? activeScenario.courseIds
+			: result[keys.legacySelection];
+
+		plannerState.term = term;
+		plannerState.courses = Array.isArray(result[keys.courses])
+			? result[keys.courses]
+			: [];
+		plannerState.selection = new Set(Array.isArray(selection) ? selection : []);
+		plannerState.buckets = Array.isArray(result[keys.buckets])
+			? result[keys.buckets]
+			: [];
+	} catch (error) {
+		debugLog("Could not load planner state:", error?.message || error);
+	}
+}
+
+function timeToMinutes(time) {
+	return time.hours * 60 + time.minutes;
+}
+
+/**
+ * Whether two meetings are in session during the same part of the term
+ * (same rule as doMeetingDatesOverlap in calendar-utils)
+ */
+function doMeetingDatesOverlap(a, b) {
+	if (a.dateRange && b.dateRange) {
+		return (
+			a.dateRange.start <= b.dateRange.end &&
+			b.dateRange.start <= a.dateRange.end
+		);
+	}
+	const sessions = [a.session, b.session];
+	return !(sessions.includes("7W1") && sessions.includes("7W2"));
+}
+
+/**
+ * Meeting patterns of a component or parsed row
+ * (same as getComponentMeetings in calendar-utils)
+ */
+function getComponentMeetings(component) {
+	const shared = {
+		room: component.room,
+		dateRange: component.dateRange ?? null,
+		session: component.session ?? null,
+	};
+	if (!Array.isArray(component.meetings) || component.meetings.length === 0) {
+		return [
+			{
+				...shared,
+				days: component.days || [],
+				timeRange: component.timeRange || null,
+			},
+		];
+	}
+	return component.meetings.map((meeting) => ({ ...shared, ...meeting }));
+}
+
+function doMeetingsOverlap(a, b) {
+	return (
+		Boolean(a.timeRange && b.timeRange) &&
+		a.days.some((day) => b.days.includes(day)) &&
+		timeToMinutes(a.timeRange.start) < timeToMinutes(b.timeRange.end) &&
+		timeToMinutes(b.timeRange.start) < timeToMinutes(a.timeRange.end) &&
+		doMeetingDatesOverlap(a, b)
+	);
+}
+
+/**
+ * Planned courses with a meeting that overlaps one of the given component's
+ * meetings (same overlap rule as hasConflict in calendar-utils)
+ */
+function findPlannedConflicts(component, excludeCourseIds = []) {
+	const meetings = getComponentMeetings(component).filter(
+		(meeting) => meeting.timeRange && meeting.days.length,
+	);
+	if (!meetings.length) return [];
+
+	return plannerState.courses.filter((course) => {
+		if (
+			excludeCourseIds.includes(course.id) ||
+			!plannerState.selection.has(course.id)
+		) {
+			return false;
+		}
+		return (course.components || []).some(
+			(planned) =>
+				!planned.isTBA &&
+				getComponentMeetings(planned).some((other) =>
+					meetings.some((meeting) => doMeetingsOverlap(meeting, other)),
+				),
+		);
+	});
+}
+
+// ============ Search Row Buttons ============
+
+function createRowActions(section) {
+	const container = document.createElement("span");
+	container.className = ROW_ACTION_CLASS;
+
+	const bucketSelect = document.createElement("select");
+	bucketSelect.className = "ap-row-bucket";
+	bucketSelect.setAttribute(
+		"aria-label",
+		`Bucket for ${section.courseCode} ${section.section}`,
+	);
+	// Albert rows navigate on click; keep clicks on our controls to ourselves
+	bucketSelect.addEventListener("click", (event) => event.stopPropagation());
+
+	const button = document.createElement("button");
+	button.type = "button";
+	button.className = "ap-row-add";
+	button.innerHTML =
+		'<span class="ap-path" aria-hidden="true">+</span><span class="ap-label">planner</span>';
+	button.addEventListener("click", (event) => {
+		event.preventDefault();
+		event.stopPropagation();
+		addSectionToPlanner(container, bucketSelect.value || null);
+	});
+
+	const badge = document.createElement("span");
+	badge.className = "ap-conflict-badge";
+	badge.hidden = true;
+
+	container.append(bucketSelect, button, badge);
+	return container;
+}
+
+function syncBucketOptions(select) {
+	const signature = plannerState.buckets.map((b) => `${b.id}:${b.name}`).join("|");
+	if (select.dataset.signature === signature) return;
+	const previous = select.value;
+	select.dataset.signature = signature;
+	select.innerHTML = "";
+
+	const unsorted = document.createElement("option");
+	unsorted.value = "";
+	unsorted.textContent = "unsorted";
+	select.appendChild(unsorted);
+	for (const bucket of [...plannerState.buckets].sort(
+		(a, b) => a.priority - b.priority,
+	)) {
+		const option = document.createElement("option");
+		option.value = bucket.id;
+		option.textContent = bucket.name.toLowerCase();
+		select.appendChild(option);
+	}
+	select.value = plannerState.buckets.some((b) => b.id === previous)
+		? previous
+		: "";
+}
+
+function setTextIfChanged(element, text) {
+	if (element.textContent !== text) {
+		element.textContent = text;
+	}
+}
+
+function updateRowActions(container, section) {
+	container.sectionData = section;
+	const select = container.querySelector(".ap-row-bucket");
+	const button = container.querySelector(".ap-row-add");
+	const badge = container.querySelector(".ap-conflict-badge");
+	syncBucketOptions(select);
+
+	const stored = plannerState.courses.find(
+		(course) =>
+			course.id === section.id ||
+			Boolean(section.classNumber && course.classNumber === section.classNumber),
+	);
+	container.classList.toggle("is-saved", Boolean(stored));
+	setTextIfChanged(button.querySelector(".ap-path"), stored ? "✓" : "+");
+	button.title = stored
+		? "Saved to planner — click to move it to the selected bucket"
+		: "Add this section to the planner without touching your Albert cart";
+
+	const conflicts = section.isTBA
+		? []
+		: findPlannedConflicts(section, getOwnCourseIds(section));
+	badge.hidden = conflicts.length === 0;
+	if (conflicts.length) {
+		const codes = conflicts.map((course) => course.courseCode);
+		setTextIfChanged(badge, `⚠ ${codes.join(", ")}`);
+		badge.title = `Conflicts with planned ${codes.join(", ")}`;
+	}
+}
+
+/**
+ * Inject or refresh the "+ planner" controls on each parsed search row
+ */
+function decorateSearchRows(parsedRows) {
+	for (const { row, section } of parsedRows) {
+		const host = row.querySelector("td:last-child");
+		if (!host) continue;
+		let container = host.querySelector(`.${ROW_ACTION_CLASS}`);
+		if (!container) {
+			container = createRowActions(section);
+			host.appendChild(container);
+		}
+		updateRowActions(container, section);
+	}
+}
+
+function addSectionToPlanner(container, bucketId) {
+	const section = container.sectionData;
+	if (!section) return;
+	const button = container.querySelector(".ap-row-add");
+	button.disabled = true;
+
+	try {
+		chrome.runtime.sendMessage(
+			{ type: "ADD_SECTION_TO_PLANNER", section, bucketId, term: pageTerm },
+			(response) => {
+				button.disabled = false;
+				if (chrome.runtime.lastError || !response?.ok) {
+					console.warn(
+						"[Albert Enhancer] Failed to add section to planner",
+						chrome.runtime.lastError?.message || response?.error,
+					);
+					button.title = "Could not add section — refresh the page and try again";
+				}
+			},
+		);
+	} catch (error) {
+		button.disabled = false;
+		debugLog("Could not add section:", error?.message || error);
+	}
+}
+
+// ============ Inline Conflict Highlighting ============
+
+/**
+ * Meetings for each shopping cart row. Recitation rows belong to the lecture
+ * above them, so they're tagged with that course's id.
+ * @returns {{ row: HTMLTableRowElement, section: object }[]}
+ */
+function parseCartRowMeetings() {
+	const cartTable =
+		document.querySelector(SELECTORS.CART_TABLE) ||
+		findGridTables((table) => /shopping cart/i.test(getTableTitle(table)))[0]
+			?.table;
+	if (!cartTable) return [];
+
+	const meetings = [];
+	let ownerId = null;
+	for (const row of cartTable.querySelectorAll(SELECTORS.CART_ROW)) {
+		const parsed = parseRow(row);
+		if (!parsed) continue;
+		if (!parsed.isRecitation || !ownerId) {
+			ownerId = toCourseId(parsed.courseCode, parsed.section);
+		}
+		meetings.push({
+			row,
+			section: { ...parsed, id: ownerId },
+		});
+	}
+	return meetings;
+}
+
+function describeConflicts(conflicts) {
+	return conflicts
+		.map((course) => `${course.courseCode} (${course.section})`)
+		.join(", ");
+}
+
+/**
+ * Outline rows whose meeting overlaps a planned course and name the clash in
+ * a tooltip. Rows for the planned course itself are never flagged.
+ */
+function highlightRowConflicts(parsedRows) {
+	for (const { row, section } of parsedRows) {
+		const conflicts = section.isTBA
+			? []
+			: findPlannedConflicts(section, getOwnCourseIds(section));
+
+		if (conflicts.length) {
+			const tooltip = `Conflicts with planned ${describeConflicts(conflicts)}`;
+			row.classList.add(ROW_CONFLICT_CLASS);
+			if (row.title && !row.dataset.apConflict) {
+				row.dataset.apOriginalTitle = row.title;
+			}
+			row.dataset.apConflict = "true";
+			row.title = tooltip;
+		} else if (row.dataset.apConflict) {
+			row.classList.remove(ROW_CONFLICT_CLASS);
+			row.title = row.dataset.apOriginalTitle || "";
+			delete row.dataset.apConflict;
+			delete row.dataset.apOriginalTitle;
+		}
+	}
+}
+
+chrome.storage.onChanged.addListener(async (changes, namespace) => {
+	const term = plannerState.term;
+	if (
+		namespace === "local" &&
+		(changes.activeTerm ||
+			changes[`${term}:courses`] ||
+			changes[`${term}:scenarios`] ||
+			changes[`${term}:buckets`])
+	) {
+		await loadPlannerState();
+		scanAlbertGrids();
+	}
+});
+
+loadPlannerState().then(watchAlbertGrids);
+
 // ============ Message Listener ============
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+	if (message?.type === "PARSE_SEARCH_RESULTS") {
+		if (!findSearchResultsTables().length) {
+			// Let other frames respond.
+			return false;
+		}
+		sendResponse({ sections: parseSearchResults() });
+		return false;
+	}
+
 	if (message?.type !== "PARSE_CART") {
 		return false;
 	}
@@ -427,7 +1301,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 		debugLog("Parse request received in frame", window.location.href);
 		const courses = parseShoppingCart(cartTable);
 		debugLog("Parsed", courses.length, "courses", courses);
-		sendResponse({ courses });
+		sendResponse({ courses, term: detectAlbertTerm() });
 	} catch (error) {
 		console.error("[Albert Enhancer] Parse cart failed:", error);
 		sendResponse({
@@ -1,5 +1,19 @@
-import { formatTime } from "./utils/time-parser.js";
-import { getProfessorRatings, setProfessorRating } from "./course-storage.js";
+import { CALENDAR_CONFIG, SESSION_LABELS } from "./utils/constants.js";
+import { formatTime, timeToMinutes } from "./utils/time-parser.js";
+import {
+	expandComponentMeetings,
+	getComponentMeetings,
+} from "./utils/calendar-utils.js";
+import {
+	getComponentDateRange,
+	getMeetingSchedule,
+	parseDate,
+} from "./utils/term-calendar.js";
+import {
+	getProfessorRatings,
+	saveCourse,
+	setProfessorRating,
+} from "./course-storage.js";
 
 function getPrimaryComponent(course) {
 	return (
@@ -41,17 +55,22 @@ function formatMetaLine(course) {
 		parts.push(`Section ${course.section}`);
 	}
 	const component = getPrimaryComponent(course);
-	if (component?.timeRange) {
-		const dayLabel =
-			Array.isArray(component.days) && component.days.length
-				? component.days.join("/")
-				: "Days TBA";
-		parts.push(
-			`${dayLabel} ${formatTime(component.timeRange.start)}\u2009\u2013\u2009${formatTime(component.timeRange.end)}`,
-		);
+	const meetings = component
+		? getComponentMeetings(component).filter((meeting) => meeting.timeRange)
+		: [];
+	if (meetings.length) {
+		for (const meeting of meetings) {
+			const dayLabel = meeting.days.length ? meeting.days.join("/") : "Days TBA";
+			parts.push(
+				`${dayLabel} ${formatTime(meeting.timeRange.start)}\u2009\u2013\u2009${formatTime(meeting.timeRange.end)}`,
+			);
+		}
 	} else {
 		parts.push("Time TBA");
 	}
+	if (component?.session && component.session !== "1") {
+		parts.push(SESSION_LABELS[component.session] || `Session ${component.session}`);
+	}
 	return parts.join(" \u00B7 ");
 }
 
@@ -105,6 +124,78 @@ function buildStatusTags(context) {
 	return container;
 }
 
+function formatShortDate(dateKey) {
+	return parseDate(dateKey).toLocaleDateString("en-US", {
+		month: "short",
+		day: "numeric",
+		timeZone: "UTC",
+	});
+}
+
+function buildMeetingCounts(course, termCalendar) {
+	const timed = (course.components || [])
+		.flatMap(expandComponentMeetings)
+		.filter((meeting) => meeting.timeRange && meeting.days?.length);
+	if (!termCalendar || timed.length === 0) return null;
+
+	const list = document.createElement("div");
+	list.className = "metadata-meeting-list";
+	let totalMinutes = 0;
+
+	for (const component of timed) {
+		const dateRange = getComponentDateRange(component, termCalendar);
+		const { dates, cancelled, extra } = getMeetingSchedule(
+			component.days,
+			termCalendar,
+			dateRange,
+		);
+		totalMinutes +=
+			dates.length *
+			(timeToMinutes(component.timeRange.end) -
+				timeToMinutes(component.timeRange.start));
+
+		const row = document.createElement("div");
+		row.className = "metadata-meeting-row";
+		const label = document.createElement("span");
+		label.className = "metadata-meeting-label";
+		label.textContent = `${component.type || "Class"} \u00B7 ${component.days.join("/")}`;
+		if (dateRange) {
+			label.textContent += ` \u00B7 ${formatShortDate(dateRange.start)}\u2013${formatShortDate(dateRange.end)}`;
+		}
+		const count = document.createElement("span");
+		count.className = "metadata-meeting-count";
+		count.textContent = `${dates.length} meeting${dates.length !== 1 ? "s" : ""}`;
+		row.append(label, count);
+
+		const notes = [];
+		if (cancelled.length) {
+			notes.push(`no class ${cancelled.map(formatShortDate).join(", ")}`);
+		}
+		if (extra.length) {
+			notes.push(`extra ${extra.map(formatShortDate).join(", ")}`);
+		}
+		if (notes.length) {
+			const detail = document.createElement("span");
+			detail.className = "metadata-meeting-detail";
+			detail.textContent = notes.join(" \u00B7 ");
+			row.appendChild(detail);
+		}
+		list.appendChild(row);
+	}
+
+	const heading = document.createElement("div");
+	heading.className = "metadata-section-heading";
+	heading.textContent = "Meetings";
+	const copy = document.createElement("p");
+	copy.className = "metadata-section-copy";
+	copy.textContent = `${(totalMinutes / 60).toFixed(1)}h of class from ${formatShortDate(termCalendar.firstDay)} to ${formatShortDate(termCalendar.lastDay)}`;
+
+	const section = document.createElement("div");
+	section.className = "metadata-meetings";
+	section.append(heading, copy, list);
+	return section;
+}
+
 function createBucketOption(bucket, isActive, onBucketSelect) {
 	const button = document.createElement("button");
 	button.type = "button";
@@ -208,7 +299,9 @@ export function renderCourseMetadataContent({
 	buckets,
 	context = {},
 	ratings = {},
+	termCalendar = null,
 	onBucketSelect,
+	onEditCourse,
 }) {
 	if (!container) return;
 
@@ -230,9 +323,11 @@ export function renderCourseMetadataContent({
 	const headline = document.createElement("div");
 	headline.className = "metadata-headline";
 	headline.innerHTML = `
-		<h2 class="metadata-course-code">${course.courseCode}</h2>
+		<h2 class="metadata-course-code"></h2>
 		<span class="metadata-credit-pill">${course.credits ?? "-"} cr</span>
 	`;
+	headline.querySelector(".metadata-course-code").textContent =
+		course.courseCode;
 
 	const title = document.createElement("p");
 	title.className = "metadata-course-title";
@@ -292,6 +387,15 @@ export function renderCourseMetadataContent({
 		summary.appendChild(statusTags);
 	}
 
+	if (onEditCourse) {
+		const editButton = document.createElement("button");
+		editButton.type = "button";
+		editButton.className = "metadata-edit-course";
+		editButton.textContent = "edit course details";
+		editButton.addEventListener("click", () => onEditCourse(course));
+		summary.appendChild(editButton);
+	}
+
 	const divider = document.createElement("hr");
 	divider.className = "metadata-divider";
 
@@ -323,5 +427,408 @@ export function renderCourseMetadataContent({
 		);
 	}
 
-	container.append(summary, divider, bucketHeading, bucketList);
+	const meetings = buildMeetingCounts(course, termCalendar);
+	if (meetings) {
+		const meetingsDivider = document.createElement("hr");
+		meetingsDivider.className = "metadata-divider";
+		container.append(summary, meetingsDivider, meetings);
+	} else {
+		container.append(summary);
+	}
+	container.append(divider, bucketHeading, bucketList);
+}
+
+// ============ Course Editor ============
+
+const EDITOR_DAYS = [...CALENDAR_CONFIG.WEEKDAYS, ...CALENDAR_CONFIG.WEEKEND_DAYS];
+const COMPONENT_TYPES = [
+	"Lecture",
+	"Recitation",
+	"Laboratory",
+	"Seminar",
+	"Studio",
+	"Independent Study",
+];
+
+function timeToInputValue(time) {
+	if (!time) return "";
+	return `${String(time.hours).padStart(2, "0")}:${String(time.minutes).padStart(2, "0")}`;
+}
+
+function inputValueToTime(value) {
+	const [hours, minutes] = value.split(":").map(Number);
+	return { hours, minutes };
+}
+
+function isPlaceholder(value) {
+	return !value || /^(TBA|to be announced)$/i.test(value.trim());
+}
+
+/**
+ * Editable copy of a course. Each meeting keeps the stored meeting it came
+ * from so fields the form doesn't show (e.g. its date range) survive a save.
+ */
+function createCourseDraft(course) {
+	const components = course?.components?.length
+		? course.components
+		: [{ type: "Lecture" }];
+	return {
+		courseCode: course?.courseCode ?? "",
+		section: course?.section ?? "",
+		title: course?.title ?? "",
+		credits: course?.credits != null ? String(course.credits) : "",
+		classNumber: course?.classNumber ?? "",
+		components: components.map((component) => ({
+			original: component,
+			type: component.type || "Lecture",
+			section: component.section ?? "",
+			instructor: isPlaceholder(component.instructor) ? "" : component.instructor,
+			meetings: getComponentMeetings(component).map((meeting, index) => ({
+				original: component.meetings?.[index] ?? {},
+				days: [...meeting.days],
+				start: timeToInputValue(meeting.timeRange?.start),
+				end: timeToInputValue(meeting.timeRange?.end),
+				room: isPlaceholder(meeting.room) ? "" : meeting.room,
+			})),
+		})),
+	};
+}
+
+function buildEditedComponent(draftComponent, position) {
+	const meetings = draftComponent.meetings.map((meeting, index) => {
+		if (Boolean(meeting.start) !== Boolean(meeting.end)) {
+			throw new Error(
+				`Component ${position}, meeting ${index + 1} needs both a start and an end time`,
+			);
+		}
+		return {
+			...meeting.original,
+			days: EDITOR_DAYS.filter((day) => meeting.days.includes(day)),
+			timeRange: meeting.start
+				? {
+						start: inputValueToTime(meeting.start),
+						end: inputValueToTime(meeting.end),
+					}
+				: null,
+			room: meeting.room.trim() || "TBA",
+		};
+	});
+
+	// days/timeRange/room mirror the first meeting, as for parsed courses
+	const [first] = meetings;
+	const component = {
+		...draftComponent.original,
+		type: draftComponent.type.trim(),
+		section: draftComponent.section.trim(),
+		instructor: draftComponent.instructor.trim() || "TBA",
+		days: first.days,
+		timeRange: first.timeRange,
+		room: first.room,
+		isTBA: !meetings.some((meeting) => meeting.timeRange && meeting.days.length),
+	};
+	if (meetings.length > 1) {
+		component.meetings = meetings;
+	} else {
+		delete component.meetings;
+		if (first.dateRange) component.dateRange = first.dateRange;
+	}
+	return component;
+}
+
+/**
+ * Turn the editor draft into a course ready for saveCourse
+ * @param {object|null} course - The course being edited, or null for a new one
+ * @param {object} draft
+ * @returns {object}
+ */
+function buildEditedCourse(course, draft) {
+	const now = Date.now();
+	const edited = {
+		...course,
+		id: course?.id ?? `manual-${now}`,
+		courseCode: draft.courseCode.trim(),
+		section: draft.section.trim(),
+		title: draft.title.trim(),
+		credits: draft.credits.trim() === "" ? NaN : Number(draft.credits),
+		classNumber: draft.classNumber.trim() || null,
+		components: draft.components.map((component, index) =>
+			buildEditedComponent(component, index + 1),
+		),
+		bucket: course?.bucket ?? null,
+		addedAt: course?.addedAt ?? now,
+		updatedAt: now,
+	};
+	if (!course) {
+		// Kept across cart fetches, like sections added from class search
+		edited.source = "manual";
+	}
+	return edited;
+}
+
+function createEditorInput(draftTarget, key, options = {}) {
+	const input = document.createElement("input");
+	input.type = options.type || "text";
+	input.className = "course-editor-input";
+	input.value = draftTarget[key];
+	if (options.placeholder) input.placeholder = options.placeholder;
+	if (options.list) input.setAttribute("list", options.list);
+	if (options.label) input.setAttribute("aria-label", options.label);
+	if (options.step) input.step = options.step;
+	input.addEventListener("input", () => {
+		draftTarget[key] = input.value;
+	});
+	return input;
+}
+
+function createEditorField(label, input, wide = false) {
+	const field = document.createElement("label");
+	field.className = "course-editor-field";
+	field.classList.toggle("is-wide", wide);
+	const caption = document.createElement("span");
+	caption.className = "course-editor-label";
+	caption.textContent = label;
+	field.append(caption, input);
+	return field;
+}
+
+function createEditorRemoveButton(label, onClick) {
+	const button = document.createElement("button");
+	button.type = "button";
+	button.className = "course-editor-remove";
+	button.setAttribute("aria-label", label);
+	button.title = label;
+	button.textContent = "×";
+	button.addEventListener("click", onClick);
+	return button;
+}
+
+function createEditorAddButton(label, onClick) {
+	const button = document.createElement("button");
+	button.type = "button";
+	button.className = "course-editor-add";
+	button.textContent = label;
+	button.addEventListener("click", onClick);
+	return button;
+}
+
+function createMeetingRow(meeting, onRemove) {
+	const row = document.createElement("div");
+	row.className = "course-editor-meeting";
+
+	const days = document.createElement("div");
+	days.className = "course-editor-days";
+	days.setAttribute("role", "group");
+	days.setAttribute("aria-label", "Meeting days");
+	for (const day of EDITOR_DAYS) {
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = "course-editor-day";
+		button.textContent = day.slice(0, 2);
+		button.title = day;
+		const sync = () => {
+			const isActive = meeting.days.includes(day);
+			button.classList.toggle("is-active", isActive);
+			button.setAttribute("aria-pressed", String(isActive));
+		};
+		sync();
+		button.addEventListener("click", () => {
+			meeting.days = meeting.days.includes(day)
+				? meeting.days.filter((item) => item !== day)
+				: [...meeting.days, day];
+			sync();
+		});
+		days.appendChild(button);
+	}
+
+	const times = document.createElement("div");
+	times.className = "course-editor-times";
+	const to = document.createElement("span");
+	to.className = "course-editor-label";
+	to.textContent = "to";
+	times.append(
+		createEditorInput(meeting, "start", { type: "time", label: "Start time" }),
+		to,
+		createEditorInput(meeting, "end", { type: "time", label: "End time" }),
+		createEditorInput(meeting, "room", { placeholder: "Room", label: "Room" }),
+	);
+
+	row.append(days, times);
+	if (onRemove) {
+		row.appendChild(createEditorRemoveButton("Remove meeting", onRemove));
+	}
+	return row;
+}
+
+function createComponentFieldset(component, position, handlers) {
+	const fieldset = document.createElement("fieldset");
+	fieldset.className = "course-editor-component";
+
+	const legend = document.createElement("legend");
+	legend.className = "metadata-section-heading";
+	legend.textContent = `Component ${position}`;
+	fieldset.appendChild(legend);
+	if (handlers.onRemove) {
+		fieldset.appendChild(
+			createEditorRemoveButton(`Remove component ${position}`, handlers.onRemove),
+		);
+	}
+
+	const fields = document.createElement("div");
+	fields.className = "course-editor-grid";
+	fields.append(
+		createEditorField(
+			"Type",
+			createEditorInput(component, "type", { list: "course-editor-types" }),
+		),
+		createEditorField("Section", createEditorInput(component, "section")),
+		createEditorField(
+			"Instructor",
+			createEditorInput(component, "instructor", { placeholder: "TBA" }),
+			true,
+		),
+	);
+	fieldset.appendChild(fields);
+
+	component.meetings.forEach((meeting, index) => {
+		fieldset.appendChild(
+			createMeetingRow(
+				meeting,
+				component.meetings.length > 1
+					? () => handlers.onRemoveMeeting(index)
+					: null,
+			),
+		);
+	});
+	fieldset.appendChild(
+		createEditorAddButton("+ meeting", handlers.onAddMeeting),
+	);
+	return fieldset;
+}
+
+/**
+ * Render a form for adding a course by hand or correcting a stored one.
+ * Saving goes through saveCourse, so the result is validated like any
+ * parsed course.
+ * @param {{ container: HTMLElement, course?: object|null, onSave?: (course: object) => void, onCancel?: () => void }} options
+ */
+export function renderCourseEditor({
+	container,
+	course = null,
+	onSave,
+	onCancel,
+}) {
+	if (!container) return;
+	const draft = createCourseDraft(course);
+
+	const form = document.createElement("form");
+	form.className = "course-editor";
+	form.noValidate = true;
+
+	const error = document.createElement("p");
+	error.className = "course-editor-error";
+	error.setAttribute("role", "alert");
+	error.hidden = true;
+
+	const renderForm = () => {
+		form.innerHTML = "";
+
+		const types = document.createElement("datalist");
+		types.id = "course-editor-types";
+		for (const type of COMPONENT_TYPES) {
+			const option = document.createElement("option");
+			option.value = type;
+			types.appendChild(option);
+		}
+
+		const fields = document.createElement("div");
+		fields.className = "course-editor-grid";
+		fields.append(
+			createEditorField(
+				"Course code",
+				createEditorInput(draft, "courseCode", { placeholder: "CSCI-UA 101" }),
+			),
+			createEditorField(
+				"Section",
+				createEditorInput(draft, "section", { placeholder: "001" }),
+			),
+			createEditorField("Title", createEditorInput(draft, "title"), true),
+			createEditorField(
+				"Credits",
+				createEditorInput(draft, "credits", { type: "number", step: "0.5" }),
+			),
+			createEditorField(
+				"Class #",
+				createEditorInput(draft, "classNumber", { placeholder: "optional" }),
+			),
+		);
+		form.append(types, fields);
+
+		draft.components.forEach((component, index) => {
+			form.appendChild(
+				createComponentFieldset(component, index + 1, {
+					onRemove:
+						draft.components.length > 1
+							? () => {
+									draft.components.splice(index, 1);
+									renderForm();
+								}
+							: null,
+					onAddMeeting: () => {
+						component.meetings.push({
+							original: {},
+							days: [],
+							start: "",
+							end: "",
+							room: "",
+						});
+						renderForm();
+					},
+					onRemoveMeeting: (meetingIndex) => {
+						component.meetings.splice(meetingIndex, 1);
+						renderForm();
+					},
+				}),
+			);
+		});
+
+		form.appendChild(
+			createEditorAddButton("+ component", () => {
+				const [recitation] = createCourseDraft({
+					components: [{ type: "Recitation" }],
+				}).components;
+				draft.components.push(recitation);
+				renderForm();
+			}),
+		);
+
+		const actions = document.createElement("div");
+		actions.className = "course-editor-actions";
+		const save = document.createElement("button");
+		save.type = "submit";
+		save.className = "course-editor-save";
+		save.textContent = course ? "save changes" : "add course";
+		const cancel = document.createElement("button");
+		cancel.type = "button";
+		cancel.className = "course-editor-cancel";
+		cancel.textContent = "cancel";
+		cancel.addEventListener("click", () => onCancel?.());
+		actions.append(save, cancel);
+		form.append(error, actions);
+	};
+
+	form.addEventListener("submit", async (event) => {
+		event.preventDefault();
+		try {
+			const edited = buildEditedCourse(course, draft);
+			await saveCourse(edited);
+			onSave?.(edited);
+		} catch (saveError) {
+			error.textContent = saveError.message;
+			error.hidden = false;
+		}
+	});
+
+	renderForm();
+	container.innerHTML = "";
+	container.appendChild(form);
 }
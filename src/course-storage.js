@@ -1,11 +1,41 @@
 // Course storage using chrome.storage.local
 
-import { STORAGE_KEYS, DEFAULT_BUCKETS } from "./utils/constants.js";
+import {
+	STORAGE_KEYS,
+	CALENDAR_CONFIG,
+	DEFAULT_BUCKETS,
+	DEFAULT_SCHEDULE_CONSTRAINTS,
+	DEFAULT_TERM,
+	DEFAULT_SCENARIO_ID,
+	FRIEND_COLORS,
+	HISTORY_LIMIT,
+	SEARCH_RESULTS_MAX_AGE_MS,
+	SNAPSHOT_INTERVAL_MS,
+	SNAPSHOT_LIMIT,
+	TERM_SCOPED_KEYS,
+} from "./utils/constants.js";
+import { getComponentMeetings } from "./utils/calendar-utils.js";
+import {
+	BASE_SCHEMA_VERSION,
+	SCHEMA_VERSION,
+	migrateStorageData,
+} from "./utils/migrations.js";
+import { normalizeConstraints } from "./utils/schedule-constraints.js";
+import { getTermStorageKey, isValidTermCode } from "./utils/term-utils.js";
+import {
+	getDefaultTermCalendar,
+	parseDate,
+	WEEKDAYS,
+} from "./utils/term-calendar.js";
+
+// Courses that never came from the cart, so a fetch must not drop them
+const KEPT_COURSE_SOURCES = ["search", "manual", "shared"];
 
 const DEFAULT_SETTINGS = {
 	showWeekends: false,
-	startHour: 7,
-	endHour: 22,
+	syncEnabled: false,
+	startHour: CALENDAR_CONFIG.START_HOUR,
+	endHour: CALENDAR_CONFIG.END_HOUR,
 };
 
 function isPlainObject(value) {
@@ -49,20 +79,73 @@ function validateTimeRange(timeRange, context) {
 	}
 }
 
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateDateKey(value, context) {
+	assert(
+		typeof value === "string" &&
+			DATE_KEY_PATTERN.test(value) &&
+			parseDate(value).toISOString().slice(0, 10) === value,
+		`${context} must be a YYYY-MM-DD date`,
+	);
+}
+
+function validateMeetingDates(meeting, context) {
+	const { dateRange = null, session = null } = meeting;
+	if (dateRange !== null) {
+		assert(isPlainObject(dateRange), `${context}.dateRange must be an object or null`);
+		validateDateKey(dateRange.start, `${context}.dateRange.start`);
+		validateDateKey(dateRange.end, `${context}.dateRange.end`);
+		assert(
+			dateRange.start <= dateRange.end,
+			`${context}.dateRange end must not be before start`,
+		);
+	}
+	assert(
+		session === null || (typeof session === "string" && session.trim().length > 0),
+		`${context}.session must be null or a non-empty string`,
+	);
+}
+
+function validateDays(days, context) {
+	assert(Array.isArray(days), `${context} must be an array`);
+	for (const day of days) {
+		assert(
+			typeof day === "string" && day.trim().length > 0,
+			`${context} must contain non-empty strings`,
+		);
+	}
+}
+
+function validateMeeting(meeting, context) {
+	assert(isPlainObject(meeting), `${context} must be an object`);
+	validateDays(meeting.days, `${context}.days`);
+	validateTimeRange(meeting.timeRange ?? null, `${context}.timeRange`);
+	if (meeting.room !== undefined) {
+		assert(typeof meeting.room === "string", `${context}.room must be a string`);
+	}
+	validateMeetingDates({ dateRange: meeting.dateRange }, context);
+}
+
 function validateComponent(component, context) {
 	assert(isPlainObject(component), `${context} must be an object`);
 	assert(
 		typeof component.type === "string" && component.type.trim().length > 0,
 		`${context}.type is required`,
 	);
-	assert(Array.isArray(component.days), `${context}.days must be an array`);
-	for (const day of component.days) {
+	validateDays(component.days, `${context}.days`);
+	validateTimeRange(component.timeRange ?? null, `${context}.timeRange`);
+	validateMeetingDates(component, context);
+	// days/timeRange/room mirror the first meeting for older readers
+	if (component.meetings !== undefined) {
 		assert(
-			typeof day === "string" && day.trim().length > 0,
-			`${context}.days must contain non-empty strings`,
+			Array.isArray(component.meetings),
+			`${context}.meetings must be an array`,
+		);
+		component.meetings.forEach((meeting, index) =>
+			validateMeeting(meeting, `${context}.meetings[${index}]`),
 		);
 	}
-	validateTimeRange(component.timeRange ?? null, `${context}.timeRange`);
 }
 
 function validateCourse(course) {
@@ -123,6 +206,57 @@ function validateBucket(bucket, context = "Bucket") {
 	return bucket;
 }
 
+function validateBusyBlock(block, context = "Busy block") {
+	assert(isPlainObject(block), `${context} must be an object`);
+	assert(
+		typeof block.id === "string" && block.id.trim(),
+		`${context} id is required`,
+	);
+	assert(
+		typeof block.name === "string" && block.name.trim(),
+		`${context} name is required`,
+	);
+	validateDays(block.days, `${context}.days`);
+	assert(block.days.length > 0, `${context} needs at least one day`);
+	assert(block.timeRange, `${context}.timeRange is required`);
+	validateTimeRange(block.timeRange, `${context}.timeRange`);
+	assert(
+		block.timeRange.start && block.timeRange.end,
+		`${context}.timeRange needs a start and an end`,
+	);
+	assert(
+		typeof block.color === "string" && block.color.trim(),
+		`${context} color is required`,
+	);
+	validateMeetingDates({ dateRange: block.dateRange ?? null }, context);
+
+	return block;
+}
+
+function validateFriendSchedule(friend, context = "Friend schedule") {
+	assert(isPlainObject(friend), `${context} must be an object`);
+	assert(
+		typeof friend.id === "string" && friend.id.trim(),
+		`${context} id is required`,
+	);
+	assert(
+		typeof friend.name === "string" && friend.name.trim(),
+		`${context} name is required`,
+	);
+	assert(
+		typeof friend.color === "string" && friend.color.trim(),
+		`${context} color is required`,
+	);
+	assert(
+		typeof friend.visible === "boolean",
+		`${context} visible must be a boolean`,
+	);
+	assert(Array.isArray(friend.courses), `${context} courses must be an array`);
+	friend.courses.forEach(validateCourse);
+
+	return friend;
+}
+
 function validatePlannerSelection(courseIds) {
 	assert(Array.isArray(courseIds), "Planner selection must be an array");
 	for (const id of courseIds) {
@@ -134,37 +268,404 @@ function validatePlannerSelection(courseIds) {
 	return Array.from(new Set(courseIds));
 }
 
+function validateScenarios(scenarios) {
+	assert(isPlainObject(scenarios), "Scenarios must be an object");
+	assert(
+		Array.isArray(scenarios.items) && scenarios.items.length > 0,
+		"Scenarios must contain at least one plan",
+	);
+	const ids = new Set();
+	scenarios.items.forEach((scenario, index) => {
+		assert(isPlainObject(scenario), `Scenario[${index}] must be an object`);
+		assert(
+			typeof scenario.id === "string" && scenario.id.trim(),
+			`Scenario[${index}] id is required`,
+		);
+		assert(!ids.has(scenario.id), `Duplicate scenario id "${scenario.id}"`);
+		assert(
+			typeof scenario.name === "string" && scenario.name.trim(),
+			`Scenario[${index}] name is required`,
+		);
+		ids.add(scenario.id);
+		scenario.courseIds = validatePlannerSelection(scenario.courseIds);
+	});
+	assert(ids.has(scenarios.activeId), "Active scenario must be one of the plans");
+	return scenarios;
+}
+
+function createDefaultScenarios(courseIds = []) {
+	return {
+		activeId: DEFAULT_SCENARIO_ID,
+		items: [{ id: DEFAULT_SCENARIO_ID, name: "Plan A", courseIds }],
+	};
+}
+
+function validateConstraints(constraints) {
+	assert(isPlainObject(constraints), "Schedule constraints must be an object");
+	for (const [id, constraint] of Object.entries(constraints)) {
+		assert(
+			id in DEFAULT_SCHEDULE_CONSTRAINTS,
+			`Unknown schedule constraint "${id}"`,
+		);
+		assert(isPlainObject(constraint), `Constraint ${id} must be an object`);
+		assert(
+			typeof constraint.enabled === "boolean",
+			`Constraint ${id}.enabled must be a boolean`,
+		);
+		assert(
+			typeof constraint.hard === "boolean",
+			`Constraint ${id}.hard must be a boolean`,
+		);
+	}
+	validateTimeObject(
+		constraints.earliestStart?.value ?? null,
+		"Constraint earliestStart.value",
+	);
+	validateTimeObject(
+		constraints.latestEnd?.value ?? null,
+		"Constraint latestEnd.value",
+	);
+	if (constraints.freeDays) {
+		assert(
+			Array.isArray(constraints.freeDays.value),
+			"Constraint freeDays.value must be an array",
+		);
+	}
+	for (const id of ["maxConsecutiveHours", "minLunchWindow", "maxGap"]) {
+		if (!constraints[id]) continue;
+		assert(
+			typeof constraints[id].value === "number" &&
+				Number.isFinite(constraints[id].value) &&
+				constraints[id].value >= 0,
+			`Constraint ${id}.value must be a non-negative number`,
+		);
+	}
+	return constraints;
+}
+
+function validateSearchSection(section, context) {
+	assert(isPlainObject(section), `${context} must be an object`);
+	for (const field of ["id", "courseCode", "section"]) {
+		assert(
+			typeof section[field] === "string" && section[field].trim().length > 0,
+			`${context}.${field} is required`,
+		);
+	}
+	assert(Array.isArray(section.days), `${context}.days must be an array`);
+	validateTimeRange(section.timeRange ?? null, `${context}.timeRange`);
+	validateMeetingDates(section, context);
+	if (section.meetings !== undefined) {
+		assert(
+			Array.isArray(section.meetings),
+			`${context}.meetings must be an array`,
+		);
+		section.meetings.forEach((meeting, index) =>
+			validateMeeting(meeting, `${context}.meetings[${index}]`),
+		);
+	}
+	return section;
+}
+
+function validateTermCalendar(calendar) {
+	assert(isPlainObject(calendar), "Term calendar must be an object");
+	validateDateKey(calendar.firstDay, "Term calendar firstDay");
+	validateDateKey(calendar.lastDay, "Term calendar lastDay");
+	assert(
+		calendar.firstDay <= calendar.lastDay,
+		"Term calendar lastDay must not be before firstDay",
+	);
+
+	const normalized = {
+		firstDay: calendar.firstDay,
+		lastDay: calendar.lastDay,
+		breaks: calendar.breaks ?? [],
+		holidays: calendar.holidays ?? [],
+		substitutions: calendar.substitutions ?? [],
+	};
+	for (const key of ["breaks", "holidays", "substitutions"]) {
+		assert(
+			Array.isArray(normalized[key]),
+			`Term calendar ${key} must be an array`,
+		);
+		normalized[key].forEach((item, index) => {
+			assert(isPlainObject(item), `Term calendar ${key}[${index}] must be an object`);
+			assert(
+				item.name === undefined || typeof item.name === "string",
+				`Term calendar ${key}[${index}].name must be a string`,
+			);
+		});
+	}
+
+	normalized.breaks.forEach((range, index) => {
+		validateDateKey(range.start, `Term calendar breaks[${index}].start`);
+		validateDateKey(range.end, `Term calendar breaks[${index}].end`);
+		assert(
+			range.start <= range.end,
+			`Term calendar breaks[${index}] ends before it starts`,
+		);
+	});
+	normalized.holidays.forEach((holiday, index) =>
+		validateDateKey(holiday.date, `Term calendar holidays[${index}].date`),
+	);
+	normalized.substitutions.forEach((substitution, index) => {
+		validateDateKey(
+			substitution.date,
+			`Term calendar substitutions[${index}].date`,
+		);
+		assert(
+			WEEKDAYS.includes(substitution.followsDay),
+			`Term calendar substitutions[${index}].followsDay must be one of ${WEEKDAYS.join(", ")}`,
+		);
+	});
+
+	return normalized;
+}
+
 /**
- * Initialize storage with defaults
+ * Group term-scoped storage entries by term. Expects data at SCHEMA_VERSION;
+ * older backups go through migrateStorageData first.
  */
-export async function initializeStorage() {
-	const result = await chrome.storage.local.get([
-		STORAGE_KEYS.COURSES,
-		STORAGE_KEYS.BUCKETS,
-		STORAGE_KEYS.SETTINGS,
-		STORAGE_KEYS.PLANNER_SELECTION,
-	]);
+function collectBackupTerms(data) {
+	const byTerm = {};
+
+	for (const [storageKey, value] of Object.entries(data)) {
+		const separator = storageKey.indexOf(":");
+		if (separator === -1) continue;
+		const term = storageKey.slice(0, separator);
+		const key = storageKey.slice(separator + 1);
+		if (!TERM_SCOPED_KEYS.includes(key) || !isValidTermCode(term)) continue;
+		byTerm[term] = { ...byTerm[term], [key]: value };
+	}
+
+	return byTerm;
+}
+
+function validateBackupTerm(term, data) {
+	const courses = data[STORAGE_KEYS.COURSES] || [];
+	const buckets = data[STORAGE_KEYS.BUCKETS] || DEFAULT_BUCKETS;
+	const scenarios = data[STORAGE_KEYS.SCENARIOS] || createDefaultScenarios();
+	const ratings = data[STORAGE_KEYS.PROFESSOR_RATINGS] || {};
+
+	assert(Array.isArray(courses), `Imported ${term} courses must be an array`);
+	for (let index = 0; index < courses.length; index += 1) {
+		validateCourse(courses[index]);
+	}
+
+	assert(Array.isArray(buckets), `Imported ${term} buckets must be an array`);
+	for (let index = 0; index < buckets.length; index += 1) {
+		validateBucket(buckets[index], `Bucket[${index}]`);
+	}
+
+	assert(isPlainObject(ratings), `Imported ${term} ratings must be an object`);
+
+	const busyBlocks = data[STORAGE_KEYS.BUSY_BLOCKS] || [];
+	assert(
+		Array.isArray(busyBlocks),
+		`Imported ${term} busy blocks must be an array`,
+	);
+	busyBlocks.forEach((block, index) =>
+		validateBusyBlock(block, `Busy block[${index}]`),
+	);
+
+	const friendSchedules = data[STORAGE_KEYS.FRIEND_SCHEDULES] || [];
+	assert(
+		Array.isArray(friendSchedules),
+		`Imported ${term} friend schedules must be an array`,
+	);
+	friendSchedules.forEach((friend, index) =>
+		validateFriendSchedule(friend, `Friend schedule[${index}]`),
+	);
+
+	const validated = {
+		[getTermStorageKey(term, STORAGE_KEYS.COURSES)]: courses,
+		[getTermStorageKey(term, STORAGE_KEYS.BUCKETS)]: buckets,
+		[getTermStorageKey(term, STORAGE_KEYS.SCENARIOS)]:
+			validateScenarios(scenarios),
+		[getTermStorageKey(term, STORAGE_KEYS.PROFESSOR_RATINGS)]: ratings,
+		[getTermStorageKey(term, STORAGE_KEYS.BUSY_BLOCKS)]: busyBlocks,
+		[getTermStorageKey(term, STORAGE_KEYS.FRIEND_SCHEDULES)]:
+			friendSchedules,
+	};
+	if (data[STORAGE_KEYS.TERM_CALENDAR]) {
+		validated[getTermStorageKey(term, STORAGE_KEYS.TERM_CALENDAR)] =
+			validateTermCalendar(data[STORAGE_KEYS.TERM_CALENDAR]);
+	}
+	return validated;
+}
+
+// Defaults written for a term the first time it's used
+const TERM_DEFAULTS = {
+	[STORAGE_KEYS.COURSES]: [],
+	[STORAGE_KEYS.BUCKETS]: DEFAULT_BUCKETS,
+};
+
+async function getTermValue(key) {
+	const storageKey = getTermStorageKey(await getActiveTerm(), key);
+	const result = await chrome.storage.local.get(storageKey);
+	return result[storageKey];
+}
+
+async function scopeTermValues(values, term = null) {
+	const targetTerm = term || (await getActiveTerm());
+	const scoped = {};
+	for (const [key, value] of Object.entries(values)) {
+		scoped[getTermStorageKey(targetTerm, key)] = value;
+	}
+	return scoped;
+}
+
+async function setTermValues(values, term = null) {
+	await setLocalValues(await scopeTermValues(values, term));
+}
+
+// Same as setTermValues, but the write becomes an undo step
+async function commitTermValues(label, values, term = null) {
+	await writeWithHistory(label, await scopeTermValues(values, term));
+}
+
+async function initializeTerm(term) {
+	const scenariosKey = getTermStorageKey(term, STORAGE_KEYS.SCENARIOS);
+	const storageKeys = Object.keys(TERM_DEFAULTS).map((key) =>
+		getTermStorageKey(term, key),
+	);
+	const result = await chrome.storage.local.get([...storageKeys, scenariosKey]);
 	const pending = {};
 
-	if (!Array.isArray(result[STORAGE_KEYS.BUCKETS])) {
-		pending[STORAGE_KEYS.BUCKETS] = DEFAULT_BUCKETS;
+	for (const [key, fallback] of Object.entries(TERM_DEFAULTS)) {
+		const storageKey = getTermStorageKey(term, key);
+		if (!Array.isArray(result[storageKey])) {
+			pending[storageKey] = fallback;
+		}
+	}
+
+	if (!isPlainObject(result[scenariosKey])) {
+		pending[scenariosKey] = createDefaultScenarios();
+	}
+
+	if (Object.keys(pending).length > 0) {
+		await chrome.storage.local.set(pending);
+	}
+}
+
+// Bring stored data up to SCHEMA_VERSION (see utils/migrations.js), saving a
+// restore point of the old data first
+async function migrateStorage() {
+	const data = await chrome.storage.local.get(null);
+	const version = data[STORAGE_KEYS.SCHEMA_VERSION] ?? BASE_SCHEMA_VERSION;
+	if (version === SCHEMA_VERSION) return;
+	if (version > SCHEMA_VERSION) {
+		console.warn(
+			`[Albert Enhancer] Storage schema ${version} is newer than ${SCHEMA_VERSION}; leaving it as is`,
+		);
+		return;
+	}
+
+	const hasData = Object.keys(data).some(
+		(key) => key !== STORAGE_KEYS.SNAPSHOTS,
+	);
+	if (hasData) {
+		await createSnapshot("Before upgrade");
+	}
+	const migrated = migrateStorageData(data, version);
+	const pending = {};
+	for (const [key, value] of Object.entries(migrated)) {
+		if (!isSameValue(data[key], value)) pending[key] = value;
 	}
+	const removed = Object.keys(data).filter((key) => !(key in migrated));
 
-	if (!Array.isArray(result[STORAGE_KEYS.COURSES])) {
-		pending[STORAGE_KEYS.COURSES] = [];
+	await chrome.storage.local.set(pending);
+	if (removed.length > 0) {
+		await chrome.storage.local.remove(removed);
 	}
+}
+
+/**
+ * Initialize storage: run pending schema migrations, then fill in defaults
+ * and this device's sync id
+ */
+export async function initializeStorage() {
+	await migrateStorage();
+	const activeTerm = await getActiveTerm();
+	const result = await chrome.storage.local.get([
+		STORAGE_KEYS.SETTINGS,
+		STORAGE_KEYS.ACTIVE_TERM,
+		STORAGE_KEYS.SYNC_STATE,
+	]);
+	const pending = {};
 
 	if (!isPlainObject(result[STORAGE_KEYS.SETTINGS])) {
 		pending[STORAGE_KEYS.SETTINGS] = { ...DEFAULT_SETTINGS };
 	}
 
-	if (!Array.isArray(result[STORAGE_KEYS.PLANNER_SELECTION])) {
-		pending[STORAGE_KEYS.PLANNER_SELECTION] = [];
+	if (result[STORAGE_KEYS.ACTIVE_TERM] !== activeTerm) {
+		pending[STORAGE_KEYS.ACTIVE_TERM] = activeTerm;
+	}
+
+	// Created here only, so every sync from this device carries the same id
+	const syncState = result[STORAGE_KEYS.SYNC_STATE];
+	if (!syncState?.deviceId) {
+		pending[STORAGE_KEYS.SYNC_STATE] = {
+			...syncState,
+			deviceId: crypto.randomUUID(),
+		};
 	}
 
 	if (Object.keys(pending).length > 0) {
 		await chrome.storage.local.set(pending);
 	}
+
+	await registerTerm(activeTerm);
+	await initializeTerm(activeTerm);
+}
+
+// ============ Term Operations ============
+
+/**
+ * Get the term whose courses, buckets and selection are being planned
+ * @returns {Promise<string>} Albert term code
+ */
+export async function getActiveTerm() {
+	const result = await chrome.storage.local.get(STORAGE_KEYS.ACTIVE_TERM);
+	const term = result[STORAGE_KEYS.ACTIVE_TERM];
+	return isValidTermCode(term) ? term : DEFAULT_TERM;
+}
+
+/**
+ * Switch the planned term, creating its storage on first use
+ * @param {string} term - Albert term code
+ */
+export async function setActiveTerm(term) {
+	assert(isValidTermCode(term), `Invalid term code "${term}"`);
+	await registerTerm(term);
+	await initializeTerm(term);
+	await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_TERM]: term });
+}
+
+/**
+ * Get every term that has been detected or planned, oldest first
+ * @returns {Promise<string[]>}
+ */
+export async function getKnownTerms() {
+	const result = await chrome.storage.local.get(STORAGE_KEYS.KNOWN_TERMS);
+	const terms = result[STORAGE_KEYS.KNOWN_TERMS];
+	return Array.isArray(terms) ? terms.filter(isValidTermCode).sort() : [];
+}
+
+/**
+ * Remember a term (e.g. one detected on an Albert page) without switching to it
+ * @param {string} term - Albert term code
+ * @returns {Promise<boolean>} Whether the term was new
+ */
+export async function registerTerm(term) {
+	assert(isValidTermCode(term), `Invalid term code "${term}"`);
+	const terms = await getKnownTerms();
+	if (terms.includes(term)) {
+		return false;
+	}
+	await chrome.storage.local.set({
+		[STORAGE_KEYS.KNOWN_TERMS]: [...terms, term].sort(),
+	});
+	return true;
 }
 
 // ============ Course Operations ============
@@ -174,8 +675,7 @@ export async function initializeStorage() {
  * @returns {Promise<object[]>}
  */
 export async function getCourses() {
-	const result = await chrome.storage.local.get(STORAGE_KEYS.COURSES);
-	const courses = result[STORAGE_KEYS.COURSES];
+	const courses = await getTermValue(STORAGE_KEYS.COURSES);
 	return Array.isArray(courses) ? courses : [];
 }
 
@@ -194,7 +694,156 @@ export async function saveCourse(course) {
 		courses.push(course);
 	}
 
-	await chrome.storage.local.set({ [STORAGE_KEYS.COURSES]: courses });
+	await commitTermValues(index >= 0 ? "Edit course" : "Add course", {
+		[STORAGE_KEYS.COURSES]: courses,
+	});
+}
+
+function formatMeeting(component) {
+	if (!component) return "TBA";
+	const pad = (value) => String(value).padStart(2, "0");
+	return getComponentMeetings(component)
+		.map(({ days, timeRange }) => {
+			if (!timeRange) return "TBA";
+			const { start, end } = timeRange;
+			return `${days.join("/")} ${start.hours}:${pad(start.minutes)}-${end.hours}:${pad(end.minutes)}`;
+		})
+		.join(", ");
+}
+
+/**
+ * List meeting fields that differ between a stored course and its re-fetched copy
+ * @returns {{ field: string, before: string, after: string }[]}
+ */
+function diffCourseMeetings(previous, next) {
+	const changes = [];
+	const fields = [
+		{ field: "time", read: formatMeeting },
+		{
+			field: "room",
+			read: (component) =>
+				component
+					? getComponentMeetings(component)
+							.map((meeting) => meeting.room || "TBA")
+							.join(", ")
+					: "TBA",
+		},
+		{ field: "instructor", read: (component) => component?.instructor || "TBA" },
+	];
+	const count = Math.max(
+		previous.components?.length || 0,
+		next.components?.length || 0,
+	);
+
+	for (let index = 0; index < count; index += 1) {
+		const before = previous.components?.[index];
+		const after = next.components?.[index];
+		for (const { field, read } of fields) {
+			const beforeValue = read(before);
+			const afterValue = read(after);
+			if (beforeValue !== afterValue) {
+				changes.push({ field, before: beforeValue, after: afterValue });
+			}
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Merge a freshly fetched shopping cart into stored courses.
+ * Courses are matched by id, then class number. Ids, buckets, notes and
+ * addedAt survive the fetch; cart courses missing from the fetch are flagged
+ * droppedFromCart instead of deleted. Courses added from class search or
+ * entered by hand are left alone since they were never in the cart.
+ * @param {object[]} fetchedCourses
+ * @returns {Promise<{ added: object[], removed: object[], changed: { course: object, changes: object[] }[], unchanged: number }>}
+ */
+export async function mergeFetchedCourses(fetchedCourses) {
+	assert(Array.isArray(fetchedCourses), "Fetched courses must be an array");
+	fetchedCourses.forEach(validateCourse);
+
+	await createSnapshot("Before fetch");
+	const stored = await getCourses();
+	const byId = new Map(stored.map((course) => [course.id, course]));
+	const byClassNumber = new Map(
+		stored
+			.filter((course) => course.classNumber)
+			.map((course) => [course.classNumber, course]),
+	);
+	const matchedIds = new Set();
+	const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+	const merged = [];
+
+	for (const fetched of fetchedCourses) {
+		const existing =
+			byId.get(fetched.id) ||
+			(fetched.classNumber && byClassNumber.get(fetched.classNumber));
+
+		if (!existing) {
+			merged.push(fetched);
+			diff.added.push(fetched);
+			continue;
+		}
+
+		matchedIds.add(existing.id);
+		// A search-added, manual or shared section that shows up in the cart is
+		// now a cart course
+		const { droppedFromCart, source, ...kept } = existing;
+		const next = {
+			...kept,
+			...fetched,
+			// Scenarios list courses by id, so a class number match keeps the
+			// stored one
+			id: existing.id,
+			bucket: existing.bucket ?? null,
+			addedAt: existing.addedAt ?? fetched.addedAt,
+		};
+		if (existing.notes !== undefined) {
+			next.notes = existing.notes;
+		}
+		merged.push(next);
+
+		const changes = diffCourseMeetings(existing, next);
+		if (droppedFromCart || KEPT_COURSE_SOURCES.includes(source)) {
+			diff.added.push(next);
+		} else if (changes.length) {
+			diff.changed.push({ course: next, changes });
+		} else {
+			diff.unchanged += 1;
+		}
+	}
+
+	for (const course of stored) {
+		if (matchedIds.has(course.id)) continue;
+		if (KEPT_COURSE_SOURCES.includes(course.source) || course.droppedFromCart) {
+			merged.push(course);
+			continue;
+		}
+		const dropped = { ...course, droppedFromCart: true };
+		merged.push(dropped);
+		diff.removed.push(dropped);
+	}
+
+	await commitTermValues("Fetch from Albert", {
+		[STORAGE_KEYS.COURSES]: merged,
+	});
+	return diff;
+}
+
+/**
+ * Remove every course and the planner selection for the active term
+ */
+export async function clearCourses() {
+	await createSnapshot("Before clearing courses");
+	const scenarios = await getScenarios();
+	for (const scenario of scenarios.items) {
+		scenario.courseIds = [];
+	}
+	await commitTermValues("Clear all courses", {
+		[STORAGE_KEYS.COURSES]: [],
+		[STORAGE_KEYS.SCENARIOS]: scenarios,
+	});
 }
 
 /**
@@ -204,7 +853,7 @@ export async function saveCourse(course) {
 export async function removeCourse(courseId) {
 	const courses = await getCourses();
 	const filtered = courses.filter((c) => c.id !== courseId);
-	await chrome.storage.local.set({ [STORAGE_KEYS.COURSES]: filtered });
+	await commitTermValues("Remove course", { [STORAGE_KEYS.COURSES]: filtered });
 }
 
 /**
@@ -219,7 +868,7 @@ export async function assignCourseToBucket(courseId, bucketId) {
 	if (course) {
 		course.bucket = bucketId;
 		course.updatedAt = Date.now();
-		await chrome.storage.local.set({ [STORAGE_KEYS.COURSES]: courses });
+		await commitTermValues("Move course", { [STORAGE_KEYS.COURSES]: courses });
 	}
 }
 
@@ -240,8 +889,7 @@ export async function getCoursesByBucket(bucketId) {
  * @returns {Promise<object[]>}
  */
 export async function getBuckets() {
-	const result = await chrome.storage.local.get(STORAGE_KEYS.BUCKETS);
-	const buckets = result[STORAGE_KEYS.BUCKETS];
+	const buckets = await getTermValue(STORAGE_KEYS.BUCKETS);
 	return Array.isArray(buckets) ? buckets : DEFAULT_BUCKETS;
 }
 
@@ -269,7 +917,7 @@ export async function createBucket(bucket) {
 	const nextBucket = validateBucket({ id, ...bucket });
 	buckets.push(nextBucket);
 	buckets.sort((a, b) => a.priority - b.priority);
-	await chrome.storage.local.set({ [STORAGE_KEYS.BUCKETS]: buckets });
+	await commitTermValues("Create bucket", { [STORAGE_KEYS.BUCKETS]: buckets });
 	return id;
 }
 
@@ -290,7 +938,7 @@ export async function updateBucket(bucketId, updates) {
 	if (bucket) {
 		const nextBucket = validateBucket({ ...bucket, ...updates });
 		Object.assign(bucket, nextBucket);
-		await chrome.storage.local.set({ [STORAGE_KEYS.BUCKETS]: buckets });
+		await commitTermValues("Edit bucket", { [STORAGE_KEYS.BUCKETS]: buckets });
 	}
 }
 
@@ -310,53 +958,549 @@ export async function deleteBucket(bucketId) {
 		course.bucket === bucketId ? { ...course, bucket: null } : course,
 	);
 
-	await chrome.storage.local.set({
+	await commitTermValues("Delete bucket", {
 		[STORAGE_KEYS.BUCKETS]: filteredBuckets,
 		[STORAGE_KEYS.COURSES]: nextCourses,
 	});
 }
 
-// ============ Planner Selection Operations ============
+// ============ Busy Block Operations ============
 
-export async function getPlannerSelection() {
-	const result = await chrome.storage.local.get(STORAGE_KEYS.PLANNER_SELECTION);
-	const plannerSelection = result[STORAGE_KEYS.PLANNER_SELECTION];
-	return Array.isArray(plannerSelection) ? plannerSelection : [];
+/**
+ * Get the term's personal busy blocks (work, commute, club meetings)
+ * @returns {Promise<{ id: string, name: string, days: string[], timeRange: object, color: string, dateRange?: { start: string, end: string } | null }[]>}
+ */
+export async function getBusyBlocks() {
+	const blocks = await getTermValue(STORAGE_KEYS.BUSY_BLOCKS);
+	return Array.isArray(blocks) ? blocks : [];
 }
 
-export async function setPlannerSelection(courseIds) {
-	const validated = validatePlannerSelection(courseIds);
-	await chrome.storage.local.set({
-		[STORAGE_KEYS.PLANNER_SELECTION]: validated,
+/**
+ * Save a busy block (add, or update the one with the same id)
+ * @param {object} block - { id?, name, days, timeRange, color, dateRange? }
+ * @returns {Promise<string>} The block's id
+ */
+export async function saveBusyBlock(block) {
+	assert(isPlainObject(block), "Busy block payload must be an object");
+	const nextBlock = validateBusyBlock({
+		...block,
+		id: block.id || `busy-${Date.now()}`,
+		name: typeof block.name === "string" ? block.name.trim() : block.name,
 	});
-}
+	const blocks = await getBusyBlocks();
+	const index = blocks.findIndex((b) => b.id === nextBlock.id);
 
-export async function addCourseToPlannerSelection(courseId) {
-	if (!courseId) return;
-	const selection = await getPlannerSelection();
-	if (selection.includes(courseId)) {
-		return;
+	if (index >= 0) {
+		blocks[index] = nextBlock;
+	} else {
+		blocks.push(nextBlock);
 	}
-	selection.push(courseId);
-	await setPlannerSelection(selection);
-}
 
-export async function removeCourseFromPlannerSelection(courseId) {
-	if (!courseId) return;
-	const selection = await getPlannerSelection();
-	const filtered = selection.filter((id) => id !== courseId);
-	await setPlannerSelection(filtered);
+	await commitTermValues(index >= 0 ? "Edit busy time" : "Add busy time", {
+		[STORAGE_KEYS.BUSY_BLOCKS]: blocks,
+	});
+	return nextBlock.id;
+}
+
+/**
+ * Remove a busy block by ID
+ * @param {string} blockId
+ */
+export async function removeBusyBlock(blockId) {
+	const blocks = await getBusyBlocks();
+	await commitTermValues("Remove busy time", {
+		[STORAGE_KEYS.BUSY_BLOCKS]: blocks.filter((b) => b.id !== blockId),
+	});
+}
+
+// ============ Friend Schedules ============
+
+// What a friend's course keeps; buckets and notes are their own business
+const FRIEND_COURSE_FIELDS = [
+	"id",
+	"courseCode",
+	"section",
+	"classNumber",
+	"title",
+	"credits",
+	"components",
+];
+
+/**
+ * Get the friends' schedules loaded for the term, shown as layers on the
+ * weekly view
+ * @returns {Promise<{ id: string, name: string, color: string, visible: boolean, courses: object[], exportedAt: string|null }[]>}
+ */
+export async function getFriendSchedules() {
+	const friends = await getTermValue(STORAGE_KEYS.FRIEND_SCHEDULES);
+	return Array.isArray(friends) ? friends : [];
+}
+
+/**
+ * Load the planned courses from someone's exported backup (see exportData)
+ * for the active term. A friend already loaded under the same name is
+ * replaced, so loading a newer export updates them.
+ * @param {object} backup
+ * @param {string} name
+ * @returns {Promise<object>} The friend's schedule
+ */
+export async function addFriendSchedule(backup, name) {
+	assert(typeof name === "string" && name.trim(), "Friend name is required");
+	const term = await getActiveTerm();
+	const { terms } = readBackup(backup);
+	const termData = terms[term];
+	assert(termData, `The file has no plan for term ${term}`);
+
+	const scenarios = termData[getTermStorageKey(term, STORAGE_KEYS.SCENARIOS)];
+	const scenario =
+		scenarios.items.find((item) => item.id === scenarios.activeId) ||
+		scenarios.items[0];
+	const plannedIds = new Set(scenario.courseIds);
+	const courses = termData[getTermStorageKey(term, STORAGE_KEYS.COURSES)]
+		.filter((course) => plannedIds.has(course.id))
+		.map((course) =>
+			Object.fromEntries(
+				FRIEND_COURSE_FIELDS.filter((field) => field in course).map(
+					(field) => [field, course[field]],
+				),
+			),
+		);
+	assert(
+		courses.length > 0,
+		`The file has no planned courses for term ${term}`,
+	);
+
+	const friends = await getFriendSchedules();
+	const trimmedName = name.trim();
+	const index = friends.findIndex(
+		(friend) => friend.name.toLowerCase() === trimmedName.toLowerCase(),
+	);
+	const previous = friends[index];
+	const friend = validateFriendSchedule({
+		id: previous?.id ?? `friend-${Date.now()}`,
+		name: trimmedName,
+		color:
+			previous?.color ?? FRIEND_COLORS[friends.length % FRIEND_COLORS.length],
+		visible: true,
+		courses,
+		exportedAt:
+			typeof backup.exportedAt === "string" ? backup.exportedAt : null,
+	});
+	if (index >= 0) {
+		friends[index] = friend;
+	} else {
+		friends.push(friend);
+	}
+
+	const label = previous ? "Update friend schedule" : "Add friend schedule";
+	await commitTermValues(label, {
+		[STORAGE_KEYS.FRIEND_SCHEDULES]: friends,
+	});
+	return friend;
+}
+
+/**
+ * Show or hide a friend's layer. Not an undo step, like other view settings.
+ * @param {string} friendId
+ * @param {boolean} visible
+ */
+export async function setFriendScheduleVisible(friendId, visible) {
+	const friends = await getFriendSchedules();
+	const friend = friends.find((item) => item.id === friendId);
+	assert(friend, `Friend schedule "${friendId}" not found`);
+	friend.visible = Boolean(visible);
+	await setTermValues({ [STORAGE_KEYS.FRIEND_SCHEDULES]: friends });
+}
+
+/**
+ * Remove a friend's schedule by ID
+ * @param {string} friendId
+ */
+export async function removeFriendSchedule(friendId) {
+	const friends = await getFriendSchedules();
+	await commitTermValues("Remove friend schedule", {
+		[STORAGE_KEYS.FRIEND_SCHEDULES]: friends.filter(
+			(friend) => friend.id !== friendId,
+		),
+	});
+}
+
+// ============ Scenario Operations ============
+
+/**
+ * Get the term's named planner scenarios
+ * @returns {Promise<{ activeId: string, items: { id: string, name: string, courseIds: string[] }[] }>}
+ */
+export async function getScenarios() {
+	const scenarios = await getTermValue(STORAGE_KEYS.SCENARIOS);
+	if (isPlainObject(scenarios) && scenarios.items?.length) {
+		return scenarios;
+	}
+	// Storage not yet migrated (see utils/migrations.js) has a single selection
+	const selection = await getTermValue(STORAGE_KEYS.PLANNER_SELECTION);
+	return createDefaultScenarios(Array.isArray(selection) ? selection : []);
+}
+
+async function saveScenarios(scenarios, label) {
+	await commitTermValues(label, {
+		[STORAGE_KEYS.SCENARIOS]: validateScenarios(scenarios),
+	});
+}
+
+function findScenario(scenarios, scenarioId) {
+	const scenario = scenarios.items.find((item) => item.id === scenarioId);
+	assert(scenario, `Scenario "${scenarioId}" not found`);
+	return scenario;
+}
+
+function nextScenarioName(scenarios) {
+	const names = new Set(scenarios.items.map((item) => item.name));
+	for (let code = 65; code <= 90; code += 1) {
+		const name = `Plan ${String.fromCharCode(code)}`;
+		if (!names.has(name)) return name;
+	}
+	return `Plan ${scenarios.items.length + 1}`;
+}
+
+/**
+ * Switch the scenario shown in the planner
+ * @param {string} scenarioId
+ */
+export async function setActiveScenario(scenarioId) {
+	const scenarios = await getScenarios();
+	findScenario(scenarios, scenarioId);
+	scenarios.activeId = scenarioId;
+	await saveScenarios(scenarios, "Switch scenario");
+}
+
+/**
+ * Create an empty scenario and switch to it
+ * @param {string} [name] - Defaults to the next free "Plan X"
+ * @returns {Promise<string>} New scenario id
+ */
+export async function createScenario(name) {
+	const scenarios = await getScenarios();
+	const id = `scenario-${Date.now()}`;
+	scenarios.items.push({
+		id,
+		name: name?.trim() || nextScenarioName(scenarios),
+		courseIds: [],
+	});
+	scenarios.activeId = id;
+	await saveScenarios(scenarios, "Create scenario");
+	return id;
+}
+
+/**
+ * Copy a scenario's courses into a new scenario and switch to it
+ * @param {string} scenarioId
+ * @param {string} [name] - Defaults to the next free "Plan X"
+ * @returns {Promise<string>} New scenario id
+ */
+export async function duplicateScenario(scenarioId, name) {
+	const scenarios = await getScenarios();
+	const source = findScenario(scenarios, scenarioId);
+	const id = `scenario-${Date.now()}`;
+	scenarios.items.push({
+		id,
+		name: name?.trim() || nextScenarioName(scenarios),
+		courseIds: [...source.courseIds],
+	});
+	scenarios.activeId = id;
+	await saveScenarios(scenarios, "Duplicate scenario");
+	return id;
+}
+
+/**
+ * Rename a scenario
+ * @param {string} scenarioId
+ * @param {string} name
+ */
+export async function renameScenario(scenarioId, name) {
+	assert(typeof name === "string" && name.trim(), "Scenario name is required");
+	const scenarios = await getScenarios();
+	findScenario(scenarios, scenarioId).name = name.trim();
+	await saveScenarios(scenarios, "Rename scenario");
+}
+
+/**
+ * Delete a scenario. The last remaining scenario can't be deleted.
+ * @param {string} scenarioId
+ */
+export async function deleteScenario(scenarioId) {
+	const scenarios = await getScenarios();
+	findScenario(scenarios, scenarioId);
+	assert(scenarios.items.length > 1, "Cannot delete the only scenario");
+	scenarios.items = scenarios.items.filter((item) => item.id !== scenarioId);
+	if (scenarios.activeId === scenarioId) {
+		scenarios.activeId = scenarios.items[0].id;
+	}
+	await saveScenarios(scenarios, "Delete scenario");
+}
+
+/**
+ * Add a plan someone shared as a new scenario and switch to it. Courses
+ * already stored (same id or class number) are reused; the rest are added
+ * without a bucket and kept by later cart fetches, like search-added ones.
+ * @param {{ term: string, name: string, courses: object[] }} plan - See
+ *   decodeSharedPlan in utils/share-codec.js
+ * @param {string} [name] - Defaults to the next free "Plan X"
+ * @returns {Promise<{ scenarioId: string, added: number, reused: number }>}
+ */
+export async function importSharedPlan(plan, name) {
+	assert(
+		plan.term === (await getActiveTerm()),
+		`Shared plan is for term ${plan.term}; switch to it first`,
+	);
+	const [courses, scenarios] = await Promise.all([
+		getCourses(),
+		getScenarios(),
+	]);
+	const byId = new Map(courses.map((course) => [course.id, course]));
+	const byClassNumber = new Map(
+		courses
+			.filter((course) => course.classNumber)
+			.map((course) => [course.classNumber, course]),
+	);
+
+	const added = [];
+	const courseIds = [];
+	for (const shared of plan.courses) {
+		const existing =
+			byId.get(shared.id) ||
+			(shared.classNumber && byClassNumber.get(shared.classNumber));
+		if (existing) {
+			courseIds.push(existing.id);
+			continue;
+		}
+		const course = validateCourse({
+			...shared,
+			bucket: null,
+			addedAt: Date.now(),
+			source: "shared",
+		});
+		added.push(course);
+		byId.set(course.id, course);
+		courseIds.push(course.id);
+	}
+
+	const id = `scenario-${Date.now()}`;
+	scenarios.items.push({
+		id,
+		name: name?.trim() || nextScenarioName(scenarios),
+		courseIds: Array.from(new Set(courseIds)),
+	});
+	scenarios.activeId = id;
+	await commitTermValues("Import shared plan", {
+		[STORAGE_KEYS.COURSES]: [...courses, ...added],
+		[STORAGE_KEYS.SCENARIOS]: validateScenarios(scenarios),
+	});
+	return {
+		scenarioId: id,
+		added: added.length,
+		reused: courseIds.length - added.length,
+	};
+}
+
+// ============ Planner Selection Operations ============
+
+/**
+ * Course ids planned in the active scenario
+ * @returns {Promise<string[]>}
+ */
+export async function getPlannerSelection() {
+	const scenarios = await getScenarios();
+	return [...findScenario(scenarios, scenarios.activeId).courseIds];
+}
+
+/**
+ * Replace the active scenario's planned course ids
+ * @param {string[]} courseIds
+ */
+export async function setPlannerSelection(courseIds) {
+	await savePlannerSelection(courseIds, "Update plan");
+}
+
+async function savePlannerSelection(courseIds, label) {
+	const validated = validatePlannerSelection(courseIds);
+	const scenarios = await getScenarios();
+	findScenario(scenarios, scenarios.activeId).courseIds = validated;
+	await saveScenarios(scenarios, label);
+}
+
+export async function addCourseToPlannerSelection(courseId) {
+	if (!courseId) return;
+	const selection = await getPlannerSelection();
+	if (selection.includes(courseId)) {
+		return;
+	}
+	selection.push(courseId);
+	await savePlannerSelection(selection, "Add to plan");
+}
+
+export async function removeCourseFromPlannerSelection(courseId) {
+	if (!courseId) return;
+	const selection = await getPlannerSelection();
+	const filtered = selection.filter((id) => id !== courseId);
+	await savePlannerSelection(filtered, "Remove from plan");
+}
+
+// ============ Schedule Constraint Operations ============
+
+/**
+ * Get schedule constraints, filled in with defaults
+ * @returns {Promise<object>}
+ */
+export async function getScheduleConstraints() {
+	const result = await chrome.storage.local.get(
+		STORAGE_KEYS.SCHEDULE_CONSTRAINTS,
+	);
+	return normalizeConstraints(result[STORAGE_KEYS.SCHEDULE_CONSTRAINTS]);
+}
+
+/**
+ * Replace schedule constraints
+ * @param {object} constraints
+ */
+export async function setScheduleConstraints(constraints) {
+	const normalized = validateConstraints(normalizeConstraints(constraints));
+	await writeWithHistory("Change constraints", {
+		[STORAGE_KEYS.SCHEDULE_CONSTRAINTS]: normalized,
+	});
+}
+
+// ============ Term Calendar Operations ============
+
+/**
+ * Get the academic calendar of a term: the user's override if they saved one,
+ * otherwise the bundled registrar dates
+ * @param {string} [term] - Albert term code, defaults to the active term
+ * @returns {Promise<object|null>} null when no calendar is known for the term
+ */
+export async function getTermCalendar(term = null) {
+	term = term || (await getActiveTerm());
+	const storageKey = getTermStorageKey(term, STORAGE_KEYS.TERM_CALENDAR);
+	const result = await chrome.storage.local.get(storageKey);
+	return result[storageKey] || getDefaultTermCalendar(term);
+}
+
+/**
+ * Check whether a term uses a calendar the user saved
+ * @param {string} [term] - Albert term code, defaults to the active term
+ * @returns {Promise<boolean>}
+ */
+export async function hasCustomTermCalendar(term = null) {
+	term = term || (await getActiveTerm());
+	const storageKey = getTermStorageKey(term, STORAGE_KEYS.TERM_CALENDAR);
+	const result = await chrome.storage.local.get(storageKey);
+	return Boolean(result[storageKey]);
+}
+
+/**
+ * Save a term calendar override
+ * @param {object} calendar - See DEFAULT_TERM_CALENDARS
+ * @param {string} [term] - Albert term code, defaults to the active term
+ * @returns {Promise<object>} The normalized calendar
+ */
+export async function saveTermCalendar(calendar, term = null) {
+	const normalized = validateTermCalendar(calendar);
+	await setTermValues({ [STORAGE_KEYS.TERM_CALENDAR]: normalized }, term);
+	return normalized;
+}
+
+/**
+ * Drop a term calendar override and go back to the bundled dates
+ * @param {string} [term] - Albert term code, defaults to the active term
+ */
+export async function resetTermCalendar(term = null) {
+	term = term || (await getActiveTerm());
+	await chrome.storage.local.remove(
+		getTermStorageKey(term, STORAGE_KEYS.TERM_CALENDAR),
+	);
+}
+
+// ============ Class Search Cache ============
+
+async function getSearchResultsByTerm() {
+	const result = await chrome.storage.local.get(STORAGE_KEYS.SEARCH_RESULTS);
+	const byTerm = result[STORAGE_KEYS.SEARCH_RESULTS];
+	return isPlainObject(byTerm) ? byTerm : {};
+}
+
+/**
+ * Get cached class search sections for a term
+ * @param {string} [term] - Albert term code, defaults to the active term
+ * @returns {Promise<object[]>}
+ */
+export async function getSearchResults(term = null) {
+	term = term || (await getActiveTerm());
+	const byTerm = await getSearchResultsByTerm();
+	return Array.isArray(byTerm[term]) ? byTerm[term] : [];
+}
+
+/**
+ * Merge freshly scraped class search sections into the term cache.
+ * Sections are keyed by id, so re-running a search refreshes seats/status.
+ * @param {object[]} sections
+ * @param {string} [term] - Albert term code, defaults to the active term
+ * @returns {Promise<number>} Number of cached sections for the term
+ */
+export async function saveSearchResults(sections, term = null) {
+	term = term || (await getActiveTerm());
+	assert(Array.isArray(sections), "Search results must be an array");
+	sections.forEach((section, index) =>
+		validateSearchSection(section, `Search section[${index}]`),
+	);
+
+	const byTerm = await getSearchResultsByTerm();
+	const now = Date.now();
+	const cached = Array.isArray(byTerm[term]) ? byTerm[term] : [];
+	const merged = new Map(
+		cached
+			.filter(
+				(section) => now - (section.fetchedAt || 0) < SEARCH_RESULTS_MAX_AGE_MS,
+			)
+			.map((section) => [section.id, section]),
+	);
+	for (const section of sections) {
+		merged.set(section.id, { ...section, fetchedAt: now });
+	}
+
+	byTerm[term] = Array.from(merged.values());
+	await chrome.storage.local.set({ [STORAGE_KEYS.SEARCH_RESULTS]: byTerm });
+	return byTerm[term].length;
 }
 
 // ============ Settings Operations ============
 
+function validateSettings(settings) {
+	assert(isPlainObject(settings), "Settings must be an object");
+	for (const key of ["showWeekends", "syncEnabled"]) {
+		assert(
+			typeof settings[key] === "boolean",
+			`Settings ${key} must be a boolean`,
+		);
+	}
+	for (const key of ["startHour", "endHour"]) {
+		assert(
+			Number.isInteger(settings[key]) && settings[key] >= 0 && settings[key] <= 24,
+			`Settings ${key} must be a whole hour from 0 to 24`,
+		);
+	}
+	assert(
+		settings.startHour < settings.endHour,
+		"Settings endHour must be after startHour",
+	);
+	return settings;
+}
+
 /**
- * Get settings
+ * Get settings, with defaults for anything not set yet
  * @returns {Promise<object>}
  */
 export async function getSettings() {
 	const result = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
-	return result[STORAGE_KEYS.SETTINGS] || {};
+	return { ...DEFAULT_SETTINGS, ...(result[STORAGE_KEYS.SETTINGS] || {}) };
 }
 
 /**
@@ -364,11 +1508,433 @@ export async function getSettings() {
  * @param {object} updates
  */
 export async function updateSettings(updates) {
-	const settings = await getSettings();
-	Object.assign(settings, updates);
+	const settings = validateSettings({ ...(await getSettings()), ...updates });
 	await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
 }
 
+// ============ Undo / Redo ============
+//
+// Each undo step stores the storage values it replaced and the ones it wrote,
+// keyed by full storage key, so undo/redo just write one side back.
+// A missing "before" means the key didn't exist and undo removes it.
+
+// Step being collected by batchHistory; writes join it instead of adding their own
+let pendingHistoryEntry = null;
+
+function isSameValue(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isQuotaError(error) {
+	return /quota/i.test(error?.message || "");
+}
+
+/**
+ * Store a list under key, dropping its oldest items while chrome.storage.local
+ * is over quota. Undo steps and restore points are the first data to give way.
+ * @param {string} key
+ * @param {object[]} items - Oldest first
+ * @param {(kept: object[]) => *} [toValue] - Wraps the kept items for storage
+ * @returns {Promise<number>} Number of items kept
+ */
+async function setNewestWithinQuota(key, items, toValue = (kept) => kept) {
+	let kept = items;
+	for (;;) {
+		try {
+			await chrome.storage.local.set({ [key]: toValue(kept) });
+			return kept.length;
+		} catch (error) {
+			if (!isQuotaError(error) || kept.length === 0) throw error;
+			kept = kept.slice(1);
+		}
+	}
+}
+
+// Makes room in full storage: the oldest restore point goes first, then the
+// oldest undo step. Returns false when neither is left.
+async function dropOldestBackup() {
+	const snapshots = await getSnapshotList();
+	if (snapshots.length > 0) {
+		await chrome.storage.local.set({
+			[STORAGE_KEYS.SNAPSHOTS]: snapshots.slice(1),
+		});
+		return true;
+	}
+	const history = await getHistory();
+	if (history.undo.length > 0) {
+		await chrome.storage.local.set({
+			[STORAGE_KEYS.HISTORY]: { ...history, undo: history.undo.slice(1) },
+		});
+		return true;
+	}
+	return false;
+}
+
+// chrome.storage.local.set for plan data, which wins over old restore points
+// and undo steps when storage is full
+async function setLocalValues(values) {
+	for (;;) {
+		try {
+			await chrome.storage.local.set(values);
+			return;
+		} catch (error) {
+			if (!isQuotaError(error) || !(await dropOldestBackup())) throw error;
+		}
+	}
+}
+
+async function getHistory() {
+	const result = await chrome.storage.local.get(STORAGE_KEYS.HISTORY);
+	const history = result[STORAGE_KEYS.HISTORY];
+	if (
+		isPlainObject(history) &&
+		Array.isArray(history.undo) &&
+		Array.isArray(history.redo)
+	) {
+		return history;
+	}
+	return { undo: [], redo: [] };
+}
+
+async function pushHistoryEntry(entry) {
+	const history = await getHistory();
+	history.undo.push(entry);
+	// A new change makes the undone steps unreachable
+	const kept = await setNewestWithinQuota(
+		STORAGE_KEYS.HISTORY,
+		history.undo.slice(-HISTORY_LIMIT),
+		(undo) => ({ undo, redo: [] }),
+	);
+	if (kept === 0) {
+		console.warn(
+			`[Albert Enhancer] "${entry.label}" is too large to undo; storage is full`,
+		);
+	}
+}
+
+async function writeWithHistory(label, scoped) {
+	const keys = Object.keys(scoped);
+	const previous = await chrome.storage.local.get(keys);
+	await setLocalValues(scoped);
+
+	const changes = keys
+		.filter((key) => !isSameValue(previous[key], scoped[key]))
+		.map((key) => {
+			const change = { key, after: scoped[key] };
+			if (key in previous) change.before = previous[key];
+			return change;
+		});
+	if (!changes.length) return;
+
+	if (pendingHistoryEntry) {
+		for (const change of changes) {
+			const existing = pendingHistoryEntry.changes.find(
+				(item) => item.key === change.key,
+			);
+			if (existing) {
+				existing.after = change.after;
+			} else {
+				pendingHistoryEntry.changes.push(change);
+			}
+		}
+		return;
+	}
+	await pushHistoryEntry({ label, changes, at: Date.now() });
+}
+
+async function applyHistoryEntry(entry, side, history) {
+	const values = { [STORAGE_KEYS.HISTORY]: history };
+	const removed = [];
+	for (const change of entry.changes) {
+		if (side in change) {
+			values[change.key] = change[side];
+		} else {
+			removed.push(change.key);
+		}
+	}
+	await chrome.storage.local.set(values);
+	if (removed.length > 0) {
+		await chrome.storage.local.remove(removed);
+	}
+}
+
+
+/**
+ * Record every planner and bucket change made inside run as a single undo
+ * step, e.g. deleting several buckets at once
+ * @param {string} label - Describes the step, e.g. "Delete buckets"
+ * @param {() => Promise<*>} run
+ * @returns {Promise<*>} Whatever run returns
+ */
+export async function batchHistory(label, run) {
+	if (pendingHistoryEntry) return run();
+	pendingHistoryEntry = { label, changes: [], at: Date.now() };
+	try {
+		return await run();
+	} finally {
+		const entry = pendingHistoryEntry;
+		pendingHistoryEntry = null;
+		entry.changes = entry.changes.filter(
+			(change) => !isSameValue(change.before, change.after),
+		);
+		if (entry.changes.length > 0) {
+			await pushHistoryEntry(entry);
+		}
+	}
+}
+
+/**
+ * Revert the most recent recorded change
+ * @returns {Promise<string|null>} Label of the undone step, null if there was none
+ */
+export async function undo() {
+	const history = await getHistory();
+	const entry = history.undo.pop();
+	if (!entry) return null;
+	history.redo.push(entry);
+	await applyHistoryEntry(entry, "before", history);
+	return entry.label;
+}
+
+/**
+ * Reapply the most recently undone change
+ * @returns {Promise<string|null>} Label of the redone step, null if there was none
+ */
+export async function redo() {
+	const history = await getHistory();
+	const entry = history.redo.pop();
+	if (!entry) return null;
+	history.undo.push(entry);
+	await applyHistoryEntry(entry, "after", history);
+	return entry.label;
+}
+
+// ============ Snapshots ============
+
+function countBackupCourses(data) {
+	return Object.values(collectBackupTerms(data)).reduce((total, termData) => {
+		const courses = termData[STORAGE_KEYS.COURSES];
+		return total + (Array.isArray(courses) ? courses.length : 0);
+	}, 0);
+}
+
+async function getSnapshotList() {
+	const result = await chrome.storage.local.get(STORAGE_KEYS.SNAPSHOTS);
+	const snapshots = result[STORAGE_KEYS.SNAPSHOTS];
+	return Array.isArray(snapshots) ? snapshots : [];
+}
+
+function findSnapshot(snapshots, snapshotId) {
+	const snapshot = snapshots.find((item) => item.id === snapshotId);
+	assert(snapshot, `Snapshot "${snapshotId}" not found`);
+	return snapshot;
+}
+
+/**
+ * Restore points, newest first, without their data
+ * @returns {Promise<{ id: string, reason: string, createdAt: number, courseCount: number }[]>}
+ */
+export async function getSnapshots() {
+	const snapshots = await getSnapshotList();
+	return snapshots.map(({ backup, ...snapshot }) => snapshot).reverse();
+}
+
+/**
+ * Save everything exportData returns, except the class search cache, as a
+ * restore point. Skipped when nothing changed since the newest one; older
+ * restore points are dropped when storage is full.
+ * @param {string} reason - e.g. "Before fetch"
+ * @returns {Promise<string|null>} Snapshot id, null when skipped or when
+ *   storage has no room for it
+ */
+export async function createSnapshot(reason) {
+	const [backup, snapshots] = await Promise.all([
+		exportData(),
+		getSnapshotList(),
+	]);
+	// Albert refills the cache, and it can outweigh the plans themselves
+	delete backup.data[STORAGE_KEYS.SEARCH_RESULTS];
+	const latest = snapshots[snapshots.length - 1];
+	if (latest && isSameValue(latest.backup.data, backup.data)) {
+		return null;
+	}
+
+	const createdAt = Date.now();
+	const id = `snapshot-${createdAt}`;
+	snapshots.push({
+		id,
+		reason,
+		createdAt,
+		courseCount: countBackupCourses(backup.data),
+		backup,
+	});
+	const kept = await setNewestWithinQuota(
+		STORAGE_KEYS.SNAPSHOTS,
+		snapshots.slice(-SNAPSHOT_LIMIT),
+	);
+	if (kept === 0) {
+		console.warn(`[Albert Enhancer] No room for restore point "${reason}"`);
+		return null;
+	}
+	return id;
+}
+
+/**
+ * Take the daily restore point if none was saved in the last day
+ * @returns {Promise<string|null>} Snapshot id, null when not needed
+ */
+export async function createDailySnapshot() {
+	const snapshots = await getSnapshotList();
+	const latest = snapshots[snapshots.length - 1];
+	if (latest && Date.now() - latest.createdAt < SNAPSHOT_INTERVAL_MS) {
+		return null;
+	}
+	return createSnapshot("Daily");
+}
+
+/**
+ * Courses that restoring a snapshot would bring back, remove or change
+ * @param {string} snapshotId
+ * @returns {Promise<object[]>} See compareBackupCourses
+ */
+export async function previewSnapshot(snapshotId) {
+	const snapshot = findSnapshot(await getSnapshotList(), snapshotId);
+	return compareBackupCourses(
+		readBackup(snapshot.backup).data,
+		await chrome.storage.local.get(null),
+	);
+}
+
+/**
+ * Replace all data with a snapshot. The current data is saved as a restore
+ * point first, so a restore can itself be restored away.
+ * @param {string} snapshotId
+ */
+export async function restoreSnapshot(snapshotId) {
+	const snapshot = findSnapshot(await getSnapshotList(), snapshotId);
+	await replaceAllData(snapshot.backup, "Before restore");
+}
+
+// ============ Device Sync ============
+
+// What chrome.storage.sync carries per term; the rest stays on the device
+const SYNCED_TERM_KEYS = [
+	STORAGE_KEYS.COURSES,
+	STORAGE_KEYS.BUCKETS,
+	STORAGE_KEYS.SCENARIOS,
+	STORAGE_KEYS.PROFESSOR_RATINGS,
+];
+// Refreshed by every cart fetch, so not worth the sync quota
+const UNSYNCED_COURSE_FIELDS = ["status", "updatedAt"];
+
+function dropEmptyValues(value) {
+	if (Array.isArray(value)) return value.map(dropEmptyValues);
+	if (!isPlainObject(value)) return value;
+	const compact = {};
+	for (const [key, item] of Object.entries(value)) {
+		if (item === null || item === undefined) continue;
+		compact[key] = dropEmptyValues(item);
+	}
+	return compact;
+}
+
+function compactCourse(course) {
+	const compact = dropEmptyValues(course);
+	for (const field of UNSYNCED_COURSE_FIELDS) {
+		delete compact[field];
+	}
+	return compact;
+}
+
+/**
+ * The part of every term's data that syncs between devices, with courses
+ * trimmed to compact records
+ * @returns {Promise<Object<string, object>>} Term code -> { courses, buckets, scenarios, professorRatings }
+ */
+export async function getSyncedTermData() {
+	const byTerm = collectBackupTerms(await chrome.storage.local.get(null));
+	const synced = {};
+	for (const [term, data] of Object.entries(byTerm)) {
+		const entry = {};
+		for (const key of SYNCED_TERM_KEYS) {
+			if (key in data) entry[key] = data[key];
+		}
+		if (Array.isArray(entry[STORAGE_KEYS.COURSES])) {
+			entry[STORAGE_KEYS.COURSES] =
+				entry[STORAGE_KEYS.COURSES].map(compactCourse);
+		}
+		if (Object.keys(entry).length > 0) synced[term] = entry;
+	}
+	return synced;
+}
+
+/**
+ * Write term data synced from another device over the local copy. Courses
+ * keep the fields that don't sync from their local record. Recorded as one
+ * undo step.
+ * @param {Object<string, object>} termData - As returned by getSyncedTermData
+ */
+export async function applySyncedTermData(termData) {
+	assert(isPlainObject(termData), "Synced data must be an object");
+	const current = await chrome.storage.local.get(null);
+	const pending = {};
+
+	for (const [term, data] of Object.entries(termData)) {
+		assert(isValidTermCode(term), `Invalid synced term "${term}"`);
+		const keyOf = (key) => getTermStorageKey(term, key);
+		const localCourses = new Map(
+			(current[keyOf(STORAGE_KEYS.COURSES)] || []).map((course) => [
+				course.id,
+				course,
+			]),
+		);
+
+		if (Array.isArray(data[STORAGE_KEYS.COURSES])) {
+			pending[keyOf(STORAGE_KEYS.COURSES)] = data[STORAGE_KEYS.COURSES].map(
+				(course) => {
+					const local = localCourses.get(course.id) || {};
+					const merged = { bucket: null };
+					for (const field of UNSYNCED_COURSE_FIELDS) {
+						if (field in local) merged[field] = local[field];
+					}
+					return validateCourse({ ...merged, ...course });
+				},
+			);
+		}
+		if (data[STORAGE_KEYS.BUCKETS]) {
+			assert(
+				Array.isArray(data[STORAGE_KEYS.BUCKETS]),
+				`Synced ${term} buckets must be an array`,
+			);
+			pending[keyOf(STORAGE_KEYS.BUCKETS)] = data[STORAGE_KEYS.BUCKETS].map(
+				(bucket, index) => validateBucket(bucket, `Bucket[${index}]`),
+			);
+		}
+		if (data[STORAGE_KEYS.SCENARIOS]) {
+			pending[keyOf(STORAGE_KEYS.SCENARIOS)] = validateScenarios(
+				data[STORAGE_KEYS.SCENARIOS],
+			);
+		}
+		if (data[STORAGE_KEYS.PROFESSOR_RATINGS]) {
+			assert(
+				isPlainObject(data[STORAGE_KEYS.PROFESSOR_RATINGS]),
+				`Synced ${term} ratings must be an object`,
+			);
+			pending[keyOf(STORAGE_KEYS.PROFESSOR_RATINGS)] =
+				data[STORAGE_KEYS.PROFESSOR_RATINGS];
+		}
+	}
+
+	const knownTerms = Array.isArray(current[STORAGE_KEYS.KNOWN_TERMS])
+		? current[STORAGE_KEYS.KNOWN_TERMS]
+		: [];
+	pending[STORAGE_KEYS.KNOWN_TERMS] = Array.from(
+		new Set([...knownTerms, ...Object.keys(termData)]),
+	).sort();
+
+	await writeWithHistory("Sync from another device", pending);
+}
+
 // ============ Sync / Import / Export ============
 
 /**
@@ -377,23 +1943,247 @@ export async function updateSettings(updates) {
  */
 export async function exportData() {
 	const result = await chrome.storage.local.get(null);
+	delete result[STORAGE_KEYS.HISTORY];
+	delete result[STORAGE_KEYS.SNAPSHOTS];
+	delete result[STORAGE_KEYS.SYNC_STATE];
+	// Restore points are taken before migrations too, so this is the stored
+	// schema rather than SCHEMA_VERSION
+	const version = result[STORAGE_KEYS.SCHEMA_VERSION] ?? BASE_SCHEMA_VERSION;
+	delete result[STORAGE_KEYS.SCHEMA_VERSION];
 	return {
-		version: 1,
+		version,
 		exportedAt: new Date().toISOString(),
 		data: result,
 	};
 }
 
+const COURSE_CONFLICT_FIELDS = [
+	"title",
+	"section",
+	"credits",
+	"bucket",
+	"notes",
+];
+
+// Differences worth showing between two copies of one course; timestamps don't count
+function describeCourseConflict(current, incoming) {
+	const changes = [];
+	for (const field of COURSE_CONFLICT_FIELDS) {
+		if (!isSameValue(current[field] ?? null, incoming[field] ?? null)) {
+			changes.push({
+				field,
+				before: String(current[field] ?? "—"),
+				after: String(incoming[field] ?? "—"),
+			});
+		}
+	}
+	return [...changes, ...diffCourseMeetings(current, incoming)];
+}
+
+/**
+ * Compare the courses of backup data with the current ones, term by term
+ * @param {object} incomingData - Storage contents of a backup or snapshot
+ * @param {object} currentData - Current storage contents
+ * @returns {{ term: string, added: object[], removed: object[], conflicts: { id: string, current: object, incoming: object, changes: object[] }[], unchanged: number }[]}
+ *   One entry per term that differs. added are only in the backup, removed
+ *   only in current storage; conflicts are in both but differ.
+ */
+function compareBackupCourses(incomingData, currentData) {
+	const incomingTerms = collectBackupTerms(incomingData);
+	const currentTerms = collectBackupTerms(currentData);
+	const terms = Array.from(
+		new Set([...Object.keys(incomingTerms), ...Object.keys(currentTerms)]),
+	).sort();
+
+	const comparison = [];
+	for (const term of terms) {
+		const incoming = incomingTerms[term]?.[STORAGE_KEYS.COURSES] || [];
+		const current = currentTerms[term]?.[STORAGE_KEYS.COURSES] || [];
+		const currentById = new Map(current.map((course) => [course.id, course]));
+		const incomingIds = new Set(incoming.map((course) => course.id));
+
+		const diff = {
+			term,
+			added: incoming.filter((course) => !currentById.has(course.id)),
+			removed: current.filter((course) => !incomingIds.has(course.id)),
+			conflicts: [],
+			unchanged: 0,
+		};
+		for (const course of incoming) {
+			const existing = currentById.get(course.id);
+			if (!existing) continue;
+			const changes = describeCourseConflict(existing, course);
+			if (changes.length) {
+				diff.conflicts.push({
+					id: course.id,
+					current: existing,
+					incoming: course,
+					changes,
+				});
+			} else {
+				diff.unchanged += 1;
+			}
+		}
+		if (diff.added.length || diff.removed.length || diff.conflicts.length) {
+			comparison.push(diff);
+		}
+	}
+	return comparison;
+}
+
 /**
- * Import data from backup
+ * What importing a backup would change, without writing anything
+ * @param {object} backup - As returned by exportData
+ * @returns {Promise<object[]>} See compareBackupCourses. With merge, removed
+ *   courses are kept; with replace, they are deleted.
+ */
+export async function previewImport(backup) {
+	return compareBackupCourses(
+		readBackup(backup).data,
+		await chrome.storage.local.get(null),
+	);
+}
+
+/**
+ * Import data from backup. A restore point of the current data is saved first.
  * @param {object} backup
+ * @param {{ mode?: "replace"|"merge", resolutions?: Object<string, Object<string, "current"|"incoming">> }} [options]
+ *   replace swaps all data for the backup. merge keeps current data and adds
+ *   what only the backup has; courses in both keep the current copy unless
+ *   resolutions[term][courseId] is "incoming".
  */
-export async function importData(backup) {
+export async function importData(backup, options = {}) {
+	const { mode = "replace", resolutions = {} } = options;
+	if (mode === "merge") {
+		await mergeBackupData(readBackup(backup), resolutions);
+		return;
+	}
+	assert(mode === "replace", `Unknown import mode "${mode}"`);
+	await replaceAllData(backup, "Before import");
+}
+
+function mergeById(current = [], incoming = []) {
+	const ids = new Set(current.map((item) => item.id));
+	return [...current, ...incoming.filter((item) => !ids.has(item.id))];
+}
+
+function isSameCourseList(a, b) {
+	return isSameValue([...a].sort(), [...b].sort());
+}
+
+// Every backup starts out with "plan-a", so an incoming scenario whose id is
+// taken comes in as a renamed copy, unless a scenario with the same courses
+// is already there (e.g. from importing the same file twice)
+function mergeScenarioItems(current = [], incoming = []) {
+	const merged = [...current];
+	const names = new Set(current.map((item) => item.name));
+	for (const item of incoming) {
+		if (!merged.some((other) => other.id === item.id)) {
+			merged.push(item);
+			names.add(item.name);
+			continue;
+		}
+		if (
+			merged.some((other) =>
+				isSameCourseList(other.courseIds, item.courseIds),
+			)
+		) {
+			continue;
+		}
+
+		let name = `${item.name} (imported)`;
+		for (let count = 2; names.has(name); count += 1) {
+			name = `${item.name} (imported ${count})`;
+		}
+		names.add(name);
+		merged.push({
+			...item,
+			id: `scenario-${Date.now()}-${merged.length}`,
+			name,
+		});
+	}
+	return merged;
+}
+
+async function mergeBackupData(parsed, resolutions) {
+	await createSnapshot("Before import");
+	const current = await chrome.storage.local.get(null);
+	const pending = {};
+
+	for (const [term, incoming] of Object.entries(parsed.terms)) {
+		const keyOf = (key) => getTermStorageKey(term, key);
+		const choices = resolutions[term] || {};
+
+		const incomingCourses = new Map(
+			incoming[keyOf(STORAGE_KEYS.COURSES)].map((course) => [course.id, course]),
+		);
+		const currentCourses = current[keyOf(STORAGE_KEYS.COURSES)] || [];
+		const courses = currentCourses.map((course) =>
+			choices[course.id] === "incoming" && incomingCourses.has(course.id)
+				? incomingCourses.get(course.id)
+				: course,
+		);
+		pending[keyOf(STORAGE_KEYS.COURSES)] = mergeById(courses, [
+			...incomingCourses.values(),
+		]);
+
+		pending[keyOf(STORAGE_KEYS.BUCKETS)] = mergeById(
+			current[keyOf(STORAGE_KEYS.BUCKETS)],
+			incoming[keyOf(STORAGE_KEYS.BUCKETS)],
+		).sort((a, b) => a.priority - b.priority);
+		pending[keyOf(STORAGE_KEYS.BUSY_BLOCKS)] = mergeById(
+			current[keyOf(STORAGE_KEYS.BUSY_BLOCKS)],
+			incoming[keyOf(STORAGE_KEYS.BUSY_BLOCKS)],
+		);
+		pending[keyOf(STORAGE_KEYS.FRIEND_SCHEDULES)] = mergeById(
+			current[keyOf(STORAGE_KEYS.FRIEND_SCHEDULES)],
+			incoming[keyOf(STORAGE_KEYS.FRIEND_SCHEDULES)],
+		);
+
+		const currentScenarios = current[keyOf(STORAGE_KEYS.SCENARIOS)];
+		const incomingScenarios = incoming[keyOf(STORAGE_KEYS.SCENARIOS)];
+		pending[keyOf(STORAGE_KEYS.SCENARIOS)] = isPlainObject(currentScenarios)
+			? {
+					...currentScenarios,
+					items: mergeScenarioItems(
+						currentScenarios.items,
+						incomingScenarios.items,
+					),
+				}
+			: incomingScenarios;
+
+		pending[keyOf(STORAGE_KEYS.PROFESSOR_RATINGS)] = {
+			...incoming[keyOf(STORAGE_KEYS.PROFESSOR_RATINGS)],
+			...current[keyOf(STORAGE_KEYS.PROFESSOR_RATINGS)],
+		};
+
+		const calendarKey = keyOf(STORAGE_KEYS.TERM_CALENDAR);
+		if (incoming[calendarKey] && !current[calendarKey]) {
+			pending[calendarKey] = incoming[calendarKey];
+		}
+	}
+
+	const knownTerms = Array.isArray(current[STORAGE_KEYS.KNOWN_TERMS])
+		? current[STORAGE_KEYS.KNOWN_TERMS]
+		: [];
+	pending[STORAGE_KEYS.KNOWN_TERMS] = Array.from(
+		new Set([...knownTerms, ...Object.keys(parsed.terms)]),
+	).sort();
+	if (parsed.constraints && !current[STORAGE_KEYS.SCHEDULE_CONSTRAINTS]) {
+		pending[STORAGE_KEYS.SCHEDULE_CONSTRAINTS] = parsed.constraints;
+	}
+
+	await writeWithHistory("Import backup", pending);
+}
+
+// Validated contents of a backup, migrated to SCHEMA_VERSION and ready to
+// write; throws on anything invalid
+function readBackup(backup) {
 	if (!isPlainObject(backup)) {
 		throw new Error("Invalid backup format");
 	}
 
-	if (backup.version !== 1) {
+	if (!Number.isInteger(backup.version)) {
 		throw new Error("Unsupported backup version");
 	}
 
@@ -401,39 +2191,69 @@ export async function importData(backup) {
 		throw new Error("Backup data payload must be an object");
 	}
 
-	const importedCourses = backup.data[STORAGE_KEYS.COURSES] || [];
-	const importedBuckets = backup.data[STORAGE_KEYS.BUCKETS] || DEFAULT_BUCKETS;
-	const importedSettings = backup.data[STORAGE_KEYS.SETTINGS] || {
+	const data = migrateStorageData(backup.data, backup.version);
+
+	const backupSettings = data[STORAGE_KEYS.SETTINGS] || {};
+	assert(
+		isPlainObject(backupSettings),
+		"Imported settings must be an object",
+	);
+	const importedSettings = validateSettings({
 		...DEFAULT_SETTINGS,
-	};
-	const importedPlannerSelection =
-		backup.data[STORAGE_KEYS.PLANNER_SELECTION] || [];
+		...backupSettings,
+	});
 
-	assert(Array.isArray(importedCourses), "Imported courses must be an array");
-	for (let index = 0; index < importedCourses.length; index += 1) {
-		validateCourse(importedCourses[index]);
+	const terms = {};
+	for (const [term, termData] of Object.entries(collectBackupTerms(data))) {
+		terms[term] = validateBackupTerm(term, termData);
 	}
 
-	assert(Array.isArray(importedBuckets), "Imported buckets must be an array");
-	for (let index = 0; index < importedBuckets.length; index += 1) {
-		validateBucket(importedBuckets[index], `Bucket[${index}]`);
+	const activeTerm = isValidTermCode(data[STORAGE_KEYS.ACTIVE_TERM])
+		? data[STORAGE_KEYS.ACTIVE_TERM]
+		: Object.keys(terms).sort().pop() || DEFAULT_TERM;
+
+	const backupConstraints = data[STORAGE_KEYS.SCHEDULE_CONSTRAINTS];
+	const constraints = backupConstraints
+		? validateConstraints(normalizeConstraints(backupConstraints))
+		: null;
+
+	return { data, settings: importedSettings, terms, activeTerm, constraints };
+}
+
+// What replacing all data leaves alone: bookkeeping of this device rather
+// than plan data. Keeping syncState stops the next sync from treating the
+// device as new. Undo history goes: its steps belong to the data being
+// replaced, and the restore point saved first is the way back.
+const KEPT_ON_REPLACE_KEYS = [
+	STORAGE_KEYS.SNAPSHOTS,
+	STORAGE_KEYS.SEARCH_RESULTS,
+	STORAGE_KEYS.SYNC_STATE,
+];
+
+// Validates the backup, saves a restore point and swaps it in for all plan
+// data (see KEPT_ON_REPLACE_KEYS)
+async function replaceAllData(backup, snapshotReason) {
+	const { settings, terms, activeTerm, constraints } = readBackup(backup);
+	const pending = Object.assign({}, ...Object.values(terms));
+	if (constraints) {
+		pending[STORAGE_KEYS.SCHEDULE_CONSTRAINTS] = constraints;
 	}
 
-	assert(
-		isPlainObject(importedSettings),
-		"Imported settings must be an object",
+	await createSnapshot(snapshotReason);
+	const current = await chrome.storage.local.get(null);
+	await chrome.storage.local.remove(
+		Object.keys(current).filter((key) => !KEPT_ON_REPLACE_KEYS.includes(key)),
 	);
-	const normalizedPlannerSelection = validatePlannerSelection(
-		importedPlannerSelection,
-	);
-
-	await chrome.storage.local.clear();
-	await chrome.storage.local.set({
-		[STORAGE_KEYS.COURSES]: importedCourses,
-		[STORAGE_KEYS.BUCKETS]: importedBuckets,
-		[STORAGE_KEYS.SETTINGS]: importedSettings,
-		[STORAGE_KEYS.PLANNER_SELECTION]: normalizedPlannerSelection,
+	await setLocalValues({
+		...pending,
+		[STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION,
+		[STORAGE_KEYS.SETTINGS]: settings,
+		[STORAGE_KEYS.ACTIVE_TERM]: activeTerm,
+		[STORAGE_KEYS.KNOWN_TERMS]: Array.from(
+			new Set([...Object.keys(terms), activeTerm]),
+		).sort(),
 	});
+	await initializeTerm(activeTerm);
 }
 
 /**
@@ -441,10 +2261,7 @@ export async function importData(backup) {
  * @returns {Promise<Object>} Map of professor name -> rating (number)
  */
 export async function getProfessorRatings() {
-	const result = await chrome.storage.local.get(
-		STORAGE_KEYS.PROFESSOR_RATINGS,
-	);
-	return result[STORAGE_KEYS.PROFESSOR_RATINGS] || {};
+	return (await getTermValue(STORAGE_KEYS.PROFESSOR_RATINGS)) || {};
 }
 
 /**
@@ -459,9 +2276,7 @@ export async function setProfessorRating(name, rating) {
 	} else {
 		ratings[name] = Number(rating);
 	}
-	await chrome.storage.local.set({
-		[STORAGE_KEYS.PROFESSOR_RATINGS]: ratings,
-	});
+	await setTermValues({ [STORAGE_KEYS.PROFESSOR_RATINGS]: ratings });
 }
 
 /**
@@ -1,16 +1,38 @@
 // Schedule planner and conflict detection
 
-import { getCourses, getBuckets } from "./course-storage.js";
+import {
+	getCourses,
+	getBuckets,
+	getScheduleConstraints,
+	getProfessorRatings,
+	getTermCalendar,
+	getSettings,
+	getBusyBlocks,
+} from "./course-storage.js";
 import {
 	hasConflict,
 	findConflicts,
 	buildWeeklyGrid,
 	calculateWeeklyHours,
+	getCalendarLayout,
+	expandComponentMeetings,
+	getBusyIntervalsByDay,
+	getCampusDays,
+	getEarliestStart,
+	getLatestEnd,
 } from "./utils/calendar-utils.js";
+import { SCORE_CONFIG, SCORE_WEIGHTS } from "./utils/constants.js";
+import { timeToMinutes } from "./utils/time-parser.js";
+import { sectionToCourse } from "./utils/section-utils.js";
 import { sortCoursesByPriority } from "./bucket-manager.js";
+import {
+	evaluateConstraints,
+	MONOTONE_CONSTRAINTS,
+} from "./utils/schedule-constraints.js";
 
 /**
- * Flatten courses into a schedule array of components
+ * Flatten courses into a schedule array of components, with one entry per
+ * meeting pattern so a MoWe + Fr section shows up as two entries
  * @param {object[]} courses
  * @returns {object[]}
  */
@@ -19,14 +41,16 @@ export function flattenToSchedule(courses) {
 
 	for (const course of courses) {
 		for (const component of course.components) {
-			schedule.push({
-				...component,
-				courseId: course.id,
-				courseCode: course.courseCode,
-				courseTitle: course.title,
-				credits: course.credits,
-				bucket: course.bucket,
-			});
+			for (const meeting of expandComponentMeetings(component)) {
+				schedule.push({
+					...meeting,
+					courseId: course.id,
+					courseCode: course.courseCode,
+					courseTitle: course.title,
+					credits: course.credits,
+					bucket: course.bucket,
+				});
+			}
 		}
 	}
 
@@ -34,48 +58,396 @@ export function flattenToSchedule(courses) {
 }
 
 /**
- * Auto-generate a conflict-free schedule using greedy algorithm
- * Priority order: bucket priority, then added order
+ * Turn personal busy blocks into schedule entries, so they block out time
+ * like a class does. Entries have busyBlockId set and courseId null.
+ * @param {object[]} busyBlocks
+ * @returns {object[]}
+ */
+export function flattenBusyBlocks(busyBlocks) {
+	return busyBlocks.map((block) => ({
+		type: "Busy",
+		days: block.days,
+		timeRange: block.timeRange,
+		dateRange: block.dateRange ?? null,
+		color: block.color,
+		busyBlockId: block.id,
+		courseId: null,
+		courseCode: block.name,
+		courseTitle: block.name,
+	}));
+}
+
+function clamp01(value) {
+	return Math.min(1, Math.max(0, value));
+}
+
+function getRatedInstructors(courses, ratings) {
+	const names = new Set();
+	for (const course of courses) {
+		for (const component of course.components || []) {
+			const name = component.instructor?.trim();
+			if (name && ratings[name] != null) names.add(name);
+		}
+	}
+	return Array.from(names);
+}
+
+/**
+ * Score a planner selection from weighted factors (0-100, higher is better)
+ * @param {object[]} courses - Courses in the selection
+ * @param {{ buckets?: object[], ratings?: object, allCourses?: object[] }} context
+ *   allCourses is the pool bucket coverage is measured against
+ * @returns {{ total: number, factors: { id: string, label: string, weight: number, value: number, points: number, detail: string }[] }}
+ */
+export function scoreSchedule(courses, context = {}) {
+	const { buckets = [], ratings = {}, allCourses = courses } = context;
+	const schedule = flattenToSchedule(courses);
+	const factors = [];
+	const addFactor = (id, label, value, detail) => {
+		const weight = SCORE_WEIGHTS[id];
+		factors.push({ id, label, weight, value, points: weight * value, detail });
+	};
+
+	// Bucket coverage: share of each bucket's course codes that made it in,
+	// with higher-priority buckets counting for more
+	const orderedBuckets = [...buckets].sort((a, b) => a.priority - b.priority);
+	const selectedIds = new Set(courses.map((course) => course.id));
+	let coverageWeight = 0;
+	let coverageSum = 0;
+	const coverageDetails = [];
+	orderedBuckets.forEach((bucket, rank) => {
+		const pool = allCourses.filter((course) => course.bucket === bucket.id);
+		const codes = new Set(pool.map((course) => course.courseCode));
+		if (codes.size === 0) return;
+		const covered = new Set(
+			pool
+				.filter((course) => selectedIds.has(course.id))
+				.map((course) => course.courseCode),
+		);
+		const weight = 1 / (rank + 1);
+		coverageWeight += weight;
+		coverageSum += weight * (covered.size / codes.size);
+		coverageDetails.push(`${bucket.name} ${covered.size}/${codes.size}`);
+	});
+	addFactor(
+		"bucketCoverage",
+		"Bucket coverage",
+		coverageWeight > 0 ? coverageSum / coverageWeight : 0,
+		coverageDetails.join(" · ") || "no bucketed courses",
+	);
+
+	const rated = getRatedInstructors(courses, ratings);
+	const averageRating = rated.length
+		? rated.reduce((sum, name) => sum + Number(ratings[name]), 0) / rated.length
+		: SCORE_CONFIG.NEUTRAL_RATING;
+	addFactor(
+		"professorRatings",
+		"Professor ratings",
+		clamp01(averageRating / 5),
+		rated.length
+			? `avg ${averageRating.toFixed(1)} across ${rated.length} rated`
+			: "no ratings yet",
+	);
+
+	const campusDays = getCampusDays(
+		schedule.filter((component) => component.timeRange),
+	);
+	addFactor(
+		"campusDays",
+		"Campus days",
+		campusDays === 0 ? 1 : clamp01((5 - campusDays) / 4),
+		`${campusDays} day${campusDays !== 1 ? "s" : ""} on campus`,
+	);
+
+	let idleMinutes = 0;
+	for (const intervals of Object.values(getBusyIntervalsByDay(schedule))) {
+		for (let i = 1; i < intervals.length; i++) {
+			idleMinutes += intervals[i].start - intervals[i - 1].end;
+		}
+	}
+	addFactor(
+		"idleGaps",
+		"Idle gaps",
+		clamp01(1 - idleMinutes / SCORE_CONFIG.MAX_IDLE_MINUTES),
+		`${(idleMinutes / 60).toFixed(1)}h idle between classes`,
+	);
+
+	const earlyCutoff = SCORE_CONFIG.EARLY_HOUR * 60;
+	const lateCutoff = SCORE_CONFIG.LATE_HOUR * 60;
+	let earlyLateMinutes = 0;
+	for (const component of schedule) {
+		if (!component.timeRange) continue;
+		const start = timeToMinutes(component.timeRange.start);
+		const end = timeToMinutes(component.timeRange.end);
+		const outside =
+			Math.max(0, Math.min(end, earlyCutoff) - start) +
+			Math.max(0, end - Math.max(start, lateCutoff));
+		earlyLateMinutes += outside * (component.days?.length || 0);
+	}
+	addFactor(
+		"earlyLate",
+		"Early / late",
+		clamp01(1 - earlyLateMinutes / SCORE_CONFIG.MAX_EARLY_LATE_MINUTES),
+		earlyLateMinutes
+			? `${earlyLateMinutes} min/wk outside ${SCORE_CONFIG.EARLY_HOUR}–${SCORE_CONFIG.LATE_HOUR}h`
+			: "nothing early or late",
+	);
+
+	const credits = courses.reduce((sum, course) => sum + (course.credits || 0), 0);
+	addFactor(
+		"credits",
+		"Total credits",
+		clamp01(credits / SCORE_CONFIG.TARGET_CREDITS),
+		`${credits} of ${SCORE_CONFIG.TARGET_CREDITS} target`,
+	);
+
+	const total = Math.round(
+		factors.reduce((sum, factor) => sum + factor.points, 0),
+	);
+	return { total, factors };
+}
+
+const MAX_GENERATED_SCHEDULES = 200;
+const MAX_SEARCH_STEPS = 50000;
+
+function getSchedulableComponents(course) {
+	return (course.components || []).filter((c) => !c.isTBA);
+}
+
+function conflictsWithSchedule(course, schedule) {
+	return getSchedulableComponents(course).some((component) =>
+		hasConflict(component, schedule)
+	);
+}
+
+/**
+ * Group courses into alternative sections keyed by courseCode,
+ * ordered so the highest-priority course codes are tried first
  * @param {object[]} courses
  * @param {object[]} buckets
- * @returns {{ scheduled: object[], conflicts: object[], skipped: object[] }}
+ * @returns {object[][]}
  */
-export function generateOptimalSchedule(courses, buckets) {
-	const sorted = sortCoursesByPriority(courses, buckets);
-	const scheduled = [];
-	const conflicts = [];
-	const skipped = [];
+function groupSectionsByCourseCode(courses, buckets) {
+	const groups = new Map();
+	for (const course of sortCoursesByPriority(courses, buckets)) {
+		const key = course.courseCode || course.id;
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(course);
+	}
+	return Array.from(groups.values());
+}
+
+/**
+ * Compare two combinations: more courses from higher-priority buckets wins,
+ * then fewer soft constraint violations, then a higher score, then more credits
+ * @returns {number} Negative when a ranks before b
+ */
+function compareCombinations(a, b, priorityLevels) {
+	for (const level of priorityLevels) {
+		const diff = (b.coverage.get(level) || 0) - (a.coverage.get(level) || 0);
+		if (diff !== 0) return diff;
+	}
+	if (a.violations.length !== b.violations.length) {
+		return a.violations.length - b.violations.length;
+	}
+	if (b.score.total !== a.score.total) return b.score.total - a.score.total;
+	return b.credits - a.credits;
+}
+
+/**
+ * Enumerate every maximal conflict-free combination of courses using backtracking.
+ * At most one section per courseCode is picked; a combination is only kept when
+ * none of the skipped course codes could still be added without breaking a
+ * hard constraint. Hard constraints reject combinations outright, soft ones
+ * only lower their rank. Busy blocks are fixed: no picked course may overlap
+ * them.
+ * @param {object[]} courses
+ * @param {object[]} buckets
+ * @param {{ limit?: number, constraints?: object, ratings?: object, busyBlocks?: object[] }} options
+ * @returns {{ combinations: { courses: object[], credits: number, violations: object[], score: object }[], truncated: boolean }}
+ */
+export function generateScheduleCombinations(courses, buckets, options = {}) {
+	const {
+		limit = MAX_GENERATED_SCHEDULES,
+		constraints = null,
+		ratings = {},
+		busyBlocks = [],
+	} = options;
+	const groups = groupSectionsByCourseCode(courses, buckets);
+	const busySchedule = flattenBusyBlocks(busyBlocks);
+
+	const fits = (course, schedule) => {
+		if (conflictsWithSchedule(course, busySchedule)) return false;
+		if (conflictsWithSchedule(course, schedule)) return false;
+		if (!constraints) return true;
+		const next = schedule.concat(flattenToSchedule([course]));
+		return (
+			evaluateConstraints(next, constraints, {
+				hardOnly: true,
+				ids: MONOTONE_CONSTRAINTS,
+			}).length === 0
+		);
+	};
+
+	// fits only checks constraints that can't be undone by adding courses;
+	// this checks the rest too (a hard max gap), for finished combinations
+	const meetsHardConstraints = (schedule) =>
+		evaluateConstraints(schedule, constraints, { hardOnly: true }).length ===
+		0;
+
+	const bucketPriority = new Map();
+	for (const bucket of buckets) {
+		bucketPriority.set(bucket.id, bucket.priority);
+	}
+	const priorityOf = (course) => bucketPriority.get(course.bucket) ?? 999;
+	const priorityLevels = Array.from(
+		new Set(courses.map(priorityOf))
+	).sort((a, b) => a - b);
+
+	const ranked = [];
+	let steps = 0;
+	let truncated = false;
+
+	function record(chosen, schedule, skippedGroups) {
+		if (chosen.length === 0) return;
+		const violations = evaluateConstraints(schedule, constraints);
+		if (violations.some((violation) => violation.hard)) return;
+
+		// A skipped course that fits but breaks a hard max gap doesn't count,
+		// or every combination could be rejected while a smaller one is valid
+		const canGrow = skippedGroups.some((group) =>
+			group.some(
+				(course) =>
+					fits(course, schedule) &&
+					meetsHardConstraints(schedule.concat(flattenToSchedule([course])))
+			)
+		);
+		if (canGrow) return;
+
+		const coverage = new Map();
+		let credits = 0;
+		for (const course of chosen) {
+			const level = priorityOf(course);
+			coverage.set(level, (coverage.get(level) || 0) + 1);
+			credits += course.credits || 0;
+		}
+
+		const score = scoreSchedule(chosen, {
+			buckets,
+			ratings,
+			allCourses: courses,
+		});
+		const candidate = {
+			courses: [...chosen],
+			credits,
+			coverage,
+			violations,
+			score,
+		};
+		let index = ranked.findIndex(
+			(existing) => compareCombinations(candidate, existing, priorityLevels) < 0
+		);
+		if (index === -1) index = ranked.length;
+		if (index >= limit) return;
+		ranked.splice(index, 0, candidate);
+		if (ranked.length > limit) ranked.pop();
+	}
 
-	for (const course of sorted) {
-		const components = course.components.filter((c) => !c.isTBA);
+	function backtrack(groupIndex, chosen, schedule, skippedGroups) {
+		steps += 1;
+		if (steps > MAX_SEARCH_STEPS) {
+			truncated = true;
+			return;
+		}
 
-		// Check if any component conflicts with existing schedule
-		let hasConflictFlag = false;
-		const conflictDetails = [];
+		if (groupIndex === groups.length) {
+			record(chosen, schedule, skippedGroups);
+			return;
+		}
 
-		for (const component of components) {
-			const conflicting = findConflicts(
-				{ ...course, components: [component] },
-				flattenToSchedule(scheduled)
+		const group = groups[groupIndex];
+		for (const course of group) {
+			if (!fits(course, schedule)) continue;
+			chosen.push(course);
+			backtrack(
+				groupIndex + 1,
+				chosen,
+				schedule.concat(flattenToSchedule([course])),
+				skippedGroups
 			);
-			if (conflicting.length > 0) {
-				hasConflictFlag = true;
-				conflictDetails.push(...conflicting);
-			}
+			chosen.pop();
+			if (truncated) return;
 		}
 
-		if (hasConflictFlag) {
+		skippedGroups.push(group);
+		backtrack(groupIndex + 1, chosen, schedule, skippedGroups);
+		skippedGroups.pop();
+	}
+
+	backtrack(0, [], [], []);
+
+	return {
+		combinations: ranked.map(({ courses: picked, credits, violations, score }) => ({
+			courses: picked,
+			credits,
+			violations,
+			score,
+		})),
+		truncated,
+	};
+}
+
+/**
+ * Pick the best-ranked conflict-free schedule that honors the constraints
+ * Courses left out are reported as conflicts when they clash with the
+ * chosen schedule or a busy block, or only as skipped when they are unused
+ * alternative sections or would break a hard constraint
+ * @param {object[]} courses
+ * @param {object[]} buckets
+ * @param {object} [constraints]
+ * @param {object} [ratings] - Professor ratings used to break ties
+ * @param {object[]} [busyBlocks] - Personal busy blocks to plan around
+ * @returns {{ scheduled: object[], conflicts: object[], skipped: object[], violations: object[] }}
+ */
+export function generateOptimalSchedule(
+	courses,
+	buckets,
+	constraints = null,
+	ratings = {},
+	busyBlocks = []
+) {
+	const { combinations } = generateScheduleCombinations(courses, buckets, {
+		limit: 1,
+		constraints,
+		ratings,
+		busyBlocks,
+	});
+	const scheduled = combinations[0]?.courses ?? [];
+	const violations = combinations[0]?.violations ?? [];
+	const scheduledIds = new Set(scheduled.map((c) => c.id));
+	const scheduledComponents = flattenToSchedule(scheduled).concat(
+		flattenBusyBlocks(busyBlocks)
+	);
+	const conflicts = [];
+	const skipped = [];
+
+	for (const course of sortCoursesByPriority(courses, buckets)) {
+		if (scheduledIds.has(course.id)) continue;
+
+		const conflictDetails = findConflicts(
+			{ ...course, components: getSchedulableComponents(course) },
+			scheduledComponents
+		);
+		if (conflictDetails.length > 0) {
 			conflicts.push({
 				course,
 				conflictsWith: conflictDetails,
 			});
-			skipped.push(course);
-		} else {
-			scheduled.push(course);
 		}
+		skipped.push(course);
 	}
 
-	return { scheduled, conflicts, skipped };
+	return { scheduled, conflicts, skipped, violations };
 }
 
 /**
@@ -85,14 +457,24 @@ export function generateOptimalSchedule(courses, buckets) {
 export async function analyzeSchedule() {
 	const courses = await getCourses();
 	const buckets = await getBuckets();
+	const constraints = await getScheduleConstraints();
+	const ratings = await getProfessorRatings();
+	const termCalendar = await getTermCalendar();
+	const settings = await getSettings();
+	const busyBlocks = await getBusyBlocks();
 
-	const { scheduled, conflicts, skipped } = generateOptimalSchedule(
+	const { scheduled, conflicts, skipped, violations } = generateOptimalSchedule(
 		courses,
-		buckets
+		buckets,
+		constraints,
+		ratings,
+		busyBlocks
 	);
 	const schedule = flattenToSchedule(scheduled);
-	const grid = buildWeeklyGrid(schedule);
-	const weeklyHours = calculateWeeklyHours(schedule);
+	const busySchedule = flattenBusyBlocks(busyBlocks);
+	const layout = getCalendarLayout(settings, schedule.concat(busySchedule));
+	const grid = buildWeeklyGrid(schedule.concat(busySchedule), layout);
+	const weeklyHours = calculateWeeklyHours(schedule, termCalendar);
 	const totalCredits = scheduled.reduce((sum, c) => sum + c.credits, 0);
 
 	return {
@@ -102,14 +484,54 @@ export async function analyzeSchedule() {
 		skippedCourses: skipped.length,
 		totalCredits,
 		weeklyHours,
+		layout,
 		grid,
 		scheduled,
 		conflicts,
 		skipped,
+		violations,
+		score: scoreSchedule(scheduled, { buckets, ratings, allCourses: courses }),
 		byBucket: groupByBucket(courses, buckets),
 	};
 }
 
+/**
+ * Summarize a planner selection for side-by-side comparison
+ * @param {object[]} courses - Courses in the selection
+ * @param {object|null} [termCalendar] - Used for actual weekly hours
+ * @returns {{ courseCount: number, credits: number, weeklyHours: number, campusDays: string[], earliest: object | null, latest: object | null, conflicts: string[][] }}
+ *   conflicts lists each overlapping pair of course ids once
+ */
+export function summarizeSelection(courses, termCalendar = null) {
+	const schedule = flattenToSchedule(courses);
+	const campusDays = new Set();
+	for (const component of schedule) {
+		if (!component.timeRange) continue;
+		for (const day of component.days || []) campusDays.add(day);
+	}
+
+	const conflictPairs = new Map();
+	for (const course of courses) {
+		for (const conflict of findConflicts(
+			{ ...course, components: getSchedulableComponents(course) },
+			schedule
+		)) {
+			const pair = [course.id, conflict.existingCourse].sort();
+			conflictPairs.set(pair.join("|"), pair);
+		}
+	}
+
+	return {
+		courseCount: courses.length,
+		credits: courses.reduce((sum, c) => sum + (c.credits || 0), 0),
+		weeklyHours: calculateWeeklyHours(schedule, termCalendar),
+		campusDays: Array.from(campusDays),
+		earliest: getEarliestStart(schedule),
+		latest: getLatestEnd(schedule),
+		conflicts: Array.from(conflictPairs.values()),
+	};
+}
+
 /**
  * Group courses by bucket
  * @param {object[]} courses
@@ -135,13 +557,54 @@ function groupByBucket(courses, buckets) {
 	return groups;
 }
 
+/**
+ * Courses that more than one person plans, to line up sections with friends
+ * @param {{ id: string, name: string, courses: object[] }[]} people - Each
+ *   person's planned courses, yourself included
+ * @returns {{ courseCode: string, title: string, sameSection: boolean, takers: { id: string, name: string, section: string, components: { type: string, section: string }[] }[] }[]}
+ */
+export function findSharedClasses(people) {
+	const byCode = new Map();
+	for (const person of people) {
+		for (const course of person.courses) {
+			if (!byCode.has(course.courseCode)) {
+				byCode.set(course.courseCode, { title: course.title, takers: [] });
+			}
+			byCode.get(course.courseCode).takers.push({
+				id: person.id,
+				name: person.name,
+				section: course.section,
+				components: (course.components || []).map((component) => ({
+					type: component.type,
+					section: component.section || course.section,
+				})),
+			});
+		}
+	}
+
+	return Array.from(byCode.entries())
+		.filter(([, entry]) => new Set(entry.takers.map((t) => t.id)).size > 1)
+		.map(([courseCode, entry]) => ({
+			courseCode,
+			title: entry.title,
+			sameSection: new Set(entry.takers.map((t) => t.section)).size === 1,
+			takers: entry.takers,
+		}))
+		.sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+}
+
 /**
  * Suggest alternative sections to resolve conflicts
  * @param {object} conflictingCourse
  * @param {object[]} allCourses - All available courses (including unselected)
+ * @param {object[]} searchSections - Cached class search sections for the term
  * @returns {object[]} Alternative course options
  */
-export function suggestAlternatives(conflictingCourse, allCourses) {
+export function suggestAlternatives(
+	conflictingCourse,
+	allCourses,
+	searchSections = []
+) {
 	// Find other sections of the same course
 	const alternatives = allCourses.filter(
 		(c) =>
@@ -149,5 +612,24 @@ export function suggestAlternatives(conflictingCourse, allCourses) {
 			c.id !== conflictingCourse.id
 	);
 
+	// Sections seen in class search that aren't in the cart yet. Only match
+	// the course's primary component so recitations don't stand in for lectures.
+	const knownIds = new Set(allCourses.map((c) => c.id));
+	const knownClassNumbers = new Set(
+		allCourses.map((c) => c.classNumber).filter(Boolean)
+	);
+	const primaryType = conflictingCourse.components?.[0]?.type;
+	for (const section of searchSections) {
+		if (
+			section.courseCode !== conflictingCourse.courseCode ||
+			knownIds.has(section.id) ||
+			(section.classNumber && knownClassNumbers.has(section.classNumber)) ||
+			(primaryType && section.component && section.component !== primaryType)
+		) {
+			continue;
+		}
+		alternatives.push(sectionToCourse(section));
+	}
+
 	return alternatives;
 }
@@ -5,30 +5,58 @@
 		courseStorage,
 		plannerModule,
 		bucketModule,
-		constantsModule,
+		termModule,
 		metadataPanelModule,
+		syncModule,
+		historyModule,
 	] =
 		await Promise.all([
 			import(chrome.runtime.getURL("src/course-storage.js")),
 			import(chrome.runtime.getURL("src/planner.js")),
 			import(chrome.runtime.getURL("src/bucket-manager.js")),
-			import(chrome.runtime.getURL("src/utils/constants.js")),
+			import(chrome.runtime.getURL("src/utils/term-utils.js")),
 			import(chrome.runtime.getURL("src/course-metadata-panel.js")),
+			import(chrome.runtime.getURL("src/storage-sync.js")),
+			import(chrome.runtime.getURL("src/utils/history-shortcuts.js")),
 		]);
 
 	const {
 		getCourses,
 		getBuckets,
 		getPlannerSelection,
-		setPlannerSelection,
+		mergeFetchedCourses,
+		clearCourses,
 		exportData,
+		importData,
+		previewImport,
 		assignCourseToBucket,
 		getProfessorRatings,
+		getActiveTerm,
+		setActiveTerm,
+		getKnownTerms,
+		getTermCalendar,
+		hasCustomTermCalendar,
+		saveTermCalendar,
+		resetTermCalendar,
+		getSettings,
+		updateSettings,
+		getSnapshots,
+		createSnapshot,
+		previewSnapshot,
+		restoreSnapshot,
 	} = courseStorage;
 	const { analyzeSchedule } = plannerModule;
 	const { renderBuckets } = bucketModule;
-	const { CURRENT_TERM_NAME } = constantsModule;
-	const { renderCourseMetadataContent } = metadataPanelModule;
+	const {
+		getChangedStorageKeys,
+		getTermName,
+		getTermOptions,
+		isValidTermCode,
+	} = termModule;
+	const { renderCourseMetadataContent, renderCourseEditor } =
+		metadataPanelModule;
+	const { getSyncStatus } = syncModule;
+	const { getHistoryShortcut, handleHistoryStep } = historyModule;
 
 	const params = new URLSearchParams(window.location.search);
 	const panelMode = params.get("mode") || "popup";
@@ -47,12 +75,52 @@
 	const btnWeeklyView = document.getElementById("btn-weekly-view");
 	const btnFetch = document.getElementById("btn-fetch");
 	const btnFetchLabel = document.getElementById("btn-fetch-label");
+	const fetchDiff = document.getElementById("fetch-diff");
+	const historyNotice = document.getElementById("history-notice");
+	const btnAddCourse = document.getElementById("btn-add-course");
+	const btnImport = document.getElementById("btn-import");
+	const importFile = document.getElementById("import-file");
+	const importPanel = document.getElementById("import-panel");
+	const btnCloseImport = document.getElementById("btn-close-import");
+	const importSummary = document.getElementById("import-summary");
+	const importPreview = document.getElementById("import-preview");
+	const importError = document.getElementById("import-error");
+	const btnImportConfirm = document.getElementById("btn-import-confirm");
+	const btnImportCancel = document.getElementById("btn-import-cancel");
 	const btnExport = document.getElementById("btn-export");
 	const btnClear = document.getElementById("btn-clear");
 	const btnSettings = document.getElementById("btn-settings");
 	const settingsPanel = document.getElementById("settings-panel");
 	const btnCloseSettings = document.getElementById("btn-close-settings");
 	const linkHelp = document.getElementById("link-help");
+	const termCalendarSource = document.getElementById("term-calendar-source");
+	const termCalendarSummary = document.getElementById("term-calendar-summary");
+	const termCalendarJson = document.getElementById("term-calendar-json");
+	const termCalendarError = document.getElementById("term-calendar-error");
+	const termCalendarFile = document.getElementById("term-calendar-file");
+	const btnTermCalendarSave = document.getElementById("btn-term-calendar-save");
+	const btnTermCalendarImport = document.getElementById(
+		"btn-term-calendar-import",
+	);
+	const btnTermCalendarReset = document.getElementById(
+		"btn-term-calendar-reset",
+	);
+	const settingShowWeekends = document.getElementById("setting-show-weekends");
+	const settingStartHour = document.getElementById("setting-start-hour");
+	const settingEndHour = document.getElementById("setting-end-hour");
+	const calendarHoursError = document.getElementById("calendar-hours-error");
+	const snapshotList = document.getElementById("snapshot-list");
+	const snapshotPreview = document.getElementById("snapshot-preview");
+	const snapshotError = document.getElementById("snapshot-error");
+	const btnSnapshotCreate = document.getElementById("btn-snapshot-create");
+	const settingSync = document.getElementById("setting-sync");
+	const btnSyncNow = document.getElementById("btn-sync-now");
+	const syncStatus = document.getElementById("sync-status");
+	const syncConflict = document.getElementById("sync-conflict");
+	const syncConflictText = document.getElementById("sync-conflict-text");
+	const syncError = document.getElementById("sync-error");
+	const btnSyncKeepLocal = document.getElementById("btn-sync-keep-local");
+	const btnSyncUseRemote = document.getElementById("btn-sync-use-remote");
 	const termBadge = document.getElementById("term-badge");
 	const metadataDrawer = document.getElementById("course-metadata-drawer");
 	const metadataDrawerBackdrop = document.getElementById(
@@ -69,7 +137,15 @@
 	let currentCourses = [];
 	let currentBuckets = [];
 	let activeMetadataCourseId = null;
+	let isEditingCourse = false;
 	let cachedProfRatings = {};
+	let cachedTermCalendar = null;
+	let currentTerm = null;
+	let historyNoticeTimer = null;
+	let previewedSnapshotId = null;
+	let pendingImport = null;
+	// "<term>:<courseId>" -> "current" | "incoming" for courses in both
+	const importChoices = new Map();
 
 	function scheduleLoadData() {
 		if (loadDataDebounceTimer) {
@@ -134,6 +210,7 @@
 
 	function closeCourseMetadataDrawer() {
 		activeMetadataCourseId = null;
+		isEditingCourse = false;
 		document.body.classList.remove("metadata-drawer-open");
 		metadataDrawer?.setAttribute("aria-hidden", "true");
 		if (metadataDrawerTitle) {
@@ -142,7 +219,7 @@
 	}
 
 	function renderCourseMetadataDrawer() {
-		if (!metadataDrawerBody || !activeMetadataCourseId) {
+		if (!metadataDrawerBody || !activeMetadataCourseId || isEditingCourse) {
 			return;
 		}
 
@@ -161,6 +238,7 @@
 			course,
 			buckets: currentBuckets,
 			ratings: cachedProfRatings,
+			termCalendar: cachedTermCalendar,
 			onBucketSelect: async (bucketId) => {
 				if ((course.bucket ?? null) === (bucketId ?? null)) {
 					return;
@@ -168,22 +246,60 @@
 				await assignCourseToBucket(course.id, bucketId);
 				await loadData();
 			},
+			onEditCourse: openCourseEditor,
 		});
 	}
 
+	function showCourseMetadataDrawer() {
+		document.body.classList.add("metadata-drawer-open");
+		metadataDrawer?.setAttribute("aria-hidden", "false");
+		// Scroll to top so the drawer is visible
+		document.querySelector(".scrollable-content")?.scrollTo(0, 0);
+		document.documentElement.scrollTop = 0;
+		document.body.scrollTop = 0;
+	}
+
 	function openCourseMetadataDrawer(courseId) {
 		if (!courseId) return;
+		isEditingCourse = false;
 		activeMetadataCourseId = courseId;
 		renderCourseMetadataDrawer();
 		if (!currentCourses.some((course) => course.id === courseId)) {
 			return;
 		}
-		document.body.classList.add("metadata-drawer-open");
-		metadataDrawer?.setAttribute("aria-hidden", "false");
-		// Scroll to top so the drawer is visible
-		document.querySelector(".scrollable-content")?.scrollTo(0, 0);
-		document.documentElement.scrollTop = 0;
-		document.body.scrollTop = 0;
+		showCourseMetadataDrawer();
+	}
+
+	/**
+	 * Show the course editor in the drawer, for a stored course or a new one
+	 * @param {object|null} course
+	 */
+	function openCourseEditor(course = null) {
+		if (!metadataDrawerBody) return;
+		isEditingCourse = true;
+		activeMetadataCourseId = course?.id ?? null;
+		if (metadataDrawerTitle) {
+			metadataDrawerTitle.textContent = course
+				? `Edit ${course.courseCode}`
+				: "Add Course";
+		}
+		renderCourseEditor({
+			container: metadataDrawerBody,
+			course,
+			onSave: async (saved) => {
+				isEditingCourse = false;
+				await loadData();
+				openCourseMetadataDrawer(saved.id);
+			},
+			onCancel: () => {
+				if (course) {
+					openCourseMetadataDrawer(course.id);
+				} else {
+					closeCourseMetadataDrawer();
+				}
+			},
+		});
+		showCourseMetadataDrawer();
 	}
 
 	async function requestParseCart(tabId) {
@@ -214,11 +330,372 @@
 		);
 	}
 
-	async function init() {
-		if (termBadge) {
-			termBadge.textContent = CURRENT_TERM_NAME;
+	async function renderTermSwitcher() {
+		const [activeTerm, knownTerms] = await Promise.all([
+			getActiveTerm(),
+			getKnownTerms(),
+		]);
+		currentTerm = activeTerm;
+		if (!termBadge) return;
+
+		termBadge.innerHTML = "";
+		for (const { value, label } of getTermOptions(knownTerms, activeTerm)) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = label;
+			termBadge.appendChild(option);
+		}
+		termBadge.value = activeTerm;
+	}
+
+	async function handleTermChange() {
+		try {
+			await setActiveTerm(termBadge.value);
+		} catch (error) {
+			console.error("[Albert Enhancer] Failed to switch term:", error);
+			termBadge.value = currentTerm;
+		}
+	}
+
+	// Shown for terms without bundled dates, so the expected shape is obvious
+	const TERM_CALENDAR_TEMPLATE = {
+		firstDay: "YYYY-MM-DD",
+		lastDay: "YYYY-MM-DD",
+		breaks: [{ name: "Spring recess", start: "YYYY-MM-DD", end: "YYYY-MM-DD" }],
+		holidays: [{ name: "Holiday", date: "YYYY-MM-DD" }],
+		substitutions: [
+			{ name: "Legislative day", date: "YYYY-MM-DD", followsDay: "Mon" },
+		],
+	};
+
+	function formatCalendarDate(dateKey) {
+		return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString("en-US", {
+			month: "short",
+			day: "numeric",
+			timeZone: "UTC",
+		});
+	}
+
+	function pluralize(count, word) {
+		return `${count} ${word}${count !== 1 ? "s" : ""}`;
+	}
+
+	function setTermCalendarError(message) {
+		termCalendarError.textContent = message || "";
+		termCalendarError.classList.toggle("hidden", !message);
+	}
+
+	async function renderTermCalendarSettings() {
+		if (!termCalendarJson || !currentTerm) return;
+		const [calendar, isCustom] = await Promise.all([
+			getTermCalendar(currentTerm),
+			hasCustomTermCalendar(currentTerm),
+		]);
+		const termName = getTermName(currentTerm);
+
+		setTermCalendarError(null);
+		termCalendarSource.textContent = isCustom
+			? "custom"
+			: calendar
+				? "registrar"
+				: "missing";
+		btnTermCalendarReset.disabled = !isCustom;
+		if (calendar) {
+			termCalendarSummary.textContent = `${termName}: ${formatCalendarDate(calendar.firstDay)} – ${formatCalendarDate(calendar.lastDay)} · ${pluralize(calendar.breaks.length, "break")} · ${pluralize(calendar.holidays.length, "holiday")} · ${pluralize(calendar.substitutions.length, "substitution")}`;
+		} else {
+			termCalendarSummary.textContent = `No dates known for ${termName} yet. Fill in the template or import a .json file; meeting counts and .ics export use it.`;
+		}
+		termCalendarJson.value = JSON.stringify(
+			calendar || TERM_CALENDAR_TEMPLATE,
+			null,
+			2,
+		);
+	}
+
+	async function applyTermCalendarJson(text) {
+		try {
+			await saveTermCalendar(JSON.parse(text), currentTerm);
+			await renderTermCalendarSettings();
+		} catch (error) {
+			console.error("[Albert Enhancer] Term calendar rejected:", error);
+			setTermCalendarError(
+				error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message,
+			);
+		}
+	}
+
+	async function handleTermCalendarImport() {
+		const [file] = termCalendarFile.files;
+		termCalendarFile.value = "";
+		if (!file) return;
+		const text = await file.text();
+		termCalendarJson.value = text;
+		await applyTermCalendarJson(text);
+	}
+
+	async function handleTermCalendarReset() {
+		await resetTermCalendar(currentTerm);
+		await renderTermCalendarSettings();
+	}
+
+	function formatSnapshotTime(timestamp) {
+		return new Date(timestamp).toLocaleString("en-US", {
+			month: "short",
+			day: "numeric",
+			hour: "numeric",
+			minute: "2-digit",
+		});
+	}
+
+	function setSnapshotError(message) {
+		snapshotError.textContent = message || "";
+		snapshotError.classList.toggle("hidden", !message);
+	}
+
+	async function renderSnapshots() {
+		if (!snapshotList) return;
+		const snapshots = await getSnapshots();
+		if (!snapshots.some((snapshot) => snapshot.id === previewedSnapshotId)) {
+			previewedSnapshotId = null;
+			snapshotPreview.classList.add("hidden");
+		}
+
+		snapshotList.innerHTML = "";
+		if (!snapshots.length) {
+			const empty = document.createElement("li");
+			empty.className = "snapshot-empty";
+			empty.textContent = "// no restore points yet";
+			snapshotList.appendChild(empty);
+			return;
+		}
+
+		for (const snapshot of snapshots) {
+			const item = document.createElement("li");
+			item.className = "snapshot-item";
+			item.classList.toggle(
+				"is-selected",
+				snapshot.id === previewedSnapshotId,
+			);
+
+			const meta = document.createElement("div");
+			meta.className = "snapshot-meta";
+			const time = document.createElement("strong");
+			time.textContent = formatSnapshotTime(snapshot.createdAt);
+			const details = document.createElement("span");
+			details.textContent = `${snapshot.reason.toLowerCase()} · ${pluralize(snapshot.courseCount, "course")}`;
+			meta.append(time, details);
+
+			const previewButton = document.createElement("button");
+			previewButton.type = "button";
+			previewButton.textContent = "preview";
+			previewButton.addEventListener("click", () =>
+				handleSnapshotPreview(snapshot.id),
+			);
+
+			const restoreButton = document.createElement("button");
+			restoreButton.type = "button";
+			restoreButton.textContent = "restore";
+			restoreButton.addEventListener("click", () =>
+				handleSnapshotRestore(snapshot),
+			);
+
+			item.append(meta, previewButton, restoreButton);
+			snapshotList.appendChild(item);
+		}
+	}
+
+	async function handleSnapshotPreview(snapshotId) {
+		setSnapshotError(null);
+		if (previewedSnapshotId === snapshotId) {
+			previewedSnapshotId = null;
+			snapshotPreview.classList.add("hidden");
+			await renderSnapshots();
+			return;
+		}
+
+		try {
+			const preview = await previewSnapshot(snapshotId);
+			previewedSnapshotId = snapshotId;
+			snapshotPreview.innerHTML = "";
+
+			const summary = document.createElement("div");
+			summary.className = "fetch-diff-summary";
+			summary.textContent = preview.length
+				? "// restoring would change"
+				: "// same courses as now";
+			snapshotPreview.appendChild(summary);
+
+			for (const diff of preview) {
+				const list = document.createElement("ul");
+				list.className = "fetch-diff-list";
+				const lines = [
+					...diff.added.map((course) => ({
+						type: "added",
+						text: `+ ${describeCourse(course)}`,
+					})),
+					...diff.removed.map((course) => ({
+						type: "removed",
+						text: `− ${describeCourse(course)}`,
+					})),
+					...diff.conflicts.map(({ incoming }) => ({
+						type: "changed",
+						text: `~ ${describeCourse(incoming)}`,
+					})),
+				];
+				const heading = document.createElement("li");
+				heading.textContent = getTermName(diff.term);
+				list.appendChild(heading);
+				for (const line of lines) {
+					const item = document.createElement("li");
+					item.className = `fetch-diff-${line.type}`;
+					item.textContent = line.text;
+					list.appendChild(item);
+				}
+				snapshotPreview.appendChild(list);
+			}
+
+			snapshotPreview.classList.remove("hidden");
+			await renderSnapshots();
+		} catch (error) {
+			console.error("[Albert Enhancer] Snapshot preview failed:", error);
+			setSnapshotError(error.message);
+		}
+	}
+
+	async function handleSnapshotRestore(snapshot) {
+		const time = formatSnapshotTime(snapshot.createdAt);
+		if (
+			!confirm(
+				`Restore everything to ${time} (${snapshot.reason.toLowerCase()})? Your current data is saved as a restore point first.`,
+			)
+		) {
+			return;
+		}
+
+		setSnapshotError(null);
+		try {
+			await restoreSnapshot(snapshot.id);
+			previewedSnapshotId = null;
+			snapshotPreview.classList.add("hidden");
+			showHistoryNotice(`// restored ${time}`);
+		} catch (error) {
+			console.error("[Albert Enhancer] Snapshot restore failed:", error);
+			setSnapshotError(error.message);
+		}
+	}
+
+	async function handleSnapshotCreate() {
+		setSnapshotError(null);
+		try {
+			const id = await createSnapshot("Saved by hand");
+			if (!id) {
+				setSnapshotError("Nothing changed since the newest restore point.");
+			}
+			await renderSnapshots();
+		} catch (error) {
+			console.error("[Albert Enhancer] Snapshot failed:", error);
+			setSnapshotError(error.message);
+		}
+	}
+
+	function formatHourLabel(hour) {
+		if (hour === 0 || hour === 24) return "12 AM";
+		if (hour === 12) return "12 PM";
+		return hour < 12 ? `${hour} AM` : `${hour - 12} PM`;
+	}
+
+	function fillHourSelect(select, from, to, value) {
+		select.innerHTML = "";
+		for (let hour = from; hour <= to; hour++) {
+			const option = document.createElement("option");
+			option.value = String(hour);
+			option.textContent = formatHourLabel(hour);
+			select.appendChild(option);
+		}
+		select.value = String(value);
+	}
+
+	async function renderCalendarSettings() {
+		if (!settingShowWeekends) return;
+		const settings = await getSettings();
+		settingShowWeekends.checked = settings.showWeekends;
+		fillHourSelect(settingStartHour, 0, 23, settings.startHour);
+		fillHourSelect(settingEndHour, 1, 24, settings.endHour);
+		calendarHoursError.classList.add("hidden");
+	}
+
+	async function handleCalendarSettingsChange() {
+		try {
+			await updateSettings({
+				showWeekends: settingShowWeekends.checked,
+				startHour: Number(settingStartHour.value),
+				endHour: Number(settingEndHour.value),
+			});
+			calendarHoursError.classList.add("hidden");
+		} catch (error) {
+			console.error("[Albert Enhancer] Settings rejected:", error);
+			calendarHoursError.textContent = error.message;
+			calendarHoursError.classList.remove("hidden");
+		}
+	}
+
+	async function renderSyncSettings() {
+		if (!settingSync) return;
+		const [settings, status] = await Promise.all([
+			getSettings(),
+			getSyncStatus(),
+		]);
+		settingSync.checked = settings.syncEnabled;
+		btnSyncNow.disabled = !settings.syncEnabled;
+
+		if (!settings.syncEnabled) {
+			syncStatus.textContent =
+				"Buckets, plans, ratings and courses follow your Chrome profile.";
+		} else if (status.lastSyncedAt) {
+			syncStatus.textContent = `Last synced ${formatSnapshotTime(status.lastSyncedAt)}.`;
+		} else {
+			syncStatus.textContent = "Not synced yet.";
+		}
+
+		const conflict = settings.syncEnabled ? status.conflict : null;
+		syncConflict.classList.toggle("hidden", !conflict);
+		if (conflict) {
+			syncConflictText.textContent = `This device and another one both changed the plan since the last sync (theirs saved ${formatSnapshotTime(conflict.remoteUpdatedAt)}). Pick the one to keep; the other is replaced.`;
+		}
+
+		const error = settings.syncEnabled ? status.error : null;
+		syncError.textContent = error || "";
+		syncError.classList.toggle("hidden", !error);
+	}
+
+	async function handleSyncToggle() {
+		try {
+			await updateSettings({ syncEnabled: settingSync.checked });
+		} catch (error) {
+			console.error("[Albert Enhancer] Settings rejected:", error);
+		}
+		await renderSyncSettings();
+	}
+
+	// The background worker owns sync; the status listener re-renders afterwards
+	async function requestSync(resolve) {
+		btnSyncNow.disabled = true;
+		try {
+			const response = await chrome.runtime.sendMessage({
+				type: "SYNC_NOW",
+				resolve,
+			});
+			if (response?.result === "pulled") {
+				showHistoryNotice("// synced from another device", true);
+			}
+		} catch (error) {
+			console.error("[Albert Enhancer] Sync request failed:", error);
 		}
+		await renderSyncSettings();
+	}
 
+	async function init() {
+		await renderTermSwitcher();
 		await loadData();
 		setupEventListeners();
 		listenForUpdates();
@@ -233,15 +710,25 @@
 				statCoursesCount.textContent = `${analysis.totalCourses} ${label}`;
 			}
 
-			const [courses, buckets, plannerSelection, profRatings] = await Promise.all([
+			const [
+				courses,
+				buckets,
+				plannerSelection,
+				profRatings,
+				termCalendar,
+				settings,
+			] = await Promise.all([
 				getCourses(),
 				getBuckets(),
 				getPlannerSelection(),
 				getProfessorRatings(),
+				getTermCalendar(),
+				getSettings(),
 			]);
 			currentCourses = courses;
 			currentBuckets = buckets;
 			cachedProfRatings = profRatings;
+			cachedTermCalendar = termCalendar;
 
 			renderPlanningTray(courses, plannerSelection);
 
@@ -258,6 +745,7 @@
 			} else {
 				renderBuckets(bucketsContainer, buckets, courses, {
 					onEditCourse: openCourseMetadataDrawer,
+					showWeekends: settings.showWeekends,
 				});
 			}
 
@@ -295,10 +783,13 @@
 		plannedCourses.forEach((course) => {
 			const item = document.createElement("div");
 			item.className = "planning-item";
-			item.innerHTML = `
-				<span class="planning-code">${course.courseCode}</span>
-				<span class="planning-title">${course.title}</span>
-			`;
+			const code = document.createElement("span");
+			code.className = "planning-code";
+			code.textContent = course.courseCode;
+			const title = document.createElement("span");
+			title.className = "planning-title";
+			title.textContent = course.title;
+			item.append(code, title);
 			list.appendChild(item);
 		});
 
@@ -311,13 +802,48 @@
 		});
 
 		btnFetch.addEventListener("click", handleFetch);
+		btnAddCourse?.addEventListener("click", () => openCourseEditor());
+		btnImport?.addEventListener("click", () => importFile.click());
+		importFile?.addEventListener("change", handleImportFile);
+		importPanel
+			?.querySelectorAll('input[name="import-mode"]')
+			.forEach((input) =>
+				input.addEventListener("change", renderImportPreview),
+			);
+		btnImportConfirm?.addEventListener("click", handleImportConfirm);
+		btnImportCancel?.addEventListener("click", closeImportPanel);
+		btnCloseImport?.addEventListener("click", closeImportPanel);
 		btnExport.addEventListener("click", handleExport);
 		btnClear.addEventListener("click", handleClear);
+		termBadge?.addEventListener("change", handleTermChange);
 
 		btnSettings.addEventListener("click", () => {
 			settingsPanel.classList.remove("hidden");
+			renderTermCalendarSettings();
+			renderCalendarSettings();
+			renderSyncSettings();
+			renderSnapshots();
 		});
 
+		btnSnapshotCreate?.addEventListener("click", handleSnapshotCreate);
+		settingSync?.addEventListener("change", handleSyncToggle);
+		btnSyncNow?.addEventListener("click", () => requestSync());
+		btnSyncKeepLocal?.addEventListener("click", () => requestSync("local"));
+		btnSyncUseRemote?.addEventListener("click", () => requestSync("remote"));
+
+		for (const control of [settingShowWeekends, settingStartHour, settingEndHour]) {
+			control?.addEventListener("change", handleCalendarSettingsChange);
+		}
+
+		btnTermCalendarSave?.addEventListener("click", () =>
+			applyTermCalendarJson(termCalendarJson.value),
+		);
+		btnTermCalendarImport?.addEventListener("click", () =>
+			termCalendarFile.click(),
+		);
+		termCalendarFile?.addEventListener("change", handleTermCalendarImport);
+		btnTermCalendarReset?.addEventListener("click", handleTermCalendarReset);
+
 		btnCloseSettings.addEventListener("click", () => {
 			settingsPanel.classList.add("hidden");
 		});
@@ -334,15 +860,60 @@
 
 		document.addEventListener("coursesUpdated", loadData);
 		document.addEventListener("keydown", (event) => {
-			if (event.key === "Escape" && activeMetadataCourseId) {
+			const historyStep = getHistoryShortcut(event);
+			if (historyStep) {
+				event.preventDefault();
+				stepHistory(historyStep);
+				return;
+			}
+			if (
+				event.key === "Escape" &&
+				(activeMetadataCourseId || isEditingCourse)
+			) {
 				closeCourseMetadataDrawer();
+				return;
+			}
+			if (event.key === "Escape" && pendingImport) {
+				closeImportPanel();
 			}
 		});
 	}
 
 	function listenForUpdates() {
 		chrome.storage.onChanged.addListener((changes, namespace) => {
-			if (namespace === "local" && (changes.courses || changes.buckets || changes.professorRatings)) {
+			const settingsOpen = !settingsPanel.classList.contains("hidden");
+			// Another device pushed; the pulled data arrives as local changes
+			if (namespace === "sync") {
+				if (settingsOpen) renderSyncSettings();
+				return;
+			}
+			if (namespace !== "local") return;
+			const changed = getChangedStorageKeys(changes, currentTerm);
+			if (changed.has("syncState")) {
+				const { oldValue, newValue } = changes.syncState;
+				if (settingsOpen) {
+					renderSyncSettings();
+				} else if (newValue?.conflict && !oldValue?.conflict) {
+					showHistoryNotice("// sync conflict: pick a side in settings");
+				}
+			}
+			if (changed.has("snapshots") && settingsOpen) {
+				renderSnapshots();
+			}
+			if (changed.has("activeTerm") || changed.has("knownTerms")) {
+				renderTermSwitcher()
+					.then(renderTermCalendarSettings)
+					.then(scheduleLoadData);
+				return;
+			}
+			if (
+				changed.has("courses") ||
+				changed.has("buckets") ||
+				changed.has("scenarios") ||
+				changed.has("professorRatings") ||
+				changed.has("termCalendar") ||
+				changed.has("settings")
+			) {
 				scheduleLoadData();
 			}
 		});
@@ -415,7 +986,13 @@
 			assertValidParseResponse(response);
 
 			if (response.courses.length > 0) {
-				await chrome.storage.local.set({ courses: response.courses });
+				// File the cart under the term Albert is showing
+				if (isValidTermCode(response.term) && response.term !== currentTerm) {
+					await setActiveTerm(response.term);
+				}
+
+				// Courses dropped from the cart stay planned; they're flagged instead
+				const diff = await mergeFetchedCourses(response.courses);
 				await chrome.action.setBadgeText({
 					text: String(response.courses.length),
 					tabId: tab.id,
@@ -425,17 +1002,8 @@
 					tabId: tab.id,
 				});
 
-				const fetchedCourseIds = new Set(response.courses.map((c) => c.id));
-				const currentPlannerSelection = await getPlannerSelection();
-				const validPlannerSelection = currentPlannerSelection.filter((id) =>
-					fetchedCourseIds.has(id),
-				);
-
-				if (validPlannerSelection.length !== currentPlannerSelection.length) {
-					await setPlannerSelection(validPlannerSelection);
-				}
-
 				setFetchLabel(`fetched ${response.courses.length} courses`);
+				renderFetchDiff(diff);
 				await loadData();
 			} else {
 				setFetchLabel("no courses found");
@@ -460,6 +1028,61 @@
 		}
 	}
 
+	function describeCourse(course) {
+		return `${course.courseCode} (${course.section})`;
+	}
+
+	function renderFetchDiff(diff) {
+		if (!fetchDiff) return;
+		const lines = [
+			...diff.added.map((course) => ({
+				type: "added",
+				text: `+ ${describeCourse(course)}`,
+			})),
+			...diff.removed.map((course) => ({
+				type: "removed",
+				text: `− ${describeCourse(course)} dropped from cart`,
+			})),
+			...diff.changed.flatMap(({ course, changes }) =>
+				changes.map((change) => ({
+					type: "changed",
+					text: `~ ${describeCourse(course)} ${change.field}: ${change.before} → ${change.after}`,
+				})),
+			),
+		];
+
+		fetchDiff.innerHTML = "";
+		const summary = document.createElement("div");
+		summary.className = "fetch-diff-summary";
+		summary.textContent = lines.length
+			? `// ${diff.added.length} added · ${diff.removed.length} dropped · ${diff.changed.length} changed`
+			: "// cart unchanged since last fetch";
+		fetchDiff.appendChild(summary);
+
+		if (lines.length) {
+			const list = document.createElement("ul");
+			list.className = "fetch-diff-list";
+			for (const line of lines) {
+				const item = document.createElement("li");
+				item.className = `fetch-diff-${line.type}`;
+				item.textContent = line.text;
+				list.appendChild(item);
+			}
+			fetchDiff.appendChild(list);
+		}
+
+		const dismiss = document.createElement("button");
+		dismiss.type = "button";
+		dismiss.className = "fetch-diff-dismiss";
+		dismiss.setAttribute("aria-label", "Dismiss fetch summary");
+		dismiss.textContent = "✕";
+		dismiss.addEventListener("click", () => {
+			fetchDiff.classList.add("hidden");
+		});
+		fetchDiff.appendChild(dismiss);
+		fetchDiff.classList.remove("hidden");
+	}
+
 	async function handleExport() {
 		try {
 			const data = await exportData();
@@ -482,20 +1105,227 @@
 		}
 	}
 
+	function getImportMode() {
+		return (
+			importPanel.querySelector('input[name="import-mode"]:checked')?.value ||
+			"merge"
+		);
+	}
+
+	function setImportError(message) {
+		importError.textContent = message || "";
+		importError.classList.toggle("hidden", !message);
+	}
+
+	async function handleImportFile() {
+		const [file] = importFile.files;
+		importFile.value = "";
+		if (!file) return;
+
+		try {
+			const backup = JSON.parse(await file.text());
+			const preview = await previewImport(backup);
+			pendingImport = { backup, preview, fileName: file.name };
+			importChoices.clear();
+			setImportError(null);
+			renderImportPreview();
+			importPanel.classList.remove("hidden");
+		} catch (error) {
+			console.error("[Albert Enhancer] Backup rejected:", error);
+			alert(
+				error instanceof SyntaxError
+					? `Not a valid backup file: ${error.message}`
+					: `Backup rejected: ${error.message}`,
+			);
+		}
+	}
+
+	function closeImportPanel() {
+		importPanel.classList.add("hidden");
+		pendingImport = null;
+		importChoices.clear();
+	}
+
+	function createImportConflict(diff, conflict, mode) {
+		const row = document.createElement("div");
+		row.className = "import-conflict";
+
+		const title = document.createElement("div");
+		title.className = "fetch-diff-changed";
+		title.textContent = `~ ${describeCourse(conflict.current)}`;
+		row.appendChild(title);
+
+		const changes = document.createElement("div");
+		changes.className = "import-conflict-changes";
+		changes.textContent = conflict.changes
+			.map((change) => `${change.field}: ${change.before} → ${change.after}`)
+			.join("\n");
+		row.appendChild(changes);
+
+		if (mode !== "merge") return row;
+
+		const choiceKey = `${diff.term}:${conflict.id}`;
+		const select = document.createElement("select");
+		select.setAttribute(
+			"aria-label",
+			`Which copy of ${describeCourse(conflict.current)} to keep`,
+		);
+		for (const [value, label] of [
+			["current", "keep mine"],
+			["incoming", "use backup"],
+		]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = label;
+			select.appendChild(option);
+		}
+		select.value = importChoices.get(choiceKey) || "current";
+		select.addEventListener("change", () => {
+			importChoices.set(choiceKey, select.value);
+		});
+		row.appendChild(select);
+		return row;
+	}
+
+	function renderImportPreview() {
+		if (!pendingImport) return;
+		const mode = getImportMode();
+		const { backup, preview, fileName } = pendingImport;
+		const exportedAt = Date.parse(backup.exportedAt);
+
+		importSummary.textContent = Number.isNaN(exportedAt)
+			? fileName
+			: `${fileName} · exported ${formatSnapshotTime(exportedAt)}`;
+		importPreview.innerHTML = "";
+
+		if (!preview.length) {
+			const empty = document.createElement("p");
+			empty.className = "setting-summary";
+			empty.textContent = "// the backup has the same courses as you";
+			importPreview.appendChild(empty);
+			return;
+		}
+
+		for (const diff of preview) {
+			const card = document.createElement("div");
+			card.className = "import-term";
+
+			const summary = document.createElement("div");
+			summary.className = "fetch-diff-summary";
+			summary.textContent = `${getTermName(diff.term)} · ${diff.added.length} new · ${diff.conflicts.length} different · ${diff.removed.length} ${mode === "merge" ? "kept" : "removed"}`;
+			card.appendChild(summary);
+
+			const list = document.createElement("ul");
+			list.className = "fetch-diff-list";
+			const lines = diff.added.map((course) => ({
+				type: "added",
+				text: `+ ${describeCourse(course)}`,
+			}));
+			if (mode === "replace") {
+				lines.push(
+					...diff.removed.map((course) => ({
+						type: "removed",
+						text: `− ${describeCourse(course)}`,
+					})),
+				);
+			}
+			for (const line of lines) {
+				const item = document.createElement("li");
+				item.className = `fetch-diff-${line.type}`;
+				item.textContent = line.text;
+				list.appendChild(item);
+			}
+			if (lines.length) card.appendChild(list);
+
+			for (const conflict of diff.conflicts) {
+				card.appendChild(createImportConflict(diff, conflict, mode));
+			}
+			importPreview.appendChild(card);
+		}
+	}
+
+	async function handleImportConfirm() {
+		if (!pendingImport) return;
+		const mode = getImportMode();
+		if (
+			mode === "replace" &&
+			!confirm(
+				"Replace all your data with this backup? A restore point of your current data is saved first.",
+			)
+		) {
+			return;
+		}
+
+		const resolutions = {};
+		for (const [choiceKey, choice] of importChoices) {
+			const separator = choiceKey.indexOf(":");
+			const term = choiceKey.slice(0, separator);
+			resolutions[term] = {
+				...resolutions[term],
+				[choiceKey.slice(separator + 1)]: choice,
+			};
+		}
+
+		setImportError(null);
+		btnImportConfirm.disabled = true;
+		try {
+			await importData(pendingImport.backup, { mode, resolutions });
+			closeImportPanel();
+			showHistoryNotice("// backup imported", mode === "merge");
+		} catch (error) {
+			console.error("[Albert Enhancer] Import failed:", error);
+			setImportError(error.message);
+		} finally {
+			btnImportConfirm.disabled = false;
+		}
+	}
+
 	async function handleClear() {
 		if (!confirm("Are you sure you want to clear all courses?")) {
 			return;
 		}
 
 		try {
-			await chrome.storage.local.set({ courses: [], plannerSelection: [] });
+			await clearCourses();
 			await chrome.action.setBadgeText({ text: "" });
 			await loadData();
+			showHistoryNotice("// courses cleared", true);
 		} catch (error) {
 			console.error("[Albert Enhancer] Clear failed:", error);
 			alert("Failed to clear courses.");
 		}
 	}
 
+	function showHistoryNotice(message, withUndo = false) {
+		if (!historyNotice) return;
+		clearTimeout(historyNoticeTimer);
+		historyNotice.innerHTML = "";
+
+		const text = document.createElement("span");
+		text.textContent = message;
+		historyNotice.appendChild(text);
+
+		if (withUndo) {
+			const button = document.createElement("button");
+			button.type = "button";
+			button.className = "history-notice-action";
+			button.textContent = "undo";
+			button.addEventListener("click", () => stepHistory("undo"));
+			historyNotice.appendChild(button);
+		}
+
+		historyNotice.classList.remove("hidden");
+		historyNoticeTimer = setTimeout(
+			() => historyNotice.classList.add("hidden"),
+			withUndo ? 6000 : 3000,
+		);
+	}
+
+	function stepHistory(step) {
+		return handleHistoryStep(step, (message) =>
+			showHistoryNotice(`// ${message.toLowerCase()}`),
+		);
+	}
+
 	init();
 })();
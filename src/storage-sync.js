@@ -0,0 +1,244 @@
+// Opt-in sync of plans between devices through chrome.storage.sync
+//
+// Courses, buckets, scenarios and professor ratings of every term (see
+// getSyncedTermData) travel as one payload: deflated, base64 encoded and split
+// into chunks that fit the per-item quota. Each device remembers the payload
+// hash it last synced, so it can tell which side changed since; when both
+// did, nothing is overwritten until the user picks a side.
+
+import {
+	applySyncedTermData,
+	getSettings,
+	getSyncedTermData,
+} from "./course-storage.js";
+import { STORAGE_KEYS } from "./utils/constants.js";
+import { SCHEMA_VERSION } from "./utils/migrations.js";
+import {
+	decodePayload,
+	encodePayload,
+	hashPayload,
+	splitChunks,
+} from "./utils/sync-codec.js";
+
+export const SYNC_META_KEY = "planSync";
+const CHUNK_PREFIX = "planSync:";
+// chrome.storage.sync allows 8 KB per item, counting the key and JSON quotes
+const CHUNK_SIZE = 7000;
+// ...and about 100 KB in total; the rest is headroom for the meta item
+const MAX_PAYLOAD_CHARS = 90 * 1024;
+
+const SYNCED_KEYS = new Set([
+	STORAGE_KEYS.COURSES,
+	STORAGE_KEYS.BUCKETS,
+	STORAGE_KEYS.SCENARIOS,
+	STORAGE_KEYS.PROFESSOR_RATINGS,
+]);
+
+let runningSync = null;
+
+// ============ Remote Copy ============
+
+async function readRemote() {
+	const result = await chrome.storage.sync.get(SYNC_META_KEY);
+	const meta = result[SYNC_META_KEY];
+	if (!meta || !Number.isInteger(meta.chunks)) return null;
+
+	const chunkKeys = Array.from(
+		{ length: meta.chunks },
+		(_, index) => `${CHUNK_PREFIX}${index}`,
+	);
+	const chunks = await chrome.storage.sync.get(chunkKeys);
+	if (chunkKeys.some((key) => typeof chunks[key] !== "string")) return null;
+
+	const terms = await decodePayload(
+		chunkKeys.map((key) => chunks[key]).join(""),
+	);
+	// Chunks of two different writes can meet while one is still arriving
+	if (hashPayload(terms) !== meta.hash) return null;
+	return { meta, terms };
+}
+
+async function writeRemote(terms, hash, deviceId) {
+	const encoded = await encodePayload(terms);
+	if (encoded.length > MAX_PAYLOAD_CHARS) {
+		throw new Error(
+			`Plan is too large to sync (${Math.ceil(encoded.length / 1024)} KB compressed, limit ${MAX_PAYLOAD_CHARS / 1024} KB)`,
+		);
+	}
+
+	const previous = await chrome.storage.sync.get(SYNC_META_KEY);
+	const items = {};
+	const chunks = splitChunks(encoded, CHUNK_SIZE);
+	chunks.forEach((chunk, index) => {
+		items[`${CHUNK_PREFIX}${index}`] = chunk;
+	});
+	const count = chunks.length;
+	items[SYNC_META_KEY] = {
+		version: SCHEMA_VERSION,
+		hash,
+		chunks: count,
+		updatedAt: Date.now(),
+		deviceId,
+	};
+	await chrome.storage.sync.set(items);
+
+	const previousCount = previous[SYNC_META_KEY]?.chunks || 0;
+	if (previousCount > count) {
+		await chrome.storage.sync.remove(
+			Array.from(
+				{ length: previousCount - count },
+				(_, index) => `${CHUNK_PREFIX}${count + index}`,
+			),
+		);
+	}
+	return items[SYNC_META_KEY];
+}
+
+// ============ Sync State ============
+
+/**
+ * This device's view of sync
+ * @returns {Promise<{ deviceId: string|null, lastHash: string|null, lastSyncedAt: number|null, conflict: { remoteUpdatedAt: number, remoteDeviceId: string } | null, error: string|null }>}
+ */
+export async function getSyncStatus() {
+	const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_STATE);
+	const state = result[STORAGE_KEYS.SYNC_STATE] || {};
+	return {
+		deviceId: state.deviceId ?? null,
+		lastHash: state.lastHash ?? null,
+		lastSyncedAt: state.lastSyncedAt ?? null,
+		conflict: state.conflict ?? null,
+		error: state.error ?? null,
+	};
+}
+
+// Merged into a fresh read, so the device id set by initializeStorage is kept
+async function updateSyncStatus(changes) {
+	const result = await chrome.storage.local.get(STORAGE_KEYS.SYNC_STATE);
+	await chrome.storage.local.set({
+		[STORAGE_KEYS.SYNC_STATE]: {
+			...result[STORAGE_KEYS.SYNC_STATE],
+			...changes,
+		},
+	});
+}
+
+function hasCourses(terms) {
+	return Object.values(terms).some(
+		(term) => term[STORAGE_KEYS.COURSES]?.length > 0,
+	);
+}
+
+// ============ Sync ============
+
+async function runSync(resolve) {
+	const status = await getSyncStatus();
+	if (!status.deviceId) {
+		throw new Error("Sync isn't set up on this device yet; restart the browser");
+	}
+	const local = await getSyncedTermData();
+	const localHash = hashPayload(local);
+	const remote = await readRemote();
+
+	const push = async () => {
+		await writeRemote(local, localHash, status.deviceId);
+		await updateSyncStatus({
+			lastHash: localHash,
+			lastSyncedAt: Date.now(),
+			conflict: null,
+			error: null,
+		});
+		return "pushed";
+	};
+	const pull = async () => {
+		if (remote.meta.version !== SCHEMA_VERSION) {
+			throw new Error(
+				"The other device runs a different version of the extension; update both to sync",
+			);
+		}
+		// Saved first, so the local writes below don't look like new local changes
+		await updateSyncStatus({
+			lastHash: remote.meta.hash,
+			lastSyncedAt: Date.now(),
+			conflict: null,
+			error: null,
+		});
+		await applySyncedTermData(remote.terms);
+		return "pulled";
+	};
+
+	if (!remote) return push();
+	if (remote.meta.hash === localHash) {
+		await updateSyncStatus({
+			lastHash: localHash,
+			lastSyncedAt: Date.now(),
+			conflict: null,
+			error: null,
+		});
+		return "unchanged";
+	}
+
+	const localChanged = localHash !== status.lastHash && hasCourses(local);
+	const remoteChanged = remote.meta.hash !== status.lastHash;
+	if (resolve === "local") return push();
+	if (resolve === "remote") return pull();
+	if (localChanged && remoteChanged) {
+		await updateSyncStatus({
+			conflict: {
+				remoteUpdatedAt: remote.meta.updatedAt,
+				remoteDeviceId: remote.meta.deviceId,
+			},
+			error: null,
+		});
+		return "conflict";
+	}
+	return remoteChanged ? pull() : push();
+}
+
+/**
+ * Bring this device and chrome.storage.sync in line, if sync is turned on.
+ * The side that changed since the last sync wins; when both did, a conflict
+ * is recorded in the sync status until resolve picks one.
+ * @param {{ resolve?: "local"|"remote" }} [options] - Side that wins a conflict
+ * @returns {Promise<"disabled"|"unchanged"|"pushed"|"pulled"|"conflict">}
+ */
+export async function syncNow(options = {}) {
+	const settings = await getSettings();
+	if (!settings.syncEnabled) return "disabled";
+
+	// One sync at a time; later calls wait and then look again
+	const previous = runningSync || Promise.resolve();
+	const run = previous
+		.catch(() => {})
+		.then(() => runSync(options.resolve));
+	runningSync = run;
+	try {
+		return await run;
+	} catch (error) {
+		console.error("[Albert Enhancer] Sync failed:", error);
+		await updateSyncStatus({ error: error.message });
+		throw error;
+	} finally {
+		if (runningSync === run) runningSync = null;
+	}
+}
+
+/**
+ * Whether a storage.onChanged event touched data that syncs: a new remote
+ * copy, the sync setting, or a synced key of any term
+ * @param {object} changes - storage.onChanged changes
+ * @param {string} namespace - storage.onChanged area name
+ * @returns {boolean}
+ */
+export function isSyncedChange(changes, namespace) {
+	if (namespace === "sync") return SYNC_META_KEY in changes;
+	if (namespace !== "local") return false;
+	return Object.keys(changes).some((key) => {
+		if (key === STORAGE_KEYS.SETTINGS) {
+			const { oldValue, newValue } = changes[key];
+			return oldValue?.syncEnabled !== newValue?.syncEnabled;
+		}
+		const separator = key.indexOf(":");
+		return separator !== -1 && SYNCED_KEYS.has(key.slice(separator + 1));
+	});
+}
@@ -1,33 +1,109 @@
 // Calendar and schedule utilities
 
+import { CALENDAR_CONFIG } from "./constants.js";
 import { doTimesOverlap, timeToMinutes } from "./time-parser.js";
+import {
+	getComponentDateRange,
+	getMeetingSchedule,
+	getTermWeeks,
+	getWeekDates,
+	parseDate,
+	WEEKDAYS,
+} from "./term-calendar.js";
+
+/**
+ * Check whether two components are in session at the same time of the term.
+ * Uses their meeting date ranges when both have one, otherwise their session
+ * codes: a first-half and a second-half 7-week class never meet together.
+ * @param {object} a - Component with optional dateRange and session
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function doMeetingDatesOverlap(a, b) {
+	if (a.dateRange && b.dateRange) {
+		return (
+			a.dateRange.start <= b.dateRange.end &&
+			b.dateRange.start <= a.dateRange.end
+		);
+	}
+	const sessions = [a.session, b.session];
+	return !(sessions.includes("7W1") && sessions.includes("7W2"));
+}
+
+/**
+ * Meeting patterns of a component, e.g. MoWe 9:30-10:45 plus Fr 2:00-3:15.
+ * Each inherits the component's room, date range and session unless it has
+ * its own. Components saved before meetings existed only have a single
+ * days/timeRange/room on the component itself.
+ * @param {object} component
+ * @returns {{ days: string[], timeRange: object|null, room?: string, dateRange: object|null, session: string|null }[]}
+ */
+export function getComponentMeetings(component) {
+	const shared = {
+		room: component.room,
+		dateRange: component.dateRange ?? null,
+		session: component.session ?? null,
+	};
+	if (!Array.isArray(component.meetings) || component.meetings.length === 0) {
+		return [
+			{
+				...shared,
+				days: component.days || [],
+				timeRange: component.timeRange || null,
+			},
+		];
+	}
+	return component.meetings.map((meeting) => ({ ...shared, ...meeting }));
+}
+
+/**
+ * Split a component into one schedule entry per meeting pattern
+ * @param {object} component
+ * @returns {object[]} Copies of the component carrying that meeting's days,
+ *   timeRange, room and dateRange, plus its meetingIndex
+ */
+export function expandComponentMeetings(component) {
+	const { meetings, ...rest } = component;
+	return getComponentMeetings(component).map((meeting, meetingIndex) => ({
+		...rest,
+		...meeting,
+		meetingIndex,
+	}));
+}
+
+function doMeetingsOverlap(a, b) {
+	return (
+		a.days.some((day) => b.days.includes(day)) &&
+		doTimesOverlap(a.timeRange, b.timeRange) &&
+		doMeetingDatesOverlap(a, b)
+	);
+}
+
+function doComponentsOverlap(component, existing) {
+	const others = getComponentMeetings(existing);
+	return getComponentMeetings(component).some((meeting) =>
+		others.some((other) => doMeetingsOverlap(meeting, other)),
+	);
+}
 
 /**
  * Check if a course component conflicts with existing schedule
- * @param {object} component - Course component with days and timeRange
+ * @param {object} component - Course component with days and timeRange, or
+ *   several meetings
  * @param {object[]} schedule - Array of scheduled components
  * @returns {boolean}
  */
 export function hasConflict(component, schedule) {
-	if (!component.timeRange || component.days.length === 0) return false;
-
-	return schedule.some((existing) => {
-		// Check if any days overlap
-		const daysOverlap = component.days.some((day) =>
-			existing.days.includes(day)
-		);
-		if (!daysOverlap) return false;
-
-		// Check time overlap
-		return doTimesOverlap(component.timeRange, existing.timeRange);
-	});
+	return schedule.some((existing) => doComponentsOverlap(component, existing));
 }
 
 /**
  * Find all conflicts between a course and existing schedule
  * @param {object} course - Course object with components
- * @param {object[]} schedule - Array of scheduled components
- * @returns {object[]} Array of conflicting courses
+ * @param {object[]} schedule - Array of scheduled components, which may
+ *   include busy blocks (see flattenBusyBlocks in planner.js)
+ * @returns {object[]} Array of conflicting courses; existingCourse is null
+ *   and existingComponent.busyBlockId is set when it is a busy block
  */
 export function findConflicts(course, schedule) {
 	const conflicts = [];
@@ -36,14 +112,7 @@ export function findConflicts(course, schedule) {
 		for (const existing of schedule) {
 			if (existing.courseId === course.id) continue;
 
-			const daysOverlap = component.days.some((day) =>
-				existing.days.includes(day)
-			);
-
-			if (
-				daysOverlap &&
-				doTimesOverlap(component.timeRange, existing.timeRange)
-			) {
+			if (doComponentsOverlap(component, existing)) {
 				conflicts.push({
 					newCourse: course,
 					newComponent: component,
@@ -58,14 +127,44 @@ export function findConflicts(course, schedule) {
 }
 
 /**
- * Build weekly grid data from scheduled components
+ * Days and hours the weekly calendar shows: the user's settings, widened so
+ * classes on a weekend or outside the hour window still fit
+ * @param {{ showWeekends?: boolean, startHour?: number, endHour?: number }} settings
  * @param {object[]} schedule - Flat array of scheduled components
- * @param {number} startHour - Day start hour (e.g., 7)
- * @param {number} endHour - Day end hour (e.g., 22)
+ * @returns {{ days: string[], startHour: number, endHour: number }}
+ */
+export function getCalendarLayout(settings = {}, schedule = []) {
+	const busyDays = new Set(
+		schedule
+			.filter((component) => component.timeRange)
+			.flatMap((component) => component.days || []),
+	);
+	const days = [
+		...CALENDAR_CONFIG.WEEKDAYS,
+		...CALENDAR_CONFIG.WEEKEND_DAYS.filter(
+			(day) => settings.showWeekends || busyDays.has(day),
+		),
+	];
+
+	let startHour = settings.startHour ?? CALENDAR_CONFIG.START_HOUR;
+	let endHour = settings.endHour ?? CALENDAR_CONFIG.END_HOUR;
+	const earliest = getEarliestStart(schedule);
+	const latest = getLatestEnd(schedule);
+	if (earliest) startHour = Math.min(startHour, earliest.hours);
+	if (latest) endHour = Math.max(endHour, Math.ceil(timeToMinutes(latest) / 60));
+
+	return { days, startHour, endHour };
+}
+
+/**
+ * Build weekly grid data from scheduled components
+ * @param {object[]} schedule - Flat array of scheduled components, one per
+ *   meeting (see flattenToSchedule)
+ * @param {{ days: string[] }} [layout] - Columns to fill (see getCalendarLayout)
  * @returns {object} Grid data by day
  */
-export function buildWeeklyGrid(schedule, startHour = 7, endHour = 22) {
-	const days = ["Mon", "Tue", "Wed", "Thu", "Fri"];
+export function buildWeeklyGrid(schedule, layout = getCalendarLayout({}, schedule)) {
+	const { days } = layout;
 	const grid = {};
 
 	for (const day of days) {
@@ -97,9 +196,15 @@ export function buildWeeklyGrid(schedule, startHour = 7, endHour = 22) {
 /**
  * Calculate total scheduled hours per week
  * @param {object[]} schedule
+ * @param {object|null} termCalendar - When given, the term's actual meetings
+ *   are averaged over its weeks instead of assuming every week is identical
  * @returns {number} Hours per week
  */
-export function calculateWeeklyHours(schedule) {
+export function calculateWeeklyHours(schedule, termCalendar = null) {
+	if (termCalendar) {
+		return calculateTermHours(schedule, termCalendar) / getTermWeeks(termCalendar);
+	}
+
 	let totalMinutes = 0;
 
 	for (const component of schedule) {
@@ -114,6 +219,61 @@ export function calculateWeeklyHours(schedule) {
 	return totalMinutes / 60;
 }
 
+/**
+ * Calculate total class hours over a term, counting each actual meeting
+ * @param {object[]} schedule
+ * @param {object} termCalendar
+ * @returns {number} Hours per term
+ */
+export function calculateTermHours(schedule, termCalendar) {
+	let totalMinutes = 0;
+
+	for (const component of schedule) {
+		if (!component.timeRange || !component.days?.length) continue;
+
+		const duration =
+			timeToMinutes(component.timeRange.end) -
+			timeToMinutes(component.timeRange.start);
+		const { dates } = getMeetingSchedule(
+			component.days,
+			termCalendar,
+			getComponentDateRange(component, termCalendar),
+		);
+		totalMinutes += duration * dates.length;
+	}
+
+	return totalMinutes / 60;
+}
+
+/**
+ * The schedule as it actually meets in one week of the term: components that
+ * don't meet that week are dropped and the rest keep only the weekdays they
+ * meet on, so holidays disappear and substitution days show up
+ * @param {object[]} schedule
+ * @param {object} termCalendar
+ * @param {string} weekStart - Monday of the week (see getWeekStarts)
+ * @returns {object[]}
+ */
+export function getScheduleForWeek(schedule, termCalendar, weekStart) {
+	const weekDates = new Set(getWeekDates(weekStart));
+	const weekSchedule = [];
+
+	for (const component of schedule) {
+		if (!component.timeRange || !component.days?.length) continue;
+		const { dates } = getMeetingSchedule(
+			component.days,
+			termCalendar,
+			getComponentDateRange(component, termCalendar),
+		);
+		const days = dates
+			.filter((date) => weekDates.has(date))
+			.map((date) => WEEKDAYS[parseDate(date).getUTCDay()]);
+		if (days.length) weekSchedule.push({ ...component, days });
+	}
+
+	return weekSchedule;
+}
+
 /**
  * Find the earliest class start time across the schedule
  * @param {object[]} schedule
@@ -159,3 +319,97 @@ export function getCampusDays(schedule) {
 	}
 	return days.size;
 }
+
+/**
+ * Merge overlapping class times into busy intervals per day
+ * @param {object[]} schedule
+ * @param {number} joinWithinMinutes - Also merge intervals separated by at most this gap
+ * @returns {Object<string, { start: number, end: number }[]>} Minutes since midnight, sorted
+ */
+export function getBusyIntervalsByDay(schedule, joinWithinMinutes = 0) {
+	const byDay = {};
+	for (const component of schedule) {
+		if (!component.timeRange || !component.days) continue;
+		const start = timeToMinutes(component.timeRange.start);
+		const end = timeToMinutes(component.timeRange.end);
+		for (const day of component.days) {
+			if (!byDay[day]) byDay[day] = [];
+			byDay[day].push({ start, end });
+		}
+	}
+
+	for (const day of Object.keys(byDay)) {
+		const sorted = byDay[day].sort((a, b) => a.start - b.start);
+		const merged = [];
+		for (const interval of sorted) {
+			const last = merged[merged.length - 1];
+			if (last && interval.start <= last.end + joinWithinMinutes) {
+				last.end = Math.max(last.end, interval.end);
+			} else {
+				merged.push({ ...interval });
+			}
+		}
+		byDay[day] = merged;
+	}
+
+	return byDay;
+}
+
+/**
+ * Free intervals per day within the calendar window: the inverse of
+ * buildWeeklyGrid. Gaps between two classes on the same day are marked
+ * as between, so idle time on campus can be told apart from a free
+ * morning or evening.
+ * @param {object[]} schedule - Flat schedule, which may include busy blocks
+ * @param {{ days: string[], startHour: number, endHour: number }} layout - See getCalendarLayout
+ * @param {number} [minMinutes] - Shorter free stretches are left out
+ * @returns {Object<string, { start: number, end: number, minutes: number, between: boolean }[]>} Minutes since midnight, per layout day
+ */
+export function findFreeIntervals(schedule, layout, minMinutes = 0) {
+	const busyByDay = getBusyIntervalsByDay(schedule);
+	const dayStart = layout.startHour * 60;
+	const dayEnd = layout.endHour * 60;
+	const free = {};
+
+	for (const day of layout.days) {
+		free[day] = [];
+		const busy = busyByDay[day] || [];
+		let cursor = dayStart;
+		busy.forEach((interval, index) => {
+			const end = Math.min(interval.start, dayEnd);
+			if (end > cursor && end - cursor >= minMinutes) {
+				free[day].push({
+					start: cursor,
+					end,
+					minutes: end - cursor,
+					between: index > 0 && interval.start <= dayEnd,
+				});
+			}
+			cursor = Math.max(cursor, interval.end);
+		});
+		if (dayEnd > cursor && dayEnd - cursor >= minMinutes) {
+			free[day].push({
+				start: cursor,
+				end: dayEnd,
+				minutes: dayEnd - cursor,
+				between: false,
+			});
+		}
+	}
+
+	return free;
+}
+
+/**
+ * Free time that several people share: stretches of the calendar window
+ * where none of them has class. Meeting dates are ignored, so a half-term
+ * class blocks its slot for the whole term.
+ * @param {object[][]} schedules - One flat schedule per person, which may
+ *   include busy blocks
+ * @param {{ days: string[], startHour: number, endHour: number }} layout - See getCalendarLayout
+ * @param {number} [minMinutes] - Shorter free stretches are left out
+ * @returns {Object<string, { start: number, end: number, minutes: number, between: boolean }[]>} See findFreeIntervals
+ */
+export function findSharedFreeTime(schedules, layout, minMinutes = 60) {
+	return findFreeIntervals(schedules.flat(), layout, minMinutes);
+}
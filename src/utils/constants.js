@@ -1,13 +1,63 @@
 // Constants and configuration for Albert Course Planner
 
-// ============================================
-// SEMESTER CONFIG - UPDATE THIS EACH SEMESTER
-// ============================================
-// Find the term code in Albert's page source or URL
-// Known: 1264 = Spring 2026
-export const CURRENT_TERM = "1268"; // <-- UPDATE THIS EACH SEMESTER
-export const CURRENT_TERM_NAME = "Fall 2026"; // <-- Human-readable name
-// ============================================
+// Term used until one is detected on an Albert page. Codes follow the
+// 1YYS pattern decoded in utils/term-utils.js (1264 = Spring 2026).
+export const DEFAULT_TERM = "1268";
+
+// Season digit of an Albert term code
+export const TERM_SEASONS = {
+	2: "January",
+	4: "Spring",
+	6: "Summer",
+	8: "Fall",
+};
+
+// Academic calendars from the NYU registrar, as YYYY-MM-DD dates. Users can
+// override a term's calendar in settings; add new terms as they're published.
+//   breaks        - ranges without classes (inclusive)
+//   holidays      - single days without classes
+//   substitutions - days that follow another weekday's schedule
+export const DEFAULT_TERM_CALENDARS = {
+	1258: {
+		firstDay: "2025-09-02",
+		lastDay: "2025-12-10",
+		breaks: [
+			{ name: "Thanksgiving recess", start: "2025-11-26", end: "2025-11-29" },
+		],
+		holidays: [{ name: "Fall recess", date: "2025-10-13" }],
+		substitutions: [
+			{ name: "Legislative day", date: "2025-10-14", followsDay: "Mon" },
+		],
+	},
+	1264: {
+		firstDay: "2026-01-20",
+		lastDay: "2026-05-04",
+		breaks: [{ name: "Spring recess", start: "2026-03-16", end: "2026-03-21" }],
+		holidays: [{ name: "Presidents' Day", date: "2026-02-16" }],
+		substitutions: [],
+	},
+	1268: {
+		firstDay: "2026-09-08",
+		lastDay: "2026-12-14",
+		breaks: [
+			{ name: "Thanksgiving recess", start: "2026-11-25", end: "2026-11-28" },
+		],
+		holidays: [{ name: "Fall recess", date: "2026-10-12" }],
+		substitutions: [
+			{ name: "Legislative day", date: "2026-10-13", followsDay: "Mon" },
+		],
+	},
+};
+
+// Albert session codes. Half-semester sessions only meet for part of the term,
+// so a first-half and a second-half class never clash.
+export const SESSION_LABELS = {
+	1: "Regular",
+	"7W1": "7-week first half",
+	"7W2": "7-week second half",
+};
+
+export const HALF_SESSION_WEEKS = 7;
 
 // Day abbreviation mapping - Albert uses 2-letter codes: Mo, Tu, We, Th, Fr, Sa, Su
 export const DAY_MAP = {
@@ -37,8 +87,46 @@ export const STORAGE_KEYS = {
 	SETTINGS: "settings",
 	PLANNER_SELECTION: "plannerSelection",
 	PROFESSOR_RATINGS: "professorRatings",
+	SCHEDULE_CONSTRAINTS: "scheduleConstraints",
+	SEARCH_RESULTS: "searchResults",
+	ACTIVE_TERM: "activeTerm",
+	KNOWN_TERMS: "knownTerms",
+	SCENARIOS: "scenarios",
+	TERM_CALENDAR: "termCalendar",
+	BUSY_BLOCKS: "busyBlocks",
+	FRIEND_SCHEDULES: "friendSchedules",
+	HISTORY: "history",
+	SNAPSHOTS: "snapshots",
+	SCHEMA_VERSION: "schemaVersion",
+	SYNC_STATE: "syncState",
 };
 
+// Stored once per term as "<term>:<key>" (e.g. "1268:courses").
+// PLANNER_SELECTION is only read to migrate terms saved before scenarios.
+export const TERM_SCOPED_KEYS = [
+	STORAGE_KEYS.COURSES,
+	STORAGE_KEYS.BUCKETS,
+	STORAGE_KEYS.PLANNER_SELECTION,
+	STORAGE_KEYS.SCENARIOS,
+	STORAGE_KEYS.PROFESSOR_RATINGS,
+	STORAGE_KEYS.TERM_CALENDAR,
+	STORAGE_KEYS.BUSY_BLOCKS,
+	STORAGE_KEYS.FRIEND_SCHEDULES,
+];
+
+// Layer colors for friends' schedules on the weekly view, used in turn
+export const FRIEND_COLORS = [
+	"#0284c7",
+	"#ea580c",
+	"#059669",
+	"#db2777",
+	"#ca8a04",
+	"#7c3aed",
+];
+
+// Id of the scenario created for a term's existing planner selection
+export const DEFAULT_SCENARIO_ID = "plan-a";
+
 // New Albert page structure selectors
 export const SELECTORS = {
 	// The main cart table with title containing "Shopping Cart"
@@ -47,14 +135,65 @@ export const SELECTORS = {
 	CART_ROW: "tr.ps_grid-row",
 	// Inside each row, the layout container
 	LAYOUT: "div.ps_box-group.psc_layout",
+	// Class search results grids (one per course in the results list)
+	SEARCH_TABLE: "table.ps_grid-flex",
+	SEARCH_HEADER_CELL: "thead th, tr.ps_grid-head th",
+	SEARCH_ROW: "tr.ps_grid-row",
 };
 
+// Cached class search sections older than this are dropped on the next save
+export const SEARCH_RESULTS_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Undo steps kept in storage; the oldest are dropped first
+export const HISTORY_LIMIT = 30;
+
+// Automatic restore points: how many are kept, and how often a daily one is taken
+export const SNAPSHOT_LIMIT = 10;
+export const SNAPSHOT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
 export const CALENDAR_CONFIG = {
 	START_HOUR: 8,
 	END_HOUR: 22,
 	INTERVAL_MINUTES: 30,
+	WEEKDAYS: ["Mon", "Tue", "Wed", "Thu", "Fri"],
+	WEEKEND_DAYS: ["Sat", "Sun"],
+};
+
+// Lunch window used by the minLunchWindow constraint
+export const LUNCH_WINDOW = {
+	START_HOUR: 11,
+	END_HOUR: 14,
+};
+
+// Classes separated by at most this many minutes count as back-to-back
+export const CONSECUTIVE_BREAK_MINUTES = 15;
+
+// Each constraint can be disabled, soft (penalized) or hard (rejected)
+export const DEFAULT_SCHEDULE_CONSTRAINTS = {
+	earliestStart: { enabled: false, hard: false, value: { hours: 9, minutes: 0 } },
+	latestEnd: { enabled: false, hard: false, value: { hours: 18, minutes: 0 } },
+	freeDays: { enabled: false, hard: false, value: [] },
+	maxConsecutiveHours: { enabled: false, hard: false, value: 3 },
+	minLunchWindow: { enabled: false, hard: false, value: 45 },
+	maxGap: { enabled: false, hard: false, value: 120 },
+};
+
+// Weighted factors for schedule scoring; weights add up to 100
+export const SCORE_WEIGHTS = {
+	bucketCoverage: 35,
+	professorRatings: 15,
+	campusDays: 15,
+	idleGaps: 15,
+	earlyLate: 10,
+	credits: 10,
+};
+
+export const SCORE_CONFIG = {
+	EARLY_HOUR: 10, // minutes before this count against the plan
+	LATE_HOUR: 18, // minutes after this count against the plan
+	MAX_EARLY_LATE_MINUTES: 360, // weekly early/late minutes that zero the factor
+	MAX_IDLE_MINUTES: 600, // weekly idle minutes that zero the factor
+	TARGET_CREDITS: 16,
+	NEUTRAL_RATING: 2.5, // used when no planned instructor has a rating
 };
 
-// Add new term codes here as you discover them:
-// 1264 = Spring 2026
-// 1268 = Fall 2026
@@ -0,0 +1,46 @@
+// Undo / redo shortcuts shared by the popup and the weekly view
+
+import { redo, undo } from "../course-storage.js";
+
+/**
+ * Which history step a keydown asks for. Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z
+ * or Ctrl+Y redoes; text fields keep their own undo.
+ * @param {KeyboardEvent} event
+ * @returns {"undo"|"redo"|null}
+ */
+export function getHistoryShortcut(event) {
+	if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+	const target = event.target;
+	if (
+		target instanceof HTMLElement &&
+		(target.isContentEditable ||
+			["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+	) {
+		return null;
+	}
+	const key = event.key.toLowerCase();
+	if (key === "z") return event.shiftKey ? "redo" : "undo";
+	if (key === "y" && !event.shiftKey) return "redo";
+	return null;
+}
+
+/**
+ * Undo or redo one step and report what happened. Views redraw from their
+ * storage listener once the step is written.
+ * @param {"undo"|"redo"} step
+ * @param {(message: string, type: "info"|"error") => void} notify - e.g. "Undid: Add course"
+ */
+export async function handleHistoryStep(step, notify) {
+	try {
+		const label = step === "undo" ? await undo() : await redo();
+		notify(
+			label
+				? `${step === "undo" ? "Undid" : "Redid"}: ${label}`
+				: `Nothing to ${step}`,
+			"info",
+		);
+	} catch (error) {
+		console.error(`[Albert Enhancer] Failed to ${step}:`, error);
+		notify(`Could not ${step}`, "error");
+	}
+}
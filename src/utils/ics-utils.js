@@ -0,0 +1,199 @@
+// iCalendar (.ics) export of planned courses
+//
+// Each timed meeting of a component becomes a weekly recurring VEVENT in New York time
+// spanning the term calendar. Days without class are excluded with EXDATE and
+// substitution days ("Tuesday follows a Monday schedule") added with RDATE.
+
+import { expandComponentMeetings } from "./calendar-utils.js";
+import {
+	getComponentDateRange,
+	getMeetingSchedule,
+	parseDate,
+} from "./term-calendar.js";
+
+const TIME_ZONE = "America/New_York";
+const LINE_LIMIT = 75;
+const ICS_DAYS = {
+	Sun: "SU",
+	Mon: "MO",
+	Tue: "TU",
+	Wed: "WE",
+	Thu: "TH",
+	Fri: "FR",
+	Sat: "SA",
+};
+
+// US Eastern rules since 2007, so calendar apps don't need the tz database
+const VTIMEZONE = [
+	"BEGIN:VTIMEZONE",
+	`TZID:${TIME_ZONE}`,
+	"BEGIN:DAYLIGHT",
+	"TZOFFSETFROM:-0500",
+	"TZOFFSETTO:-0400",
+	"TZNAME:EDT",
+	"DTSTART:20070311T020000",
+	"RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+	"END:DAYLIGHT",
+	"BEGIN:STANDARD",
+	"TZOFFSETFROM:-0400",
+	"TZOFFSETTO:-0500",
+	"TZNAME:EST",
+	"DTSTART:20071104T020000",
+	"RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+	"END:STANDARD",
+	"END:VTIMEZONE",
+];
+
+function pad(value) {
+	return String(value).padStart(2, "0");
+}
+
+function addDays(date, days) {
+	return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function formatDate(date) {
+	return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+function formatLocalDateTime(dateKey, time) {
+	return `${dateKey.replace(/-/g, "")}T${pad(time.hours)}${pad(time.minutes)}00`;
+}
+
+function formatTimestamp(date) {
+	return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+	return String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/;/g, "\\;")
+		.replace(/,/g, "\\,")
+		.replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 3.1: lines longer than 75 octets continue on a line starting with a space
+function foldLine(line) {
+	const encoder = new TextEncoder();
+	if (encoder.encode(line).length <= LINE_LIMIT) return line;
+
+	const parts = [];
+	let current = "";
+	let currentBytes = 0;
+	for (const char of line) {
+		const bytes = encoder.encode(char).length;
+		const limit = parts.length === 0 ? LINE_LIMIT : LINE_LIMIT - 1;
+		if (currentBytes + bytes > limit) {
+			parts.push(current);
+			current = "";
+			currentBytes = 0;
+		}
+		current += char;
+		currentBytes += bytes;
+	}
+	parts.push(current);
+	return parts.join("\r\n ");
+}
+
+function buildComponentEvent(course, component, uid, context) {
+	const days = component.days.filter((day) => ICS_DAYS[day]);
+	if (!days.length) return [];
+	const { pattern, cancelled, extra } = getMeetingSchedule(
+		days,
+		context.termCalendar,
+		getComponentDateRange(component, context.termCalendar),
+	);
+	const meetsAtAll = pattern.length > cancelled.length || extra.length > 0;
+	if (!pattern.length || !meetsAtAll) return [];
+
+	const { start, end } = component.timeRange;
+	const type = component.type || "Class";
+	const description = [
+		course.title,
+		`${type}${component.section ? ` · Section ${component.section}` : ""}`,
+		component.instructor && component.instructor !== "TBA"
+			? `Instructor: ${component.instructor}`
+			: null,
+		course.classNumber ? `Class #${course.classNumber}` : null,
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	// Instances are compared against UNTIL in UTC; 04:59:59Z on the following
+	// day is still the last class day in New York, with or without DST
+	const first = pattern[0];
+	const last = parseDate(pattern[pattern.length - 1]);
+	const until = `${formatDate(addDays(last, 1))}T045959Z`;
+	const formatDates = (dates) =>
+		dates.map((date) => formatLocalDateTime(date, start)).join(",");
+
+	const lines = [
+		"BEGIN:VEVENT",
+		`UID:${uid}-${context.term}@fuck-albert`,
+		`DTSTAMP:${context.stamp}`,
+		`DTSTART;TZID=${TIME_ZONE}:${formatLocalDateTime(first, start)}`,
+		`DTEND;TZID=${TIME_ZONE}:${formatLocalDateTime(first, end)}`,
+		`RRULE:FREQ=WEEKLY;BYDAY=${days.map((day) => ICS_DAYS[day]).join(",")};UNTIL=${until}`,
+	];
+	if (cancelled.length) {
+		lines.push(`EXDATE;TZID=${TIME_ZONE}:${formatDates(cancelled)}`);
+	}
+	if (extra.length) {
+		lines.push(`RDATE;TZID=${TIME_ZONE}:${formatDates(extra)}`);
+	}
+	lines.push(`SUMMARY:${escapeText(`${course.courseCode} ${type}`)}`);
+	if (component.room && component.room !== "TBA") {
+		lines.push(`LOCATION:${escapeText(component.room)}`);
+	}
+	if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+	lines.push("END:VEVENT");
+	return lines;
+}
+
+/**
+ * Build an .ics calendar with one recurring event per timed meeting
+ * @param {object[]} courses - Planned courses
+ * @param {object} termCalendar - See DEFAULT_TERM_CALENDARS
+ * @param {{ term: string, calendarName?: string }} options
+ * @returns {{ ics: string, eventCount: number }}
+ */
+export function buildScheduleIcs(courses, termCalendar, options) {
+	const context = {
+		termCalendar,
+		term: options.term,
+		stamp: formatTimestamp(new Date()),
+	};
+	const events = [];
+	for (const course of courses) {
+		(course.components || []).forEach((component, index) => {
+			if (component.isTBA) return;
+			for (const meeting of expandComponentMeetings(component)) {
+				if (!meeting.timeRange || !meeting.days?.length) continue;
+				// The first meeting keeps the id it had before meetings were split out
+				const uid = meeting.meetingIndex
+					? `${course.id}-${index}.${meeting.meetingIndex}`
+					: `${course.id}-${index}`;
+				const event = buildComponentEvent(course, meeting, uid, context);
+				if (event.length) events.push(event);
+			}
+		});
+	}
+
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		"PRODID:-//fuck-albert//Albert Course Planner//EN",
+		"CALSCALE:GREGORIAN",
+		"METHOD:PUBLISH",
+	];
+	if (options.calendarName) {
+		lines.push(`X-WR-CALNAME:${escapeText(options.calendarName)}`);
+	}
+	lines.push(`X-WR-TIMEZONE:${TIME_ZONE}`, ...VTIMEZONE, ...events.flat());
+	lines.push("END:VCALENDAR");
+
+	return {
+		ics: `${lines.map(foldLine).join("\r\n")}\r\n`,
+		eventCount: events.length,
+	};
+}
@@ -0,0 +1,94 @@
+// Storage schema migrations
+//
+// Each step upgrades a whole storage snapshot (what chrome.storage.local.get(null)
+// returns, or the data of a backup) from the version before it. Steps work on
+// the data as it looked back then, so they spell out their own keys and shapes
+// instead of reusing constants or helpers that may change later.
+
+import { STORAGE_KEYS } from "./constants.js";
+
+// Storage and backups saved before versioning count as version 1
+export const BASE_SCHEMA_VERSION = 1;
+
+const MIGRATIONS = [
+	{
+		version: 2,
+		description: "Store planner data per term",
+		migrate(data) {
+			// Data from before terms belongs to the active term, or to the
+			// default term of that version
+			const term =
+				typeof data.activeTerm === "string" &&
+				/^1\d{2}[2468]$/.test(data.activeTerm)
+					? data.activeTerm
+					: "1268";
+			for (const key of [
+				"courses",
+				"buckets",
+				"plannerSelection",
+				"professorRatings",
+			]) {
+				if (!(key in data)) continue;
+				const storageKey = `${term}:${key}`;
+				if (!(storageKey in data)) {
+					data[storageKey] = data[key];
+				}
+				delete data[key];
+			}
+		},
+	},
+	{
+		version: 3,
+		description: "Turn each term's planner selection into its first scenario",
+		migrate(data) {
+			for (const storageKey of Object.keys(data)) {
+				if (!storageKey.endsWith(":plannerSelection")) continue;
+				const term = storageKey.slice(0, storageKey.indexOf(":"));
+				const scenariosKey = `${term}:scenarios`;
+				const scenarios = data[scenariosKey];
+				if (!scenarios || typeof scenarios !== "object") {
+					const selection = data[storageKey];
+					data[scenariosKey] = {
+						activeId: "plan-a",
+						items: [
+							{
+								id: "plan-a",
+								name: "Plan A",
+								courseIds: Array.isArray(selection) ? selection : [],
+							},
+						],
+					};
+				}
+				delete data[storageKey];
+			}
+		},
+	},
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade storage data to SCHEMA_VERSION
+ * @param {object} data - Storage contents at fromVersion; left unchanged
+ * @param {number} [fromVersion]
+ * @returns {object} Upgraded copy, with its schemaVersion set
+ */
+export function migrateStorageData(data, fromVersion = BASE_SCHEMA_VERSION) {
+	if (!Number.isInteger(fromVersion) || fromVersion < BASE_SCHEMA_VERSION) {
+		throw new Error(`Unknown schema version "${fromVersion}"`);
+	}
+	if (fromVersion > SCHEMA_VERSION) {
+		throw new Error(
+			`Data is from a newer version of the extension (schema ${fromVersion}); update the extension first`,
+		);
+	}
+
+	const migrated = structuredClone(data);
+	for (const step of MIGRATIONS) {
+		if (step.version > fromVersion) {
+			step.migrate(migrated);
+		}
+	}
+	migrated[STORAGE_KEYS.SCHEMA_VERSION] = SCHEMA_VERSION;
+	return migrated;
+}
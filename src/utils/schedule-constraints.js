@@ -0,0 +1,168 @@
+// Schedule preference constraints evaluated against flattened schedules
+
+import {
+	CONSECUTIVE_BREAK_MINUTES,
+	DEFAULT_SCHEDULE_CONSTRAINTS,
+	LUNCH_WINDOW,
+} from "./constants.js";
+import {
+	getBusyIntervalsByDay,
+	getEarliestStart,
+	getLatestEnd,
+} from "./calendar-utils.js";
+import { formatTime, timeToMinutes } from "./time-parser.js";
+
+export const CONSTRAINT_LABELS = {
+	earliestStart: "Earliest start",
+	latestEnd: "Latest end",
+	freeDays: "Free days",
+	maxConsecutiveHours: "Max consecutive hours",
+	minLunchWindow: "Lunch window",
+	maxGap: "Max gap",
+};
+
+// Adding a class can only make these worse, so the generator may prune on them early
+export const MONOTONE_CONSTRAINTS = new Set([
+	"earliestStart",
+	"latestEnd",
+	"freeDays",
+	"maxConsecutiveHours",
+	"minLunchWindow",
+]);
+
+function minutesToTime(totalMinutes) {
+	return { hours: Math.floor(totalMinutes / 60), minutes: totalMinutes % 60 };
+}
+
+/**
+ * @param {number} totalMinutes
+ * @returns {string} e.g. "45m", "2h", "1h 30m"
+ */
+export function formatDuration(totalMinutes) {
+	const hours = Math.floor(totalMinutes / 60);
+	const minutes = totalMinutes % 60;
+	if (hours === 0) return `${minutes}m`;
+	return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+}
+
+const CHECKS = {
+	earliestStart(schedule, value) {
+		const earliest = getEarliestStart(schedule);
+		if (!earliest || timeToMinutes(earliest) >= timeToMinutes(value)) {
+			return null;
+		}
+		return `Starts at ${formatTime(earliest)}, before ${formatTime(value)}`;
+	},
+
+	latestEnd(schedule, value) {
+		const latest = getLatestEnd(schedule);
+		if (!latest || timeToMinutes(latest) <= timeToMinutes(value)) {
+			return null;
+		}
+		return `Ends at ${formatTime(latest)}, after ${formatTime(value)}`;
+	},
+
+	freeDays(schedule, value) {
+		const busyDays = value.filter((day) =>
+			schedule.some(
+				(component) => component.timeRange && component.days?.includes(day),
+			),
+		);
+		if (busyDays.length === 0) return null;
+		return `Classes on ${busyDays.join("/")}`;
+	},
+
+	maxConsecutiveHours(schedule, value) {
+		const byDay = getBusyIntervalsByDay(schedule, CONSECUTIVE_BREAK_MINUTES);
+		const limit = value * 60;
+		for (const [day, intervals] of Object.entries(byDay)) {
+			const longest = intervals.find(
+				(interval) => interval.end - interval.start > limit,
+			);
+			if (longest) {
+				return `${formatDuration(longest.end - longest.start)} straight on ${day}`;
+			}
+		}
+		return null;
+	},
+
+	minLunchWindow(schedule, value) {
+		const windowStart = LUNCH_WINDOW.START_HOUR * 60;
+		const windowEnd = LUNCH_WINDOW.END_HOUR * 60;
+		const byDay = getBusyIntervalsByDay(schedule);
+		for (const [day, intervals] of Object.entries(byDay)) {
+			let cursor = windowStart;
+			let longestFree = 0;
+			for (const interval of intervals) {
+				if (interval.end <= windowStart) continue;
+				if (interval.start >= windowEnd) break;
+				longestFree = Math.max(longestFree, interval.start - cursor);
+				cursor = Math.max(cursor, interval.end);
+			}
+			longestFree = Math.max(longestFree, windowEnd - cursor);
+			if (longestFree < value) {
+				return `Only ${formatDuration(Math.max(longestFree, 0))} free for lunch on ${day}`;
+			}
+		}
+		return null;
+	},
+
+	maxGap(schedule, value) {
+		const byDay = getBusyIntervalsByDay(schedule);
+		for (const [day, intervals] of Object.entries(byDay)) {
+			for (let i = 1; i < intervals.length; i++) {
+				const gap = intervals[i].start - intervals[i - 1].end;
+				if (gap > value) {
+					const from = formatTime(minutesToTime(intervals[i - 1].end));
+					return `${formatDuration(gap)} gap on ${day} after ${from}`;
+				}
+			}
+		}
+		return null;
+	},
+};
+
+/**
+ * Fill in missing constraint entries with defaults
+ * @param {object} constraints
+ * @returns {object}
+ */
+export function normalizeConstraints(constraints = {}) {
+	const normalized = {};
+	for (const [id, fallback] of Object.entries(DEFAULT_SCHEDULE_CONSTRAINTS)) {
+		normalized[id] = { ...fallback, ...(constraints?.[id] || {}) };
+	}
+	return normalized;
+}
+
+/**
+ * Evaluate enabled constraints against a flattened schedule
+ * @param {object[]} schedule - Output of flattenToSchedule
+ * @param {object} constraints - Constraint map (see DEFAULT_SCHEDULE_CONSTRAINTS)
+ * @param {{ hardOnly?: boolean, ids?: Set<string> }} options
+ * @returns {{ id: string, label: string, hard: boolean, message: string }[]}
+ */
+export function evaluateConstraints(schedule, constraints, options = {}) {
+	const { hardOnly = false, ids = null } = options;
+	const violations = [];
+	if (!constraints) return violations;
+
+	for (const [id, check] of Object.entries(CHECKS)) {
+		const constraint = constraints[id];
+		if (!constraint?.enabled) continue;
+		if (hardOnly && !constraint.hard) continue;
+		if (ids && !ids.has(id)) continue;
+
+		const message = check(schedule, constraint.value);
+		if (message) {
+			violations.push({
+				id,
+				label: CONSTRAINT_LABELS[id],
+				hard: Boolean(constraint.hard),
+				message,
+			});
+		}
+	}
+
+	return violations;
+}
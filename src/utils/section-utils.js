@@ -0,0 +1,49 @@
+// Helpers for class search sections scraped from Albert
+
+/**
+ * Convert a cached class search section into the course shape used by the
+ * planner, so it can be scheduled or saved like a cart course
+ * @param {object} section - Section parsed from the class search results
+ * @returns {object}
+ */
+export function sectionToCourse(section) {
+	return {
+		id: section.id,
+		courseCode: section.courseCode,
+		section: section.section,
+		classNumber: section.classNumber || "",
+		title: section.title || "",
+		credits: section.credits || 0,
+		status: section.status || "Unknown",
+		components: [
+			{
+				type: section.component || "Lecture",
+				section: section.section,
+				days: section.days || [],
+				timeRange: section.timeRange || null,
+				meetings: section.meetings || [],
+				dateRange: section.dateRange || null,
+				session: section.session || null,
+				room: section.room || "TBA",
+				instructor: section.instructor || "TBA",
+				isTBA: Boolean(section.isTBA),
+				status: section.status || "Unknown",
+			},
+		],
+		bucket: null,
+		addedAt: Date.now(),
+		source: "search",
+	};
+}
+
+/**
+ * Format seat availability for display
+ * @param {object} section
+ * @returns {string}
+ */
+export function formatSeats(section) {
+	if (section?.seats) {
+		return `${section.seats.open}/${section.seats.total} seats`;
+	}
+	return section?.seatsText || "";
+}
@@ -0,0 +1,227 @@
+// Shareable plan codes
+//
+// A plan travels as "fa1.<base64url>", either on its own or at the end of a
+// weekly view link ("...#share=fa1.…"), so it survives chat apps and email.
+// The payload is positional JSON to stay short:
+//
+//   [version, term, name, courses]
+//   course    = [id, courseCode, section, classNumber, title, credits, components]
+//   component = [type, section, instructor, session, meetings]
+//   meeting   = [days ("MonWed"), time ("0930-1045" or ""), room, dates ("" or
+//                "2026-09-02/2026-10-20")]
+
+import { WEEKDAYS } from "./term-calendar.js";
+import { isValidTermCode } from "./term-utils.js";
+
+const SHARE_VERSION = 1;
+const SHARE_PREFIX = `fa${SHARE_VERSION}.`;
+const SHARE_PATTERN = /fa(\d+)\.([A-Za-z0-9_-]+)/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(value) {
+	return String(value).padStart(2, "0");
+}
+
+function toBase64Url(text) {
+	let binary = "";
+	for (const byte of new TextEncoder().encode(text)) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary)
+		.replace(/\+/g, "-")
+		.replace(/\//g, "_")
+		.replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+	const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+	return new TextDecoder().decode(
+		Uint8Array.from(binary, (char) => char.charCodeAt(0)),
+	);
+}
+
+// ============ Encoding ============
+
+function encodeTimeRange(timeRange) {
+	if (!timeRange) return "";
+	const { start, end } = timeRange;
+	return `${pad(start.hours)}${pad(start.minutes)}-${pad(end.hours)}${pad(end.minutes)}`;
+}
+
+function encodeMeeting(meeting) {
+	return [
+		(meeting.days || []).join(""),
+		encodeTimeRange(meeting.timeRange),
+		meeting.room && meeting.room !== "TBA" ? meeting.room : "",
+		meeting.dateRange
+			? `${meeting.dateRange.start}/${meeting.dateRange.end}`
+			: "",
+	];
+}
+
+function encodeComponent(component) {
+	const meetings =
+		Array.isArray(component.meetings) && component.meetings.length > 0
+			? component.meetings.map((meeting) => ({
+					room: component.room,
+					dateRange: component.dateRange,
+					...meeting,
+				}))
+			: [component];
+	return [
+		component.type,
+		component.section || "",
+		component.instructor && component.instructor !== "TBA"
+			? component.instructor
+			: "",
+		component.session || "",
+		meetings.map(encodeMeeting),
+	];
+}
+
+/**
+ * Encode planned courses as a share code
+ * @param {{ term: string, name?: string, courses: object[] }} plan
+ * @returns {string} "fa1.…"
+ */
+export function encodeSharedPlan({ term, name = "", courses }) {
+	const payload = [
+		SHARE_VERSION,
+		term,
+		name,
+		courses.map((course) => [
+			course.id,
+			course.courseCode,
+			course.section,
+			course.classNumber || "",
+			course.title || "",
+			course.credits || 0,
+			(course.components || []).map(encodeComponent),
+		]),
+	];
+	return `${SHARE_PREFIX}${toBase64Url(JSON.stringify(payload))}`;
+}
+
+// ============ Decoding ============
+
+function fail(message) {
+	throw new Error(`Invalid share code: ${message}`);
+}
+
+function decodeDays(value) {
+	if (typeof value !== "string" || value.length % 3 !== 0) fail("bad days");
+	const days = value.match(/.{3}/g) || [];
+	if (days.some((day) => !WEEKDAYS.includes(day))) fail(`bad days "${value}"`);
+	return days;
+}
+
+function decodeTimeRange(value) {
+	if (value === "") return null;
+	const match = /^(\d{2})(\d{2})-(\d{2})(\d{2})$/.exec(value);
+	if (!match) fail(`bad time "${value}"`);
+	const [, startHours, startMinutes, endHours, endMinutes] = match.map(Number);
+	return {
+		start: { hours: startHours, minutes: startMinutes },
+		end: { hours: endHours, minutes: endMinutes },
+	};
+}
+
+function decodeDateRange(value) {
+	if (value === "") return null;
+	const [start, end] = String(value).split("/");
+	if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end) || start > end) {
+		fail(`bad dates "${value}"`);
+	}
+	return { start, end };
+}
+
+function decodeComponent(tuple) {
+	if (!Array.isArray(tuple) || tuple.length !== 5) fail("bad component");
+	const [type, section, instructor, session, meetingTuples] = tuple;
+	if (typeof type !== "string" || !type.trim()) fail("component without type");
+	if (!Array.isArray(meetingTuples) || meetingTuples.length === 0) {
+		fail("component without meetings");
+	}
+
+	const meetings = meetingTuples.map((meeting) => {
+		if (!Array.isArray(meeting) || meeting.length !== 4) fail("bad meeting");
+		return {
+			days: decodeDays(meeting[0]),
+			timeRange: decodeTimeRange(meeting[1]),
+			room: String(meeting[2] || "TBA"),
+			dateRange: decodeDateRange(meeting[3]),
+		};
+	});
+	const [first] = meetings;
+	return {
+		type,
+		section: String(section || ""),
+		days: first.days,
+		timeRange: first.timeRange,
+		meetings: meetings.length > 1 ? meetings : [],
+		dateRange: first.dateRange,
+		session: session ? String(session) : null,
+		room: first.room,
+		instructor: String(instructor || "TBA"),
+		isTBA: meetings.every((meeting) => !meeting.timeRange),
+	};
+}
+
+function decodeCourse(tuple) {
+	if (!Array.isArray(tuple) || tuple.length !== 7) fail("bad course");
+	const [id, courseCode, section, classNumber, title, credits, components] =
+		tuple;
+	for (const [label, value] of [
+		["id", id],
+		["course code", courseCode],
+		["section", section],
+	]) {
+		if (typeof value !== "string" || !value.trim()) fail(`course ${label}`);
+	}
+	if (typeof credits !== "number" || !Number.isFinite(credits)) {
+		fail(`credits of ${courseCode}`);
+	}
+	if (!Array.isArray(components)) fail(`components of ${courseCode}`);
+	return {
+		id,
+		courseCode,
+		section,
+		classNumber: String(classNumber || ""),
+		title: String(title || ""),
+		credits,
+		components: components.map(decodeComponent),
+		bucket: null,
+	};
+}
+
+/**
+ * Read a share code, a link that ends in one, or a message that contains one
+ * @param {string} text
+ * @returns {{ term: string, name: string, courses: object[] }} Courses in
+ *   the shape stored by course-storage, without a bucket
+ */
+export function decodeSharedPlan(text) {
+	const match = SHARE_PATTERN.exec(String(text || ""));
+	if (!match) fail("no plan code found");
+	if (Number(match[1]) !== SHARE_VERSION) {
+		fail("made by a newer version of the extension");
+	}
+
+	let payload;
+	try {
+		payload = JSON.parse(fromBase64Url(match[2]));
+	} catch {
+		fail("the code is damaged or incomplete");
+	}
+	if (!Array.isArray(payload) || payload.length !== 4) fail("bad payload");
+	const [version, term, name, courses] = payload;
+	if (version !== SHARE_VERSION) fail("version mismatch");
+	if (!isValidTermCode(term)) fail(`unknown term "${term}"`);
+	if (!Array.isArray(courses)) fail("no course list");
+
+	return {
+		term,
+		name: typeof name === "string" ? name : "",
+		courses: courses.map(decodeCourse),
+	};
+}
@@ -0,0 +1,84 @@
+// Payload encoding for chrome.storage.sync
+//
+// The synced data is deflated, base64 encoded and split into chunks small
+// enough for one sync item each. Hashes are taken over a canonical form, so
+// the same data read back in another key order hashes the same.
+
+// Key order differs between storage reads, so hash a canonical form
+function stableStringify(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(",")}]`;
+	}
+	if (value && typeof value === "object") {
+		const entries = Object.keys(value)
+			.sort()
+			.filter((key) => value[key] !== undefined)
+			.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+		return `{${entries.join(",")}}`;
+	}
+	return JSON.stringify(value);
+}
+
+// FNV-1a; only has to tell payloads apart, not resist tampering
+function hashString(text) {
+	let hash = 0x811c9dc5;
+	for (let index = 0; index < text.length; index += 1) {
+		hash ^= text.charCodeAt(index);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Hash of a JSON value that ignores object key order
+ * @param {*} value
+ * @returns {string} 8 hex digits
+ */
+export function hashPayload(value) {
+	return hashString(stableStringify(value));
+}
+
+/**
+ * Deflate a JSON value into a base64 string
+ * @param {*} value
+ * @returns {Promise<string>}
+ */
+export async function encodePayload(value) {
+	const stream = new Blob([JSON.stringify(value)])
+		.stream()
+		.pipeThrough(new CompressionStream("deflate"));
+	const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+	let binary = "";
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary);
+}
+
+/**
+ * Inverse of encodePayload
+ * @param {string} encoded
+ * @returns {Promise<*>}
+ */
+export async function decodePayload(encoded) {
+	const bytes = Uint8Array.from(atob(encoded), (char) => char.charCodeAt(0));
+	const stream = new Blob([bytes])
+		.stream()
+		.pipeThrough(new DecompressionStream("deflate"));
+	return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * Split an encoded payload into chunks of at most size characters; joining
+ * them in order gives the payload back
+ * @param {string} encoded
+ * @param {number} size
+ * @returns {string[]}
+ */
+export function splitChunks(encoded, size) {
+	const chunks = [];
+	for (let start = 0; start < encoded.length; start += size) {
+		chunks.push(encoded.slice(start, start + size));
+	}
+	return chunks;
+}
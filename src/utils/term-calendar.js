@@ -0,0 +1,212 @@
+// Academic calendar of a term: which dates have classes and which weekday
+// schedule each of them follows
+//
+// Dates are "YYYY-MM-DD" strings, handled as UTC midnights so the local time
+// zone can't shift a day.
+
+import { DEFAULT_TERM_CALENDARS, HALF_SESSION_WEEKS } from "./constants.js";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} value - "YYYY-MM-DD"
+ * @returns {Date} UTC midnight of that day
+ */
+export function parseDate(value) {
+	const [year, month, day] = value.split("-").map(Number);
+	return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function formatDateKey(date) {
+	return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+	return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Built-in calendar for a term, if the registrar's dates are bundled
+ * @param {string} term
+ * @returns {object|null}
+ */
+export function getDefaultTermCalendar(term) {
+	const calendar = DEFAULT_TERM_CALENDARS[term];
+	return calendar ? structuredClone(calendar) : null;
+}
+
+/**
+ * Every date with classes, and the weekday schedule it follows
+ * @param {object} calendar
+ * @returns {{ date: string, day: string }[]}
+ */
+export function getClassDays(calendar) {
+	const offDays = new Set(calendar.holidays.map((holiday) => holiday.date));
+	for (const range of calendar.breaks) {
+		const end = parseDate(range.end);
+		for (let date = parseDate(range.start); date <= end; date = addDays(date, 1)) {
+			offDays.add(formatDateKey(date));
+		}
+	}
+	const substitutions = new Map(
+		calendar.substitutions.map((item) => [item.date, item.followsDay]),
+	);
+
+	const classDays = [];
+	const last = parseDate(calendar.lastDay);
+	for (let date = parseDate(calendar.firstDay); date <= last; date = addDays(date, 1)) {
+		const key = formatDateKey(date);
+		if (offDays.has(key)) continue;
+		classDays.push({
+			date: key,
+			day: substitutions.get(key) ?? WEEKDAYS[date.getUTCDay()],
+		});
+	}
+	return classDays;
+}
+
+/**
+ * Dates a component meets between: its own meeting dates from Albert, or the
+ * matching half of the term for 7-week sessions
+ * @param {object} component
+ * @param {object} calendar
+ * @returns {{ start: string, end: string } | null} null when it spans the term
+ */
+export function getComponentDateRange(component, calendar) {
+	if (component.dateRange) return component.dateRange;
+	const halfDays = HALF_SESSION_WEEKS * 7 - 1;
+	if (component.session === "7W1") {
+		return {
+			start: calendar.firstDay,
+			end: formatDateKey(addDays(parseDate(calendar.firstDay), halfDays)),
+		};
+	}
+	if (component.session === "7W2") {
+		return {
+			start: formatDateKey(addDays(parseDate(calendar.lastDay), -halfDays)),
+			end: calendar.lastDay,
+		};
+	}
+	return null;
+}
+
+/**
+ * When a weekly component actually meets over the term
+ * @param {string[]} days - Meeting days, e.g. ["Mon", "Wed"]
+ * @param {object} calendar
+ * @param {{ start: string, end: string } | null} [dateRange] - Limits the
+ *   meetings to part of the term (see getComponentDateRange)
+ * @returns {{ dates: string[], pattern: string[], cancelled: string[], extra: string[] }}
+ *   pattern is every calendar date on those weekdays between the first and
+ *   last meeting day; cancelled are pattern dates without a meeting and
+ *   extra are meetings on substitution days outside the pattern
+ */
+export function getMeetingSchedule(days, calendar, dateRange = null) {
+	const meetingDays = new Set(days);
+	const first =
+		dateRange && dateRange.start > calendar.firstDay
+			? dateRange.start
+			: calendar.firstDay;
+	const lastKey =
+		dateRange && dateRange.end < calendar.lastDay
+			? dateRange.end
+			: calendar.lastDay;
+	const dates = getClassDays(calendar)
+		.filter(
+			(classDay) =>
+				meetingDays.has(classDay.day) &&
+				classDay.date >= first &&
+				classDay.date <= lastKey,
+		)
+		.map((classDay) => classDay.date);
+
+	const pattern = [];
+	const last = parseDate(lastKey);
+	for (let date = parseDate(first); date <= last; date = addDays(date, 1)) {
+		if (meetingDays.has(WEEKDAYS[date.getUTCDay()])) {
+			pattern.push(formatDateKey(date));
+		}
+	}
+
+	const dateSet = new Set(dates);
+	const patternSet = new Set(pattern);
+	return {
+		dates,
+		pattern,
+		cancelled: pattern.filter((date) => !dateSet.has(date)),
+		extra: dates.filter((date) => !patternSet.has(date)),
+	};
+}
+
+/**
+ * Length of the term in weeks, breaks included
+ * @param {object} calendar
+ * @returns {number}
+ */
+export function getTermWeeks(calendar) {
+	const days =
+		(parseDate(calendar.lastDay) - parseDate(calendar.firstDay)) / DAY_MS + 1;
+	return Math.max(days / 7, 1);
+}
+
+/**
+ * Monday of every week that has part of the term in it
+ * @param {object} calendar
+ * @returns {string[]}
+ */
+export function getWeekStarts(calendar) {
+	const first = parseDate(calendar.firstDay);
+	const last = parseDate(calendar.lastDay);
+	const starts = [];
+	let monday = addDays(first, -((first.getUTCDay() + 6) % 7));
+	for (; monday <= last; monday = addDays(monday, 7)) {
+		starts.push(formatDateKey(monday));
+	}
+	return starts;
+}
+
+/**
+ * Dates of a week, Monday first
+ * @param {string} weekStart - Monday, as returned by getWeekStarts
+ * @returns {string[]}
+ */
+export function getWeekDates(weekStart) {
+	const monday = parseDate(weekStart);
+	return Array.from({ length: 7 }, (_, index) =>
+		formatDateKey(addDays(monday, index)),
+	);
+}
+
+/**
+ * Why a date is special in the term calendar, if it is
+ * @param {object} calendar
+ * @param {string} dateKey
+ * @returns {{ name: string, noClass: boolean, followsDay?: string } | null}
+ */
+export function describeCalendarDate(calendar, dateKey) {
+	if (dateKey < calendar.firstDay || dateKey > calendar.lastDay) {
+		return { name: "Outside the term", noClass: true };
+	}
+	const holiday = calendar.holidays.find((item) => item.date === dateKey);
+	if (holiday) return { name: holiday.name || "Holiday", noClass: true };
+	const range = calendar.breaks.find(
+		(item) => item.start <= dateKey && dateKey <= item.end,
+	);
+	if (range) return { name: range.name || "Break", noClass: true };
+	const substitution = calendar.substitutions.find(
+		(item) => item.date === dateKey,
+	);
+	if (substitution) {
+		return {
+			name: substitution.name || `${substitution.followsDay} schedule`,
+			noClass: false,
+			followsDay: substitution.followsDay,
+		};
+	}
+	return null;
+}
@@ -0,0 +1,111 @@
+// Albert term codes and per-term storage keys
+//
+// Term codes are "1YYS": a leading 1, the last two digits of the year and a
+// season digit (2 = January, 4 = Spring, 6 = Summer, 8 = Fall).
+
+import { TERM_SEASONS } from "./constants.js";
+
+const TERM_CODE_PATTERN = /^1(\d{2})([2468])$/;
+const SEASON_DIGITS = Object.keys(TERM_SEASONS).map(Number);
+const REGULAR_SEASON_DIGITS = new Set(["4", "8"]);
+
+/**
+ * Check whether a value looks like an Albert term code
+ * @param {string} term
+ * @returns {boolean}
+ */
+export function isValidTermCode(term) {
+	return typeof term === "string" && TERM_CODE_PATTERN.test(term);
+}
+
+/**
+ * Human-readable term name, e.g. "1268" -> "Fall 2026"
+ * @param {string} term
+ * @returns {string}
+ */
+export function getTermName(term) {
+	const match = typeof term === "string" && term.match(TERM_CODE_PATTERN);
+	if (!match) return `Term ${term}`;
+	return `${TERM_SEASONS[match[2]]} ${2000 + parseInt(match[1], 10)}`;
+}
+
+/**
+ * Term code for a season name and year, e.g. ("Spring", 2027) -> "1274"
+ * @param {string} season
+ * @param {number} year
+ * @returns {string|null}
+ */
+export function getTermCode(season, year) {
+	const digit = SEASON_DIGITS.find(
+		(value) => TERM_SEASONS[value].toLowerCase() === season.toLowerCase(),
+	);
+	if (!digit || year < 2000 || year > 2099) return null;
+	return `1${String(year - 2000).padStart(2, "0")}${digit}`;
+}
+
+/**
+ * The term that follows the given one, e.g. "1268" -> "1272"
+ * @param {string} term
+ * @returns {string}
+ */
+export function getNextTerm(term) {
+	const match = term.match(TERM_CODE_PATTERN);
+	const year = parseInt(match[1], 10);
+	const index = SEASON_DIGITS.indexOf(parseInt(match[2], 10));
+	if (index === SEASON_DIGITS.length - 1) {
+		return `1${String(year + 1).padStart(2, "0")}${SEASON_DIGITS[0]}`;
+	}
+	return `1${match[1]}${SEASON_DIGITS[index + 1]}`;
+}
+
+/**
+ * Options for a term switcher: every known term plus the next Spring/Fall
+ * semester after the latest, so it can be planned before Albert lists it
+ * @param {string[]} knownTerms
+ * @param {string} activeTerm
+ * @returns {{ value: string, label: string }[]}
+ */
+export function getTermOptions(knownTerms, activeTerm) {
+	const terms = new Set([...knownTerms, activeTerm].filter(isValidTermCode));
+	const latest = Array.from(terms).sort().pop();
+	if (latest) {
+		let next = getNextTerm(latest);
+		while (!REGULAR_SEASON_DIGITS.has(next.slice(-1))) {
+			next = getNextTerm(next);
+		}
+		terms.add(next);
+	}
+	return Array.from(terms)
+		.sort()
+		.map((term) => ({ value: term, label: getTermName(term) }));
+}
+
+/**
+ * Storage key for term-scoped data
+ * @param {string} term
+ * @param {string} key - One of TERM_SCOPED_KEYS
+ * @returns {string}
+ */
+export function getTermStorageKey(term, key) {
+	return `${term}:${key}`;
+}
+
+/**
+ * Base keys touched by a storage.onChanged event, as seen from one term:
+ * global keys as-is, and scoped keys of that term without their prefix
+ * @param {object} changes - storage.onChanged changes
+ * @param {string} term
+ * @returns {Set<string>}
+ */
+export function getChangedStorageKeys(changes, term) {
+	const changed = new Set();
+	for (const key of Object.keys(changes)) {
+		const separator = key.indexOf(":");
+		if (separator === -1) {
+			changed.add(key);
+		} else if (key.slice(0, separator) === term) {
+			changed.add(key.slice(separator + 1));
+		}
+	}
+	return changed;
+}
@@ -4,6 +4,7 @@ import {
 	getBuckets,
 	getCourses,
 	getPlannerSelection,
+	setPlannerSelection,
 	addCourseToPlannerSelection,
 	removeCourseFromPlannerSelection,
 	createBucket,
@@ -11,28 +12,107 @@ import {
 	updateBucket,
 	deleteBucket,
 	getProfessorRatings,
+	getScheduleConstraints,
+	setScheduleConstraints,
+	getSearchResults,
+	saveCourse,
+	getActiveTerm,
+	setActiveTerm,
+	getKnownTerms,
+	getScenarios,
+	setActiveScenario,
+	createScenario,
+	duplicateScenario,
+	renameScenario,
+	deleteScenario,
+	importSharedPlan,
+	getTermCalendar,
+	getSettings,
+	getBusyBlocks,
+	getFriendSchedules,
+	addFriendSchedule,
+	setFriendScheduleVisible,
+	removeFriendSchedule,
+	saveBusyBlock,
+	removeBusyBlock,
+	batchHistory,
 } from "./course-storage.js";
-import { flattenToSchedule } from "./planner.js";
 import {
+	flattenBusyBlocks,
+	flattenToSchedule,
+	findSharedClasses,
+	generateScheduleCombinations,
+	scoreSchedule,
+	suggestAlternatives,
+	summarizeSelection,
+} from "./planner.js";
+import {
+	renderCourseEditor,
 	renderCourseMetadataContent,
 	ratingTier,
 } from "./course-metadata-panel.js";
+import { getSyncStatus, SYNC_META_KEY } from "./storage-sync.js";
 import {
+	calculateTermHours,
 	calculateWeeklyHours,
 	findConflicts,
+	findFreeIntervals,
+	findSharedFreeTime,
+	getCalendarLayout,
+	getComponentMeetings,
 	getEarliestStart,
 	getLatestEnd,
+	getScheduleForWeek,
 	hasConflict,
 } from "./utils/calendar-utils.js";
+import {
+	CONSTRAINT_LABELS,
+	evaluateConstraints,
+	formatDuration,
+} from "./utils/schedule-constraints.js";
 import { formatTime, timeToMinutes } from "./utils/time-parser.js";
-import { CALENDAR_CONFIG } from "./utils/constants.js";
+import {
+	CALENDAR_CONFIG,
+	DEFAULT_SCHEDULE_CONSTRAINTS,
+} from "./utils/constants.js";
+import { formatSeats } from "./utils/section-utils.js";
+import { buildScheduleIcs } from "./utils/ics-utils.js";
+import { decodeSharedPlan, encodeSharedPlan } from "./utils/share-codec.js";
+import {
+	getHistoryShortcut,
+	handleHistoryStep,
+} from "./utils/history-shortcuts.js";
+import {
+	describeCalendarDate,
+	getClassDays,
+	getWeekDates,
+	getWeekStarts,
+	parseDate,
+	WEEKDAYS,
+} from "./utils/term-calendar.js";
+import {
+	getChangedStorageKeys,
+	getTermName,
+	getTermOptions,
+} from "./utils/term-utils.js";
 
 // ============ Configuration ============
 
-const START_HOUR = CALENDAR_CONFIG.START_HOUR;
-const END_HOUR = CALENDAR_CONFIG.END_HOUR;
 const HOUR_HEIGHT = 80;
-const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri"];
+const MAX_ALTERNATIVES_SHOWN = 3;
+const MAX_COMPARED_SCENARIOS = 4;
+const SCENARIO_COLORS = [
+	"#57068c",
+	"#0284c7",
+	"#ea580c",
+	"#059669",
+	"#db2777",
+	"#ca8a04",
+];
+const ALL_DAYS = [...CALENDAR_CONFIG.WEEKDAYS, ...CALENDAR_CONFIG.WEEKEND_DAYS];
+const DEFAULT_BUSY_BLOCK_COLOR = "#64748b";
+// Free stretches shorter than this aren't worth a study group
+const SHARED_FREE_MIN_MINUTES = 60;
 const CONFLICT_COLOR_PALETTE = [
 	{ fill: "#c41e3a", border: "#a71931" },
 	{ fill: "#dc143c", border: "#bb1133" },
@@ -85,22 +165,60 @@ const timeColumn = document.getElementById("time-column");
 const calendarGrid = document.getElementById("calendar-grid");
 const calendarContainer = document.querySelector(".calendar-container");
 const calendarEmptyState = document.getElementById("calendar-empty-state");
+const weeklyTermBadge = document.getElementById("weekly-term-badge");
+const scenarioSelect = document.getElementById("scenario-select");
+const weekSelect = document.getElementById("week-select");
+const btnScenarioNew = document.getElementById("btn-scenario-new");
+const btnScenarioDuplicate = document.getElementById("btn-scenario-duplicate");
+const btnScenarioRename = document.getElementById("btn-scenario-rename");
+const btnScenarioDelete = document.getElementById("btn-scenario-delete");
 const sidebarPlanner = document.getElementById("sidebar-planner");
+const sidebarGenerator = document.getElementById("sidebar-generator");
 const sidebarConflicts = document.getElementById("sidebar-conflicts");
+const constraintViolations = document.getElementById("constraint-violations");
+const constraintForm = document.getElementById("constraint-form");
 const totalCredits = document.getElementById("total-credits");
 const sidebarBuckets = document.getElementById("sidebar-buckets");
 const statCourses = document.getElementById("stat-courses");
 const statHours = document.getElementById("stat-hours");
+const statScore = document.getElementById("stat-score");
+const statScoreDelta = document.getElementById("stat-score-delta");
+const scoreBreakdown = document.getElementById("score-breakdown");
 const btnAddBucket = document.getElementById("btn-add-bucket");
+const btnAddCourse = document.getElementById("btn-add-course");
 const btnDeleteBucket = document.getElementById("btn-delete-bucket");
 const btnSidebarToggle = document.getElementById("btn-sidebar-toggle");
 const btnExportCalendar = document.getElementById("btn-export-calendar");
+const btnExportIcs = document.getElementById("btn-export-ics");
+const btnSharePlan = document.getElementById("btn-share-plan");
+const btnCompareScenarios = document.getElementById("btn-compare-scenarios");
+const compareContainer = document.getElementById("compare-container");
+const comparePicker = document.getElementById("compare-picker");
+const compareGrids = document.getElementById("compare-grids");
+const compareTable = document.getElementById("compare-table");
 const weeklySidebar = document.getElementById("weekly-sidebar");
 const metadataDrawer = document.getElementById("course-metadata-drawer");
 const metadataDrawerBackdrop = document.getElementById("course-metadata-backdrop");
 const metadataDrawerBody = document.getElementById("course-metadata-drawer-body");
 const metadataDrawerTitle = document.getElementById("course-metadata-drawer-title");
 const metadataDrawerClose = document.getElementById("course-metadata-close");
+const busyBlockList = document.getElementById("busy-block-list");
+const busyBlockForm = document.getElementById("busy-block-form");
+const busyBlockName = document.getElementById("busy-block-name");
+const busyBlockDays = document.getElementById("busy-block-days");
+const busyBlockStart = document.getElementById("busy-block-start");
+const busyBlockEnd = document.getElementById("busy-block-end");
+const busyBlockColor = document.getElementById("busy-block-color");
+const busyBlockFrom = document.getElementById("busy-block-from");
+const busyBlockUntil = document.getElementById("busy-block-until");
+const btnBusyBlockSave = document.getElementById("btn-busy-block-save");
+const btnBusyBlockCancel = document.getElementById("btn-busy-block-cancel");
+const freeTimeMin = document.getElementById("free-time-min");
+const freeTimeList = document.getElementById("free-time-list");
+const friendList = document.getElementById("friend-list");
+const friendOverlap = document.getElementById("friend-overlap");
+const btnFriendAdd = document.getElementById("btn-friend-add");
+const friendFile = document.getElementById("friend-file");
 
 // ============ State ============
 
@@ -115,17 +233,38 @@ let plannerSelectionSet = new Set();
 let coursesById = new Map();
 let currentBuckets = [];
 let activeMetadataCourseId = null;
+let isEditingCourse = false;
 let lastCourseBlockDragEndedAt = 0;
 let isSidebarOpen = true;
 let cachedPlannedSchedule = [];
+let cachedBusyBlocks = [];
+let cachedBusySchedule = [];
+let cachedFriendSchedules = [];
+let editingBusyBlockId = null;
+let cachedSearchSections = [];
+let activeTerm = null;
+let currentScenarios = null;
 let dragPreviewGhosts = [];
 let dragPreviewPill = null;
 let dragPreviewCursorHandler = null;
 let cachedProfRatings = {};
 let skipDrawerRefresh = false;
+let generatorState = null;
+let cachedConstraints = null;
+let cachedTermCalendar = null;
+let selectedWeekStart = null;
+// Visible days and hours, from settings widened to fit the plan (see applyCalendarLayout)
+let calendarDays = CALENDAR_CONFIG.WEEKDAYS;
+let startHour = CALENDAR_CONFIG.START_HOUR;
+let endHour = CALENDAR_CONFIG.END_HOUR;
+let cachedSettings = {};
+let lastScore = null;
+let compareState = null;
 
 const SIDEBAR_STORAGE_KEY = "weeklySidebarOpen";
 const SECTION_COLLAPSE_KEY = "weeklySectionCollapseState";
+const FREE_TIME_MIN_KEY = "weeklyFreeTimeMinMinutes";
+const DEFAULT_FREE_TIME_MIN_MINUTES = 60;
 
 // ============ Section Collapse ============
 
@@ -173,22 +312,46 @@ function toggleSectionCollapse(sectionEl) {
 
 // ============ UI Helpers ============
 
-function showToast(message, type = "info") {
+function showToast(message, type = "info", action = null) {
 	const container = document.getElementById("toast-container");
 	const toast = document.createElement("div");
 	toast.className = `toast toast-${type}`;
-	toast.innerHTML = `
-        <div class="toast-message">${message}</div>
-    `;
+	const messageEl = document.createElement("div");
+	messageEl.className = "toast-message";
+	messageEl.textContent = message;
+	toast.appendChild(messageEl);
 
-	container.appendChild(toast);
-
-	setTimeout(() => {
+	const hide = () => {
+		if (toast.classList.contains("is-hiding")) return;
 		toast.classList.add("is-hiding");
 		toast.addEventListener("transitionend", () => {
 			toast.remove();
 		});
-	}, 3000);
+	};
+
+	if (action) {
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = "toast-action";
+		button.textContent = action.label;
+		button.addEventListener("click", () => {
+			hide();
+			action.onClick();
+		});
+		toast.appendChild(button);
+	}
+
+	container.appendChild(toast);
+
+	// Leave time to reach the action button
+	setTimeout(hide, action ? 6000 : 3000);
+}
+
+function showUndoToast(message) {
+	showToast(message, "info", {
+		label: "undo",
+		onClick: () => stepHistory("undo"),
+	});
 }
 
 function showModal(title, content, buttons = []) {
@@ -203,7 +366,7 @@ function showModal(title, content, buttons = []) {
 		titleEl.textContent = title;
 		bodyEl.innerHTML = "";
 		if (typeof content === "string") {
-			bodyEl.innerHTML = content;
+			bodyEl.textContent = content;
 		} else {
 			bodyEl.appendChild(content);
 		}
@@ -286,6 +449,7 @@ function toggleSidebar() {
 
 function closeCourseMetadataDrawer() {
 	activeMetadataCourseId = null;
+	isEditingCourse = false;
 	document.body.classList.remove("metadata-drawer-open");
 	metadataDrawer?.setAttribute("aria-hidden", "true");
 }
@@ -296,7 +460,7 @@ function buildCourseContext(course) {
 
 	const scheduledDays = [];
 	if (isPlanned && course.components) {
-		for (const comp of course.components) {
+		for (const comp of flattenToSchedule([course])) {
 			if (comp.timeRange && comp.days?.length) {
 				for (const day of comp.days) {
 					if (!scheduledDays.includes(day)) scheduledDays.push(day);
@@ -332,7 +496,7 @@ function buildCourseContext(course) {
 }
 
 function renderCourseMetadataDrawer() {
-	if (!metadataDrawerBody || !activeMetadataCourseId) {
+	if (!metadataDrawerBody || !activeMetadataCourseId || isEditingCourse) {
 		return;
 	}
 
@@ -342,12 +506,16 @@ function renderCourseMetadataDrawer() {
 		return;
 	}
 
+	if (metadataDrawerTitle) {
+		metadataDrawerTitle.textContent = "Course Details";
+	}
 	renderCourseMetadataContent({
 		container: metadataDrawerBody,
 		course,
 		buckets: currentBuckets,
 		context: buildCourseContext(course),
 		ratings: cachedProfRatings,
+		termCalendar: cachedTermCalendar,
 		onBucketSelect: async (bucketId) => {
 			if ((course.bucket ?? null) === (bucketId ?? null)) {
 				return;
@@ -359,12 +527,14 @@ function renderCourseMetadataDrawer() {
 			);
 			await loadSchedule();
 		},
+		onEditCourse: openCourseEditor,
 	});
 }
 
 function openCourseMetadataDrawer(courseId) {
 	if (!courseId) return;
 	cancelInlineRename();
+	isEditingCourse = false;
 	activeMetadataCourseId = courseId;
 	renderCourseMetadataDrawer();
 	if (!coursesById.has(courseId)) {
@@ -374,21 +544,359 @@ function openCourseMetadataDrawer(courseId) {
 	metadataDrawer?.setAttribute("aria-hidden", "false");
 }
 
+/**
+ * Show the course editor in the drawer, for a stored course or a new one
+ * @param {object|null} course
+ */
+function openCourseEditor(course = null) {
+	if (!metadataDrawerBody) return;
+	cancelInlineRename();
+	isEditingCourse = true;
+	activeMetadataCourseId = course?.id ?? null;
+	if (metadataDrawerTitle) {
+		metadataDrawerTitle.textContent = course
+			? `Edit ${course.courseCode}`
+			: "Add Course";
+	}
+	renderCourseEditor({
+		container: metadataDrawerBody,
+		course,
+		onSave: async (saved) => {
+			isEditingCourse = false;
+			showToast(
+				course ? "Course updated" : `Added ${saved.courseCode}`,
+				"success",
+			);
+			await loadSchedule();
+			openCourseMetadataDrawer(saved.id);
+		},
+		onCancel: () => {
+			if (course) {
+				openCourseMetadataDrawer(course.id);
+			} else {
+				closeCourseMetadataDrawer();
+			}
+		},
+	});
+	document.body.classList.add("metadata-drawer-open");
+	metadataDrawer?.setAttribute("aria-hidden", "false");
+}
+
 // ============ Initialization ============
 
 async function init() {
 	isSidebarOpen = getStoredSidebarPreference();
 	applySidebarState();
 	applySectionCollapseStates();
-	generateTimeLabels();
-	generateHourLines();
-	generateQuarterTicks();
-	renderTimeAnchors();
+	if (freeTimeMin) freeTimeMin.value = String(getStoredFreeTimeMin());
+	renderCalendarFrame();
+	resetBusyBlockForm();
 	mountNowIndicator();
 	updateNowIndicator();
 	setInterval(updateNowIndicator, 60 * 1000);
+	await renderTermSwitcher();
 	await loadSchedule();
+	renderGeneratorPanel();
 	setupEventListeners();
+	promptSyncConflict();
+	openSharedPlanFromLink();
+}
+
+// ============ Term Switcher ============
+
+async function renderTermSwitcher() {
+	const [term, knownTerms] = await Promise.all([
+		getActiveTerm(),
+		getKnownTerms(),
+	]);
+	activeTerm = term;
+	if (!weeklyTermBadge) return;
+
+	weeklyTermBadge.innerHTML = "";
+	for (const { value, label } of getTermOptions(knownTerms, term)) {
+		const option = document.createElement("option");
+		option.value = value;
+		option.textContent = label;
+		weeklyTermBadge.appendChild(option);
+	}
+	weeklyTermBadge.value = term;
+}
+
+async function handleTermChange() {
+	// A generator preview belongs to the old term's selection; drop it as-is
+	if (generatorState) {
+		generatorState = null;
+		renderGeneratorPanel();
+	}
+	try {
+		await setActiveTerm(weeklyTermBadge.value);
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to switch term", error);
+		showToast("Could not switch term", "error");
+		weeklyTermBadge.value = activeTerm;
+	}
+}
+
+// ============ Scenarios ============
+
+function renderScenarioSwitcher(scenarios) {
+	// A generator preview edits the scenario it was opened on
+	if (
+		generatorState &&
+		currentScenarios &&
+		currentScenarios.activeId !== scenarios.activeId
+	) {
+		generatorState = null;
+		renderGeneratorPanel();
+	}
+	currentScenarios = scenarios;
+	if (!scenarioSelect) return;
+
+	scenarioSelect.innerHTML = "";
+	for (const scenario of scenarios.items) {
+		const option = document.createElement("option");
+		option.value = scenario.id;
+		option.textContent = `${scenario.name} (${scenario.courseIds.length})`;
+		scenarioSelect.appendChild(option);
+	}
+	scenarioSelect.value = scenarios.activeId;
+	if (btnScenarioDelete) {
+		btnScenarioDelete.disabled = scenarios.items.length <= 1;
+	}
+}
+
+function getActiveScenario() {
+	return currentScenarios?.items.find(
+		(item) => item.id === currentScenarios.activeId,
+	);
+}
+
+async function promptScenarioName(title, initialValue = "") {
+	const content = document.createElement("div");
+	content.className = "input-group";
+	content.innerHTML = `
+        <label class="input-label">Scenario Name</label>
+        <input type="text" class="input-field" id="scenario-name-input" placeholder="e.g. Plan B">
+    `;
+	const input = content.querySelector("input");
+	input.value = initialValue;
+
+	setTimeout(() => {
+		input.focus();
+		input.select();
+	}, 100);
+
+	const result = await showModal(title, content, [
+		{ label: "cancel", value: null },
+		{ label: "save", value: "save", primary: true },
+	]);
+	if (result !== "save") return null;
+	return input.value.trim();
+}
+
+async function runScenarioAction(action, successMessage) {
+	try {
+		await action();
+		if (successMessage) showToast(successMessage, "success");
+		await loadSchedule();
+	} catch (error) {
+		console.error("[Albert Enhancer] Scenario update failed", error);
+		showToast(error.message || "Scenario update failed", "error");
+	}
+}
+
+function handleScenarioSwitch() {
+	runScenarioAction(() => setActiveScenario(scenarioSelect.value));
+}
+
+async function handleScenarioCreate() {
+	const name = await promptScenarioName("// new scenario");
+	if (name === null) return;
+	runScenarioAction(() => createScenario(name), "Scenario created");
+}
+
+async function handleScenarioDuplicate() {
+	const source = getActiveScenario();
+	if (!source) return;
+	const name = await promptScenarioName("// duplicate scenario");
+	if (name === null) return;
+	runScenarioAction(
+		() => duplicateScenario(source.id, name),
+		`Duplicated ${source.name}`,
+	);
+}
+
+async function handleScenarioRename() {
+	const scenario = getActiveScenario();
+	if (!scenario) return;
+	const name = await promptScenarioName("// rename scenario", scenario.name);
+	if (!name) return;
+	runScenarioAction(() => renameScenario(scenario.id, name));
+}
+
+async function handleScenarioDelete() {
+	const scenario = getActiveScenario();
+	if (!scenario) return;
+	const confirmed = await showModal(
+		"// delete scenario",
+		`Delete "${scenario.name}"? Its courses stay in your buckets.`,
+		[
+			{ label: "cancel", value: false },
+			{ label: "delete", value: true, danger: true },
+		],
+	);
+	if (!confirmed) return;
+	runScenarioAction(() => deleteScenario(scenario.id), "Scenario deleted");
+}
+
+// ============ Week View ============
+
+function formatShortDate(dateKey) {
+	return parseDate(dateKey).toLocaleDateString("en-US", {
+		month: "short",
+		day: "numeric",
+		timeZone: "UTC",
+	});
+}
+
+function renderWeekSelect(calendar) {
+	if (!weekSelect) return;
+	const weekStarts = calendar ? getWeekStarts(calendar) : [];
+	if (!weekStarts.includes(selectedWeekStart)) {
+		selectedWeekStart = null;
+	}
+
+	weekSelect.innerHTML = "";
+	const allOption = document.createElement("option");
+	allOption.value = "";
+	allOption.textContent = "every week";
+	weekSelect.appendChild(allOption);
+
+	const classDates = new Set(
+		calendar ? getClassDays(calendar).map((classDay) => classDay.date) : [],
+	);
+	weekStarts.forEach((weekStart, index) => {
+		const option = document.createElement("option");
+		option.value = weekStart;
+		const hasClasses = getWeekDates(weekStart).some((date) =>
+			classDates.has(date),
+		);
+		option.textContent = `week ${index + 1} · ${formatShortDate(weekStart)}${hasClasses ? "" : " (no classes)"}`;
+		weekSelect.appendChild(option);
+	});
+
+	weekSelect.value = selectedWeekStart || "";
+	weekSelect.disabled = !calendar;
+	weekSelect.title = calendar
+		? "Show one week of the term"
+		: "Add a term calendar in settings to view single weeks";
+}
+
+function renderDayHeaders() {
+	const dates = selectedWeekStart ? getWeekDates(selectedWeekStart) : [];
+	calendarDays.forEach((day, index) => {
+		const header = document.querySelector(
+			`.day-column[data-day="${day}"] .day-header`,
+		);
+		if (!header) return;
+		header.textContent = day;
+		header.classList.remove("is-no-class", "is-substitution");
+		header.removeAttribute("title");
+
+		const date = dates[index];
+		if (!date) return;
+		const dateLabel = document.createElement("span");
+		dateLabel.className = "day-header-date";
+		dateLabel.textContent = formatShortDate(date);
+		header.appendChild(dateLabel);
+
+		const special = describeCalendarDate(cachedTermCalendar, date);
+		if (!special) return;
+		header.classList.add(special.noClass ? "is-no-class" : "is-substitution");
+		header.title = special.followsDay
+			? `${special.name} — follows a ${special.followsDay} schedule`
+			: special.name;
+		const note = document.createElement("span");
+		note.className = "day-header-note";
+		note.textContent = special.followsDay
+			? `${special.followsDay} sched`
+			: "no class";
+		header.appendChild(note);
+	});
+}
+
+// Busy blocks don't follow the class calendar: they keep every day of the
+// week inside their own date range, holidays included
+function getBusyScheduleForWeek(busySchedule, weekStart) {
+	const weekDays = getWeekDates(weekStart).map((date) => ({
+		date,
+		day: WEEKDAYS[parseDate(date).getUTCDay()],
+	}));
+	return busySchedule.flatMap((entry) => {
+		const days = weekDays
+			.filter(
+				({ date, day }) =>
+					entry.days.includes(day) &&
+					(!entry.dateRange ||
+						(entry.dateRange.start <= date && date <= entry.dateRange.end)),
+			)
+			.map(({ day }) => day);
+		return days.length ? [{ ...entry, days }] : [];
+	});
+}
+
+function handleWeekChange() {
+	selectedWeekStart = weekSelect.value || null;
+	loadSchedule();
+}
+
+// ============ Calendar Layout ============
+
+function renderDayColumns() {
+	for (const column of calendarGrid.querySelectorAll(".day-column")) {
+		column.remove();
+	}
+	const overlay = calendarGrid.querySelector(".calendar-drag-overlay");
+	for (const day of calendarDays) {
+		const column = document.createElement("div");
+		column.className = "day-column";
+		column.dataset.day = day;
+		const header = document.createElement("div");
+		header.className = "day-header";
+		header.textContent = day;
+		const slots = document.createElement("div");
+		slots.className = "day-slots";
+		slots.id = `slots-${day}`;
+		column.append(header, slots);
+		calendarGrid.insertBefore(column, overlay);
+	}
+	calendarGrid.style.setProperty("--day-count", String(calendarDays.length));
+}
+
+function renderCalendarFrame() {
+	renderDayColumns();
+	generateTimeLabels();
+	generateHourLines();
+	generateQuarterTicks();
+	renderTimeAnchors();
+	updateNowIndicator();
+}
+
+/**
+ * Switch the grid to new days/hours, rebuilding it only when they changed
+ * @param {{ days: string[], startHour: number, endHour: number }} layout
+ */
+function applyCalendarLayout(layout) {
+	const unchanged =
+		layout.startHour === startHour &&
+		layout.endHour === endHour &&
+		layout.days.join() === calendarDays.join() &&
+		calendarGrid.querySelector(".day-column");
+	if (unchanged) return;
+	calendarDays = layout.days;
+	startHour = layout.startHour;
+	endHour = layout.endHour;
+	renderCalendarFrame();
 }
 
 const HEADER_OFFSET = 44; // matches .day-header / .time-header-spacer height
@@ -400,7 +908,7 @@ function generateTimeLabels() {
 	spacer.className = "time-header-spacer";
 	timeColumn.appendChild(spacer);
 
-	for (let hour = START_HOUR; hour < END_HOUR; hour++) {
+	for (let hour = startHour; hour < endHour; hour++) {
 		const label = document.createElement("div");
 		label.className = "time-label";
 		const displayHour = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
@@ -412,9 +920,9 @@ function generateTimeLabels() {
 }
 
 function generateHourLines() {
-	const hours = END_HOUR - START_HOUR;
+	const hours = endHour - startHour;
 	document.documentElement.style.setProperty("--day-slot-hours", String(hours));
-	for (const day of DAYS) {
+	for (const day of calendarDays) {
 		const slotsContainer = document.getElementById(`slots-${day}`);
 		if (!slotsContainer) continue;
 		slotsContainer.innerHTML = "";
@@ -428,8 +936,8 @@ function generateHourLines() {
 }
 
 function generateQuarterTicks() {
-	const hours = END_HOUR - START_HOUR;
-	for (const day of DAYS) {
+	const hours = endHour - startHour;
+	for (const day of calendarDays) {
 		const slotsContainer = document.getElementById(`slots-${day}`);
 		if (!slotsContainer) continue;
 		for (let offset = 0; offset < hours; offset++) {
@@ -454,11 +962,11 @@ function renderTimeAnchors() {
 		{ hour: 17, label: "EVE" },
 	];
 	for (const a of anchors) {
-		if (a.hour < START_HOUR || a.hour >= END_HOUR) continue;
+		if (a.hour < startHour || a.hour >= endHour) continue;
 		const el = document.createElement("div");
 		el.className = "time-anchor";
 		el.textContent = a.label;
-		const top = HEADER_OFFSET + ((a.hour - START_HOUR) * 60 / 60) * HOUR_HEIGHT;
+		const top = HEADER_OFFSET + ((a.hour - startHour) * 60 / 60) * HOUR_HEIGHT;
 		el.style.top = `${top}px`;
 		el.setAttribute("aria-hidden", "true");
 		grid.appendChild(el);
@@ -485,16 +993,15 @@ function updateNowIndicator() {
 	const wrap = calendarGrid?.querySelector(".now-indicator");
 	if (!wrap) return;
 	const now = new Date();
-	const weekdayIndex = now.getDay(); // 0=Sun, 1=Mon, ..., 6=Sat
-	const todayCol = weekdayIndex - 1; // 0=Mon ... 4=Fri
+	const todayCol = calendarDays.indexOf(WEEKDAYS[now.getDay()]);
 	const hours = now.getHours();
 	const minutes = now.getMinutes();
 	const nowMinutes = hours * 60 + minutes;
-	const startMinutes = START_HOUR * 60;
-	const endMinutes = END_HOUR * 60;
+	const startMinutes = startHour * 60;
+	const endMinutes = endHour * 60;
 
 	const inRange =
-		todayCol >= 0 && todayCol <= 4 && nowMinutes >= startMinutes && nowMinutes <= endMinutes;
+		todayCol >= 0 && nowMinutes >= startMinutes && nowMinutes <= endMinutes;
 	if (!inRange) {
 		wrap.hidden = true;
 		return;
@@ -516,14 +1023,40 @@ function updateNowIndicator() {
 async function loadSchedule() {
 	try {
 		clearCourseBlocks();
-		const [courses, buckets, plannerSelection, profRatings] =
-			await Promise.all([
-				getCourses(),
-				getBuckets(),
-				getPlannerSelection(),
-				getProfessorRatings(),
-			]);
+		const [
+			courses,
+			buckets,
+			storedSelection,
+			profRatings,
+			constraints,
+			searchSections,
+			scenarios,
+			termCalendar,
+			settings,
+			busyBlocks,
+			friendSchedules,
+		] = await Promise.all([
+			getCourses(),
+			getBuckets(),
+			getPlannerSelection(),
+			getProfessorRatings(),
+			getScheduleConstraints(),
+			getSearchResults(),
+			getScenarios(),
+			getTermCalendar(),
+			getSettings(),
+			getBusyBlocks(),
+			getFriendSchedules(),
+		]);
+		renderScenarioSwitcher(scenarios);
+		const plannerSelection =
+			getGeneratorPreview(storedSelection) ?? storedSelection;
 		cachedProfRatings = profRatings;
+		cachedConstraints = constraints;
+		cachedSearchSections = searchSections;
+		cachedTermCalendar = termCalendar;
+		cachedSettings = settings;
+		renderWeekSelect(termCalendar);
 
 		coursesById = new Map(courses.map((course) => [course.id, course]));
 		currentBuckets = buckets;
@@ -532,9 +1065,44 @@ async function loadSchedule() {
 			plannerSelectionSet.has(course.id),
 		);
 		const plannedSchedule = flattenToSchedule(plannedCourses);
+		const busySchedule = flattenBusyBlocks(busyBlocks);
 		cachedPlannedSchedule = plannedSchedule;
+		cachedBusyBlocks = busyBlocks;
+		cachedBusySchedule = busySchedule;
+		cachedFriendSchedules = friendSchedules;
+		const friendLayers = friendSchedules
+			.filter((friend) => friend.visible)
+			.map((friend) => ({
+				friend,
+				schedule: flattenToSchedule(friend.courses),
+			}));
+		applyCalendarLayout(
+			getCalendarLayout(
+				settings,
+				plannedSchedule.concat(
+					busySchedule,
+					...friendLayers.map((layer) => layer.schedule),
+				),
+			),
+		);
+		renderDayHeaders();
+		renderBusyBlockList(busyBlocks);
+		renderFriendList(friendSchedules);
+		renderFriendOverlap(
+			plannedCourses,
+			plannedSchedule.concat(busySchedule),
+			friendLayers,
+		);
 
 		updatePlannerStats(plannedCourses, plannedSchedule);
+		renderScoreBreakdown(
+			scoreSchedule(plannedCourses, {
+				buckets,
+				ratings: profRatings,
+				allCourses: courses,
+			}),
+			plannerSelection,
+		);
 		const grouped = buildBucketGroups(courses, buckets);
 		const bucketMap = buildBucketMap(buckets);
 		renderPlanningTray(plannedCourses, bucketMap);
@@ -547,12 +1115,34 @@ async function loadSchedule() {
 		const conflictColorMap = buildConflictColorMap(conflictCourseIds);
 		const incompleteWarnings = checkIncompleteScheduling(plannedCourses);
 		renderConflictsSidebar(conflicts, conflictColorMap, incompleteWarnings);
-		renderCourseBlocks(plannedSchedule, buckets, {
+		renderConstraintsPanel(
+			constraints,
+			evaluateConstraints(plannedSchedule, constraints),
+		);
+		const visibleSchedule = selectedWeekStart
+			? getScheduleForWeek(plannedSchedule, termCalendar, selectedWeekStart)
+			: plannedSchedule;
+		const visibleBusySchedule = selectedWeekStart
+			? getBusyScheduleForWeek(busySchedule, selectedWeekStart)
+			: busySchedule;
+		renderCourseBlocks(visibleSchedule.concat(visibleBusySchedule), buckets, {
 			highlightConflicts: conflictCourseIds.size > 0,
 			conflictCourseIds,
 			conflictColorMap,
 		});
-		toggleCalendarEmptyState(plannedSchedule.length === 0);
+		renderFreeTime(visibleSchedule.concat(visibleBusySchedule));
+		renderFriendBlocks(
+			friendLayers.map((layer) => ({
+				...layer,
+				schedule: selectedWeekStart
+					? getScheduleForWeek(layer.schedule, termCalendar, selectedWeekStart)
+					: layer.schedule,
+			})),
+		);
+		toggleCalendarEmptyState(
+			plannedSchedule.length === 0 && busySchedule.length === 0,
+		);
+		renderComparison();
 		if (activeMetadataCourseId && !skipDrawerRefresh) {
 			if (coursesById.has(activeMetadataCourseId)) {
 				renderCourseMetadataDrawer();
@@ -645,9 +1235,9 @@ function renderBucketsSidebar(byBucket, plannedSet = new Set()) {
 					: ""
 			}
 			<div class="bucket-main">
-				<span class="bucket-dot" style="background: ${bucket.color}"></span>
+				<span class="bucket-dot" style="background: ${escapeHtml(bucket.color)}"></span>
 				<span class="bucket-label${bucketId ? " bucket-label-editable" : ""}">
-					${bucket.name}
+					${escapeHtml(bucket.name)}
 				</span>
 			</div>
 			<div class="bucket-meta">
@@ -703,9 +1293,12 @@ function renderBucketsSidebar(byBucket, plannedSet = new Set()) {
 				const onlineTag = isCourseOnline(course)
 					? ' <span class="course-online-tag" title="Online course">~online</span>'
 					: "";
+				const droppedTag = course.droppedFromCart
+					? ' <span class="course-online-tag course-dropped-tag" title="No longer in your Albert shopping cart">~dropped</span>'
+					: "";
 				body.innerHTML = `
-					<strong>${course.courseCode}</strong>
-					<span>${course.title}${onlineTag}</span>
+					<strong>${escapeHtml(course.courseCode)}</strong>
+					<span>${escapeHtml(course.title)}${onlineTag}${droppedTag}</span>
 				`;
 
 				const footer = document.createElement("div");
@@ -951,10 +1544,16 @@ function updatePlannerStats(plannedCourses, plannedSchedule) {
 		(sum, course) => sum + (course.credits || 0),
 		0,
 	);
-	const weeklyHours = calculateWeeklyHours(plannedSchedule);
+	const weeklyHours = calculateWeeklyHours(
+		plannedSchedule,
+		cachedTermCalendar,
+	);
 	totalCredits.textContent = totalCreditsValue;
 	statCourses.textContent = totalPlanned;
 	statHours.textContent = weeklyHours.toFixed(1);
+	statHours.title = cachedTermCalendar
+		? `${calculateTermHours(plannedSchedule, cachedTermCalendar).toFixed(1)}h of class this term, averaged over its weeks`
+		: "No term calendar: assumes every week is identical";
 
 	const headerCourseCount = document.getElementById("header-course-count");
 	if (headerCourseCount) {
@@ -977,18 +1576,83 @@ function updatePlannerStats(plannedCourses, plannedSchedule) {
 	}
 }
 
+function renderScoreBreakdown(score, plannerSelection) {
+	const selectionKey = [...plannerSelection].sort().join("|");
+	// Delta against the previous selection, so a swap shows whether it helped
+	let delta = lastScore?.delta ?? null;
+	if (lastScore && lastScore.selectionKey !== selectionKey) {
+		delta = score.total - lastScore.total;
+	}
+	lastScore = { total: score.total, selectionKey, delta };
+
+	if (statScore) {
+		statScore.textContent = plannerSelection.length ? String(score.total) : "—";
+	}
+	if (statScoreDelta) {
+		statScoreDelta.classList.remove("is-better", "is-worse");
+		if (delta === null || !plannerSelection.length) {
+			statScoreDelta.textContent = "—";
+		} else if (delta === 0) {
+			statScoreDelta.textContent = "± 0";
+		} else {
+			statScoreDelta.textContent = `${delta > 0 ? "▲" : "▼"} ${Math.abs(delta)}`;
+			statScoreDelta.classList.add(delta > 0 ? "is-better" : "is-worse");
+		}
+	}
+
+	if (!scoreBreakdown) return;
+	scoreBreakdown.innerHTML = "";
+	if (!plannerSelection.length) return;
+
+	for (const factor of score.factors) {
+		const row = document.createElement("div");
+		row.className = "score-factor";
+		row.title = factor.detail;
+		// Details name buckets, so they're text rather than markup
+		const label = document.createElement("span");
+		label.className = "score-factor-label";
+		label.textContent = factor.label;
+
+		const bar = document.createElement("span");
+		bar.className = "score-factor-bar";
+		bar.setAttribute("aria-hidden", "true");
+		const fill = document.createElement("span");
+		fill.style.width = `${Math.round(factor.value * 100)}%`;
+		bar.appendChild(fill);
+
+		const points = document.createElement("span");
+		points.className = "score-factor-points";
+		points.textContent = `${factor.points.toFixed(1)}/${factor.weight}`;
+
+		const detail = document.createElement("span");
+		detail.className = "score-factor-detail";
+		detail.textContent = factor.detail;
+
+		row.append(label, bar, points, detail);
+		scoreBreakdown.appendChild(row);
+	}
+}
+
 function calculatePlannerConflicts(plannedCourses, plannedSchedule) {
 	const formatted = [];
 	const conflictCourseIds = new Set();
 
 	for (const course of plannedCourses) {
-		const conflicts = findConflicts(course, plannedSchedule);
+		const conflicts = findConflicts(
+			course,
+			plannedSchedule.concat(cachedBusySchedule),
+		);
 		if (!conflicts.length) {
 			continue;
 		}
 
 		const conflictingIds = new Set();
+		const busyBlockNames = new Set();
 		for (const conflict of conflicts) {
+			if (conflict.existingComponent.busyBlockId) {
+				busyBlockNames.add(conflict.existingComponent.courseCode);
+				continue;
+			}
 			conflictingIds.add(conflict.existingCourse);
 			conflictCourseIds.add(conflict.existingCourse);
 		}
@@ -997,11 +1661,15 @@ function calculatePlannerConflicts(plannedCourses, plannedSchedule) {
 		const conflictsWith = Array.from(conflictingIds)
 			.map((id) => coursesById.get(id))
 			.filter(Boolean);
-		if (!conflictsWith.length) {
+		if (!conflictsWith.length && !busyBlockNames.size) {
 			continue;
 		}
 
-		formatted.push({ course, conflictsWith });
+		formatted.push({
+			course,
+			conflictsWith,
+			busyBlocks: Array.from(busyBlockNames),
+		});
 	}
 
 	return { conflicts: formatted, conflictCourseIds };
@@ -1053,11 +1721,13 @@ function renderConflictsSidebar(conflicts = [], conflictColorMap = new Map(), wa
 			conflictItem.style.setProperty("--conflict-border", conflictColor.border);
 		}
 
-		const baseCode = entry.course?.courseCode || "Unknown course";
+		const baseCode = escapeHtml(entry.course?.courseCode || "Unknown course");
 		const conflictingCodes = entry.conflictsWith
 			.map((course) => course?.courseCode)
 			.filter(Boolean)
 			.filter((code, index, arr) => arr.indexOf(code) === index)
+			.concat(entry.busyBlocks || [])
+			.map(escapeHtml)
 			.join(", ");
 		const swatch = '<span class="conflict-swatch" aria-hidden="true"></span>';
 
@@ -1065,6 +1735,13 @@ function renderConflictsSidebar(conflicts = [], conflictColorMap = new Map(), wa
 			? `${swatch}<div><strong>${baseCode}</strong><br>Conflicts with ${conflictingCodes}</div>`
 			: `${swatch}<div><strong>${baseCode}</strong><br>Has schedule conflicts</div>`;
 
+		const alternatives = findConflictFreeAlternatives(entry.course);
+		if (alternatives.length) {
+			conflictItem
+				.querySelector("div")
+				.appendChild(renderAlternativesList(entry.course, alternatives));
+		}
+
 		sidebarConflicts.appendChild(conflictItem);
 	}
 
@@ -1072,11 +1749,273 @@ function renderConflictsSidebar(conflicts = [], conflictColorMap = new Map(), wa
 		const warningItem = document.createElement("div");
 		warningItem.className = "warning-item";
 		const missingLabel = warning.missingTypes.join(", ");
-		warningItem.innerHTML = `<span class="warning-icon" aria-hidden="true">⚠</span><div><strong>${warning.course.courseCode}</strong><br>${missingLabel} not scheduled</div>`;
+		warningItem.innerHTML = `<span class="warning-icon" aria-hidden="true">⚠</span><div><strong>${escapeHtml(warning.course.courseCode)}</strong><br>${missingLabel} not scheduled</div>`;
 		sidebarConflicts.appendChild(warningItem);
 	}
 }
 
+/**
+ * Other sections of a conflicting course (from the cart or cached class
+ * search results) that fit around the rest of the planned schedule
+ */
+function findConflictFreeAlternatives(course) {
+	if (!course) return [];
+	const remainingSchedule = cachedPlannedSchedule
+		.filter((component) => component.courseId !== course.id)
+		.concat(cachedBusySchedule);
+	return suggestAlternatives(
+		course,
+		Array.from(coursesById.values()),
+		cachedSearchSections,
+	)
+		.filter((alternative) => !plannerSelectionSet.has(alternative.id))
+		.filter((alternative) =>
+			flattenToSchedule([alternative]).every(
+				(component) => !hasConflict(component, remainingSchedule),
+			),
+		)
+		.slice(0, MAX_ALTERNATIVES_SHOWN);
+}
+
+function formatAlternativeMeeting(alternative) {
+	const component = alternative.components?.find((c) => c.timeRange);
+	if (!component) return "TBA";
+	return getComponentMeetings(component)
+		.filter((meeting) => meeting.timeRange)
+		.map(
+			(meeting) =>
+				`${meeting.days.join("/")} ${formatTime(meeting.timeRange.start)}–${formatTime(meeting.timeRange.end)}`,
+		)
+		.join(", ");
+}
+
+function renderAlternativesList(course, alternatives) {
+	const list = document.createElement("ul");
+	list.className = "conflict-alternatives";
+
+	for (const alternative of alternatives) {
+		const item = document.createElement("li");
+		const label = document.createElement("span");
+		const searchSection = cachedSearchSections.find(
+			(section) => section.id === alternative.id,
+		);
+		const seats = searchSection ? formatSeats(searchSection) : "";
+		label.textContent = [
+			`§${alternative.section}`,
+			formatAlternativeMeeting(alternative),
+			seats,
+		]
+			.filter(Boolean)
+			.join(" · ");
+
+		const swapButton = document.createElement("button");
+		swapButton.type = "button";
+		swapButton.className = "conflict-alternative-swap";
+		swapButton.textContent = "swap";
+		swapButton.title = `Replace section ${course.section} with ${alternative.section}`;
+		swapButton.addEventListener("click", () => {
+			swapToAlternative(course, alternative);
+		});
+
+		item.append(label, swapButton);
+		list.appendChild(item);
+	}
+
+	return list;
+}
+
+async function swapToAlternative(course, alternative) {
+	try {
+		if (!coursesById.has(alternative.id)) {
+			// Sections from class search aren't stored yet; keep the original bucket
+			await saveCourse({ ...alternative, bucket: course.bucket ?? null });
+		}
+		const nextSelection = Array.from(plannerSelectionSet)
+			.filter((id) => id !== course.id)
+			.concat(alternative.id);
+		await setPlannerSelection(nextSelection);
+		showToast(
+			`Swapped to ${alternative.courseCode} §${alternative.section}`,
+			"success",
+		);
+		await loadSchedule();
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to swap section", error);
+		showToast("Could not swap section", "error");
+	}
+}
+
+const CONSTRAINT_FIELDS = [
+	{ id: "earliestStart", label: "no class before", input: "time" },
+	{ id: "latestEnd", label: "no class after", input: "time" },
+	{ id: "freeDays", label: "free days", input: "days" },
+	{ id: "maxConsecutiveHours", label: "max in a row", input: "number", unit: "h", step: 0.5 },
+	{ id: "minLunchWindow", label: "lunch 11a–2p", input: "number", unit: "min", step: 5 },
+	{ id: "maxGap", label: "max gap", input: "number", unit: "min", step: 15 },
+];
+
+function timeToInputValue(time) {
+	if (!time) return "";
+	return `${String(time.hours).padStart(2, "0")}:${String(time.minutes).padStart(2, "0")}`;
+}
+
+function inputValueToTime(value) {
+	const match = String(value || "").match(/^(\d{1,2}):(\d{2})/);
+	if (!match) return null;
+	return { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) };
+}
+
+async function saveConstraint(id, updates) {
+	if (!cachedConstraints) return;
+	const next = {
+		...cachedConstraints,
+		[id]: { ...cachedConstraints[id], ...updates },
+	};
+	try {
+		await setScheduleConstraints(next);
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to save constraint", error);
+		showToast(error.message || "Invalid constraint", "error");
+	}
+}
+
+function createConstraintValueInput(field, constraint) {
+	if (field.input === "days") {
+		const wrap = document.createElement("div");
+		wrap.className = "constraint-days";
+		for (const day of calendarDays) {
+			const button = document.createElement("button");
+			button.type = "button";
+			button.className = "constraint-day";
+			const isActive = constraint.value.includes(day);
+			button.classList.toggle("is-active", isActive);
+			button.setAttribute("aria-pressed", String(isActive));
+			button.textContent = day.slice(0, 2);
+			button.title = day;
+			button.addEventListener("click", () => {
+				const nextDays = isActive
+					? constraint.value.filter((d) => d !== day)
+					: [...constraint.value, day];
+				saveConstraint(field.id, { value: nextDays });
+			});
+			wrap.appendChild(button);
+		}
+		return wrap;
+	}
+
+	const input = document.createElement("input");
+	input.className = "constraint-input";
+	if (field.input === "time") {
+		input.type = "time";
+		input.value = timeToInputValue(constraint.value);
+		input.addEventListener("change", () => {
+			const time = inputValueToTime(input.value);
+			if (time) saveConstraint(field.id, { value: time });
+		});
+		return input;
+	}
+
+	input.type = "number";
+	input.min = "0";
+	input.step = String(field.step);
+	input.value = String(constraint.value);
+	input.addEventListener("change", () => {
+		const value = parseFloat(input.value);
+		if (Number.isFinite(value) && value >= 0) {
+			saveConstraint(field.id, { value });
+		}
+	});
+
+	const wrap = document.createElement("div");
+	wrap.className = "constraint-number";
+	const unit = document.createElement("span");
+	unit.className = "constraint-unit";
+	unit.textContent = field.unit;
+	wrap.append(input, unit);
+	return wrap;
+}
+
+function renderConstraintForm(constraints) {
+	if (!constraintForm) return;
+	constraintForm.innerHTML = "";
+
+	for (const field of CONSTRAINT_FIELDS) {
+		const constraint = constraints[field.id];
+		const row = document.createElement("div");
+		row.className = "constraint-row";
+		row.classList.toggle("is-disabled", !constraint.enabled);
+
+		const toggle = document.createElement("label");
+		toggle.className = "constraint-toggle";
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.checked = constraint.enabled;
+		checkbox.addEventListener("change", () => {
+			saveConstraint(field.id, { enabled: checkbox.checked });
+		});
+		const label = document.createElement("span");
+		label.textContent = field.label;
+		toggle.append(checkbox, label);
+
+		const mode = document.createElement("button");
+		mode.type = "button";
+		mode.className = "constraint-mode";
+		mode.classList.toggle("is-hard", constraint.hard);
+		mode.textContent = constraint.hard ? "hard" : "soft";
+		mode.title = constraint.hard
+			? "Hard: the generator never breaks this"
+			: "Soft: the generator prefers plans that respect this";
+		mode.addEventListener("click", () => {
+			saveConstraint(field.id, { hard: !constraint.hard });
+		});
+
+		row.append(toggle, createConstraintValueInput(field, constraint), mode);
+		constraintForm.appendChild(row);
+	}
+}
+
+function renderConstraintsPanel(constraints, violations = []) {
+	if (constraintForm && !constraintForm.contains(document.activeElement)) {
+		renderConstraintForm(constraints);
+	}
+	if (!constraintViolations) return;
+
+	constraintViolations.innerHTML = "";
+	const anyEnabled = Object.values(constraints).some((c) => c.enabled);
+	if (!violations.length) {
+		const empty = document.createElement("p");
+		empty.className = "no-conflicts";
+		empty.textContent = anyEnabled
+			? "// plan meets every constraint"
+			: "// no constraints enabled";
+		constraintViolations.appendChild(empty);
+		return;
+	}
+
+	for (const violation of violations) {
+		const item = document.createElement("div");
+		item.className = "warning-item constraint-violation";
+		item.classList.toggle("is-hard", violation.hard);
+		const icon = document.createElement("span");
+		icon.className = "warning-icon";
+		icon.setAttribute("aria-hidden", "true");
+		icon.textContent = "⚠";
+
+		const text = document.createElement("div");
+		const label = document.createElement("strong");
+		label.textContent = CONSTRAINT_LABELS[violation.id];
+		text.append(
+			label,
+			` · ${violation.hard ? "hard" : "soft"}`,
+			document.createElement("br"),
+			violation.message,
+		);
+
+		item.append(icon, text);
+		constraintViolations.appendChild(item);
+	}
+}
+
 function renderCourseBlocks(schedule, buckets, options = {}) {
 	const bucketDetails = {};
 	const {
@@ -1110,6 +2049,16 @@ function renderCourseBlocks(schedule, buckets, options = {}) {
 			const component = events[i];
 			const { left, width } = layout[i];
 
+			if (component.busyBlockId) {
+				slotsContainer.appendChild(
+					createBusyBlockElement(component, {
+						left: `${left}%`,
+						width: `${width}%`,
+					}),
+				);
+				continue;
+			}
+
 			const isConflictCourse =
 				highlightConflicts && conflictCourseIds.has(component.courseId);
 
@@ -1291,7 +2240,7 @@ function createCourseBlock(component, bucketDetails, options = {}) {
 
 	const startMinutes = timeToMinutes(component.timeRange.start);
 	const endMinutes = timeToMinutes(component.timeRange.end);
-	const startOffset = startMinutes - START_HOUR * 60;
+	const startOffset = startMinutes - startHour * 60;
 	const duration = endMinutes - startMinutes;
 
 	block.style.top = `${(startOffset / 60) * HOUR_HEIGHT}px`;
@@ -1321,11 +2270,11 @@ function createCourseBlock(component, bucketDetails, options = {}) {
 	const online = isComponentOnline(component);
 	if (online) block.classList.add("is-online");
 	const bucketPillContent = bucketInfo
-		? `<span class="course-block-pill bucket">${bucketInfo.name}</span>`
+		? `<span class="course-block-pill bucket">${escapeHtml(bucketInfo.name)}</span>`
 		: "";
 	const typePill =
 		component.type && component.type !== "Lecture"
-			? `<span class="course-block-pill type">${component.type}</span>`
+			? `<span class="course-block-pill type">${escapeHtml(component.type)}</span>`
 			: "";
 
 	let ratingPill = "";
@@ -1349,9 +2298,9 @@ function createCourseBlock(component, bucketDetails, options = {}) {
 		'<button type="button" class="course-block-remove-btn" aria-label="Remove course from schedule" title="Remove from schedule"><svg class="course-block-remove-icon" width="10" height="10" viewBox="0 0 10 10" fill="none" aria-hidden="true"><path d="M1.5 1.5L8.5 8.5M8.5 1.5L1.5 8.5" stroke="currentColor" stroke-width="1.6" stroke-linecap="round"/></svg></button>';
 	block.innerHTML = `
     ${conflictMarker}
-    <div class="course-block-code">${component.courseCode}</div>
+    <div class="course-block-code">${escapeHtml(component.courseCode)}</div>
     <div class="course-block-time">${startStr} - ${endStr}</div>
-    <div class="course-block-title">${component.courseTitle || ""}</div>
+    <div class="course-block-title">${escapeHtml(component.courseTitle || "")}</div>
     ${allPills}
   `;
 
@@ -1396,21 +2345,539 @@ function createCourseBlock(component, bucketDetails, options = {}) {
 	return block;
 }
 
-// ============ Drag & Drop ============
-
-function handleCourseDragStart(event) {
-	const courseId = event.currentTarget?.dataset?.courseId;
-	if (!courseId) return;
-	draggedCourseId = courseId;
-	draggedSource = "calendar";
-	draggedFromBucketId = event.currentTarget?.dataset?.bucketId || null;
-	event.dataTransfer?.setData("text/plain", courseId);
-	event.dataTransfer.effectAllowed = "move";
-	event.currentTarget.classList.add("dragging");
-}
+function createBusyBlockElement(entry, options = {}) {
+	const { left = "0%", width = "100%" } = options;
+	const block = document.createElement("div");
+	block.className = "course-block busy-block";
+	block.dataset.busyBlockId = entry.busyBlockId;
+	block.tabIndex = 0;
+	block.setAttribute("role", "button");
+	block.setAttribute("aria-label", `Edit busy time ${entry.courseCode}`);
 
-function handleCourseDragEnd(event) {
-	event.currentTarget.classList.remove("dragging");
+	const startMinutes = timeToMinutes(entry.timeRange.start);
+	const endMinutes = timeToMinutes(entry.timeRange.end);
+	const duration = endMinutes - startMinutes;
+	block.style.top = `${((startMinutes - startHour * 60) / 60) * HOUR_HEIGHT}px`;
+	block.style.height = `${(duration / 60) * HOUR_HEIGHT}px`;
+	block.style.left = left;
+	block.style.width = width;
+	block.style.setProperty("--busy-color", entry.color);
+	if (duration <= 55) {
+		block.classList.add("is-compact");
+	}
+
+	const startStr = formatTime(entry.timeRange.start);
+	const endStr = formatTime(entry.timeRange.end);
+	const name = document.createElement("div");
+	name.className = "course-block-code";
+	name.textContent = entry.courseCode;
+	const time = document.createElement("div");
+	time.className = "course-block-time";
+	time.textContent = `${startStr} - ${endStr}`;
+	block.append(name, time);
+	block.title = `${entry.courseCode}\n${startStr} - ${endStr}`;
+
+	const edit = () => {
+		const busyBlock = cachedBusyBlocks.find(
+			(item) => item.id === entry.busyBlockId,
+		);
+		if (!busyBlock) return;
+		setSidebarOpen(true);
+		resetBusyBlockForm(busyBlock);
+		busyBlockName?.focus();
+	};
+	block.addEventListener("click", edit);
+	block.addEventListener("keydown", (event) => {
+		if (event.key === "Enter" || event.key === " ") {
+			event.preventDefault();
+			edit();
+		}
+	});
+
+	return block;
+}
+
+// ============ Busy Blocks ============
+
+function formatBusyBlockMeta(block) {
+	const days = ALL_DAYS.filter((day) => block.days.includes(day))
+		.map((day) => day.slice(0, 2))
+		.join("");
+	const meta = `${days} ${formatTime(block.timeRange.start)}–${formatTime(block.timeRange.end)}`;
+	return block.dateRange
+		? `${meta} · ${formatShortDate(block.dateRange.start)} – ${formatShortDate(block.dateRange.end)}`
+		: meta;
+}
+
+function renderBusyBlockList(blocks) {
+	if (!busyBlockList) return;
+	busyBlockList.innerHTML = "";
+
+	if (!blocks.length) {
+		const empty = document.createElement("p");
+		empty.className = "tray-empty";
+		empty.textContent = "// block out work, commutes or club meetings";
+		busyBlockList.appendChild(empty);
+		return;
+	}
+
+	for (const block of blocks) {
+		const item = document.createElement("div");
+		item.className = "busy-block-item";
+		item.classList.toggle("is-editing", block.id === editingBusyBlockId);
+		item.style.setProperty("--busy-color", block.color);
+
+		const info = document.createElement("button");
+		info.type = "button";
+		info.className = "busy-block-info";
+		info.title = "Edit";
+		const name = document.createElement("strong");
+		name.textContent = block.name;
+		const meta = document.createElement("span");
+		meta.textContent = formatBusyBlockMeta(block);
+		info.append(name, meta);
+		info.addEventListener("click", () => resetBusyBlockForm(block));
+
+		const remove = document.createElement("button");
+		remove.type = "button";
+		remove.className = "busy-block-remove";
+		remove.setAttribute("aria-label", `Remove ${block.name}`);
+		remove.title = "Remove";
+		remove.textContent = "×";
+		remove.addEventListener("click", () => handleBusyBlockRemove(block.id));
+
+		item.append(info, remove);
+		busyBlockList.appendChild(item);
+	}
+}
+
+function renderBusyBlockDays(selectedDays) {
+	busyBlockDays.innerHTML = "";
+	for (const day of ALL_DAYS) {
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = "constraint-day";
+		button.dataset.day = day;
+		button.textContent = day.slice(0, 2);
+		button.title = day;
+		const setActive = (isActive) => {
+			button.classList.toggle("is-active", isActive);
+			button.setAttribute("aria-pressed", String(isActive));
+		};
+		setActive(selectedDays.includes(day));
+		button.addEventListener("click", () =>
+			setActive(!button.classList.contains("is-active")),
+		);
+		busyBlockDays.appendChild(button);
+	}
+}
+
+/**
+ * Clear the busy block form, fill it in to edit an existing block, or
+ * prefill a new one (a block without an id)
+ * @param {object|null} block
+ */
+function resetBusyBlockForm(block = null) {
+	if (!busyBlockForm) return;
+	editingBusyBlockId = block?.id ?? null;
+	busyBlockName.value = block?.name ?? "";
+	renderBusyBlockDays(block?.days ?? []);
+	busyBlockStart.value = timeToInputValue(block?.timeRange.start);
+	busyBlockEnd.value = timeToInputValue(block?.timeRange.end);
+	busyBlockColor.value = block?.color ?? DEFAULT_BUSY_BLOCK_COLOR;
+	busyBlockFrom.value = block?.dateRange?.start ?? "";
+	busyBlockUntil.value = block?.dateRange?.end ?? "";
+	btnBusyBlockSave.textContent = block?.id ? "save" : "add";
+	btnBusyBlockCancel.hidden = !block;
+	renderBusyBlockList(cachedBusyBlocks);
+}
+
+function readBusyBlockDateRange() {
+	const from = busyBlockFrom.value;
+	const until = busyBlockUntil.value;
+	if (!from && !until) return null;
+	// An open end runs to the edge of the term
+	const start = from || cachedTermCalendar?.firstDay;
+	const end = until || cachedTermCalendar?.lastDay;
+	if (!start || !end) {
+		throw new Error("Set both dates, or add a term calendar in settings");
+	}
+	return { start, end };
+}
+
+async function handleBusyBlockSubmit(event) {
+	event.preventDefault();
+	const isEditing = Boolean(editingBusyBlockId);
+	try {
+		const days = Array.from(
+			busyBlockDays.querySelectorAll(".constraint-day.is-active"),
+			(button) => button.dataset.day,
+		);
+		await saveBusyBlock({
+			id: editingBusyBlockId,
+			name: busyBlockName.value,
+			days,
+			timeRange: {
+				start: inputValueToTime(busyBlockStart.value),
+				end: inputValueToTime(busyBlockEnd.value),
+			},
+			color: busyBlockColor.value,
+			dateRange: readBusyBlockDateRange(),
+		});
+		showToast(isEditing ? "Busy time updated" : "Busy time added", "success");
+		resetBusyBlockForm();
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to save busy time", error);
+		showToast(error.message || "Could not save busy time", "error");
+	}
+}
+
+async function handleBusyBlockRemove(blockId) {
+	try {
+		await removeBusyBlock(blockId);
+		if (editingBusyBlockId === blockId) {
+			resetBusyBlockForm();
+		}
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to remove busy time", error);
+		showToast("Could not remove busy time", "error");
+	}
+}
+
+// ============ Free Time ============
+
+function formatMinuteRange(start, end) {
+	return `${formatTime(minutesToTimeValue(start))}–${formatTime(minutesToTimeValue(end))}`;
+}
+
+function getStoredFreeTimeMin() {
+	try {
+		const stored = Number(window.localStorage.getItem(FREE_TIME_MIN_KEY));
+		if (stored > 0) return stored;
+	} catch (error) {
+		// Ignore storage access failures in extension contexts.
+	}
+	return DEFAULT_FREE_TIME_MIN_MINUTES;
+}
+
+function handleFreeTimeMinChange() {
+	try {
+		window.localStorage.setItem(FREE_TIME_MIN_KEY, freeTimeMin.value);
+	} catch (error) {
+		// Ignore storage access failures in extension contexts.
+	}
+	clearCourseBlocks();
+	loadSchedule();
+}
+
+// Gaps between classes longer than the max-gap constraint count as idle,
+// whether or not that constraint is turned on
+function getIdleGapMinutes() {
+	return (
+		cachedConstraints?.maxGap?.value ??
+		DEFAULT_SCHEDULE_CONSTRAINTS.maxGap.value
+	);
+}
+
+// Turn a free block into a new busy time, for a gym slot or a work shift
+function prefillBusyBlock(day, interval) {
+	const section = document.querySelector(
+		'.sidebar-section[data-section="busy-blocks"]',
+	);
+	if (section?.classList.contains("is-collapsed")) {
+		toggleSectionCollapse(section);
+	}
+	resetBusyBlockForm({
+		days: [day],
+		timeRange: {
+			start: minutesToTimeValue(interval.start),
+			end: minutesToTimeValue(interval.end),
+		},
+	});
+	busyBlockName?.focus();
+}
+
+function renderIdleGapBlocks(freeByDay, idleMinutes) {
+	for (const [day, intervals] of Object.entries(freeByDay)) {
+		const slotsContainer = document.getElementById(`slots-${day}`);
+		if (!slotsContainer) continue;
+		for (const interval of intervals) {
+			if (!interval.between || interval.minutes < idleMinutes) continue;
+			const block = document.createElement("div");
+			block.className = "idle-gap-block";
+			block.style.top = `${((interval.start - startHour * 60) / 60) * HOUR_HEIGHT}px`;
+			block.style.height = `${(interval.minutes / 60) * HOUR_HEIGHT}px`;
+			block.textContent = `${formatDuration(interval.minutes)} idle`;
+			slotsContainer.appendChild(block);
+		}
+	}
+}
+
+function renderFreeTime(schedule) {
+	if (!freeTimeList) return;
+	const minMinutes = Number(freeTimeMin?.value) || getStoredFreeTimeMin();
+	const idleMinutes = getIdleGapMinutes();
+	const freeByDay = findFreeIntervals(schedule, {
+		days: calendarDays,
+		startHour,
+		endHour,
+	});
+	renderIdleGapBlocks(freeByDay, idleMinutes);
+
+	freeTimeList.innerHTML = "";
+	for (const [day, intervals] of Object.entries(freeByDay)) {
+		const shown = intervals.filter(
+			(interval) => interval.minutes >= minMinutes,
+		);
+		if (!shown.length) continue;
+
+		const group = document.createElement("div");
+		group.className = "free-time-day";
+		const heading = document.createElement("h4");
+		heading.textContent = day;
+		group.appendChild(heading);
+
+		for (const interval of shown) {
+			const isIdle = interval.between && interval.minutes >= idleMinutes;
+			const item = document.createElement("button");
+			item.type = "button";
+			item.className = "free-time-item";
+			item.classList.toggle("is-idle", isIdle);
+			item.title = "Add as busy time";
+			item.textContent = `${formatMinuteRange(interval.start, interval.end)} · ${formatDuration(interval.minutes)}${isIdle ? " · idle gap" : ""}`;
+			item.addEventListener("click", () => prefillBusyBlock(day, interval));
+			group.appendChild(item);
+		}
+		freeTimeList.appendChild(group);
+	}
+
+	if (!freeTimeList.children.length) {
+		const empty = document.createElement("p");
+		empty.className = "tray-empty";
+		empty.textContent = `// no free block of ${formatDuration(minMinutes)} or more`;
+		freeTimeList.appendChild(empty);
+	}
+}
+
+// ============ Friend Schedules ============
+
+// Each visible friend gets a lane of the day column, behind your own blocks
+function renderFriendBlocks(layers) {
+	layers.forEach(({ friend, schedule }, index) => {
+		const width = 100 / layers.length;
+		for (const entry of schedule) {
+			if (!entry.timeRange) continue;
+			const startMinutes = timeToMinutes(entry.timeRange.start);
+			const endMinutes = timeToMinutes(entry.timeRange.end);
+			for (const day of entry.days) {
+				const slotsContainer = document.getElementById(`slots-${day}`);
+				if (!slotsContainer) continue;
+
+				const block = document.createElement("div");
+				block.className = "friend-block";
+				block.style.top = `${((startMinutes - startHour * 60) / 60) * HOUR_HEIGHT}px`;
+				block.style.height = `${((endMinutes - startMinutes) / 60) * HOUR_HEIGHT}px`;
+				block.style.left = `${index * width}%`;
+				block.style.width = `${width}%`;
+				block.style.setProperty("--friend-color", friend.color);
+				block.textContent = `${friend.name} · ${entry.courseCode}`;
+				block.title = `${friend.name}: ${entry.courseCode} ${entry.type}\n${formatTime(entry.timeRange.start)} - ${formatTime(entry.timeRange.end)}`;
+				slotsContainer.appendChild(block);
+			}
+		}
+	});
+}
+
+function renderFriendList(friends) {
+	if (!friendList) return;
+	friendList.innerHTML = "";
+
+	if (!friends.length) {
+		const empty = document.createElement("p");
+		empty.className = "tray-empty";
+		empty.textContent = "// load a friend's exported backup to compare";
+		friendList.appendChild(empty);
+		return;
+	}
+
+	for (const friend of friends) {
+		const item = document.createElement("label");
+		item.className = "friend-item";
+		item.style.setProperty("--friend-color", friend.color);
+
+		const toggle = document.createElement("input");
+		toggle.type = "checkbox";
+		toggle.checked = friend.visible;
+		toggle.setAttribute("aria-label", `Show ${friend.name}`);
+		toggle.addEventListener("change", () =>
+			handleFriendToggle(friend.id, toggle.checked),
+		);
+
+		const info = document.createElement("span");
+		info.className = "friend-info";
+		const name = document.createElement("strong");
+		name.textContent = friend.name;
+		const meta = document.createElement("span");
+		const count = friend.courses.length;
+		meta.textContent = `${count} course${count !== 1 ? "s" : ""}`;
+		if (friend.exportedAt) {
+			const exported = new Date(friend.exportedAt).toLocaleDateString(
+				"en-US",
+				{ month: "short", day: "numeric" },
+			);
+			meta.textContent += ` · exported ${exported}`;
+		}
+		info.append(name, meta);
+
+		const remove = document.createElement("button");
+		remove.type = "button";
+		remove.className = "busy-block-remove";
+		remove.setAttribute("aria-label", `Remove ${friend.name}`);
+		remove.title = "Remove";
+		remove.textContent = "×";
+		remove.addEventListener("click", (event) => {
+			event.preventDefault();
+			handleFriendRemove(friend);
+		});
+
+		item.append(toggle, info, remove);
+		friendList.appendChild(item);
+	}
+}
+
+function renderFriendOverlap(plannedCourses, mySchedule, layers) {
+	if (!friendOverlap) return;
+	friendOverlap.innerHTML = "";
+	if (!layers.length) return;
+
+	const people = [
+		{ id: "you", name: "you", courses: plannedCourses },
+		...layers.map(({ friend }) => friend),
+	];
+	const sharedClasses = findSharedClasses(people);
+	const classesHeading = document.createElement("h4");
+	classesHeading.textContent = "shared classes";
+	const classesList = document.createElement("ul");
+	for (const shared of sharedClasses) {
+		const item = document.createElement("li");
+		const takers = shared.takers
+			.map(
+				(taker) =>
+					`${taker.name} ${taker.components.map((c) => c.section).join("/")}`,
+			)
+			.join(", ");
+		item.textContent = `${shared.courseCode}${shared.sameSection ? " (same section)" : ""}: ${takers}`;
+		classesList.appendChild(item);
+	}
+	if (!sharedClasses.length) {
+		const item = document.createElement("li");
+		item.textContent = "none";
+		classesList.appendChild(item);
+	}
+
+	const freeTime = findSharedFreeTime(
+		[mySchedule, ...layers.map((layer) => layer.schedule)],
+		{ days: calendarDays, startHour, endHour },
+		SHARED_FREE_MIN_MINUTES,
+	);
+	const freeHeading = document.createElement("h4");
+	freeHeading.textContent = "free together";
+	const freeList = document.createElement("ul");
+	for (const [day, intervals] of Object.entries(freeTime)) {
+		if (!intervals.length) continue;
+		const item = document.createElement("li");
+		const times = intervals
+			.map(({ start, end }) => formatMinuteRange(start, end))
+			.join(", ");
+		item.textContent = `${day} ${times}`;
+		freeList.appendChild(item);
+	}
+	if (!freeList.children.length) {
+		const item = document.createElement("li");
+		item.textContent = "no common hour free";
+		freeList.appendChild(item);
+	}
+
+	friendOverlap.append(classesHeading, classesList, freeHeading, freeList);
+}
+
+async function promptFriendName(fileName) {
+	const content = document.createElement("div");
+	content.className = "input-group";
+	content.innerHTML = `
+        <label class="input-label" for="friend-name-input">Whose schedule is ${escapeHtml(fileName)}?</label>
+        <input type="text" class="input-field" id="friend-name-input" placeholder="e.g. Sam">
+    `;
+	const input = content.querySelector("input");
+	setTimeout(() => input.focus(), 100);
+
+	const result = await showModal("// add friend", content, [
+		{ label: "skip", value: null },
+		{ label: "add", value: "add", primary: true },
+	]);
+	if (result !== "add") return null;
+	return input.value.trim();
+}
+
+async function handleFriendFiles(event) {
+	const files = Array.from(event.target.files || []);
+	event.target.value = "";
+	for (const file of files) {
+		const name = await promptFriendName(file.name);
+		if (!name) continue;
+		try {
+			const backup = JSON.parse(await file.text());
+			const friend = await addFriendSchedule(backup, name);
+			showToast(
+				`Showing ${friend.name}'s ${friend.courses.length} planned course${friend.courses.length !== 1 ? "s" : ""}`,
+				"success",
+			);
+		} catch (error) {
+			console.error("[Albert Enhancer] Failed to load friend schedule", error);
+			showToast(
+				error instanceof SyntaxError
+					? `${file.name} is not a backup file`
+					: error.message || "Could not load schedule",
+				"error",
+			);
+		}
+	}
+}
+
+async function handleFriendToggle(friendId, visible) {
+	try {
+		await setFriendScheduleVisible(friendId, visible);
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to toggle friend schedule", error);
+		showToast("Could not update friend layer", "error");
+	}
+}
+
+async function handleFriendRemove(friend) {
+	try {
+		await removeFriendSchedule(friend.id);
+		showUndoToast(`Removed ${friend.name}`);
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to remove friend schedule", error);
+		showToast("Could not remove friend", "error");
+	}
+}
+
+// ============ Drag & Drop ============
+
+function handleCourseDragStart(event) {
+	const courseId = event.currentTarget?.dataset?.courseId;
+	if (!courseId) return;
+	draggedCourseId = courseId;
+	draggedSource = "calendar";
+	draggedFromBucketId = event.currentTarget?.dataset?.bucketId || null;
+	event.dataTransfer?.setData("text/plain", courseId);
+	event.dataTransfer.effectAllowed = "move";
+	event.currentTarget.classList.add("dragging");
+}
+
+function handleCourseDragEnd(event) {
+	event.currentTarget.classList.remove("dragging");
 	lastCourseBlockDragEndedAt = Date.now();
 	resetDragPayload();
 }
@@ -1488,10 +2955,14 @@ async function completeBucketDrop(bucketId) {
 	}
 
 	if (draggedSource === "calendar") {
-		if (bucketId !== draggedFromBucketId) {
-			await assignCourseToBucket(draggedCourseId, bucketId || null);
-		}
-		await removeCourseFromPlannerSelection(draggedCourseId);
+		const courseId = draggedCourseId;
+		await batchHistory("Remove from plan", async () => {
+			if (bucketId !== draggedFromBucketId) {
+				await assignCourseToBucket(courseId, bucketId || null);
+			}
+			await removeCourseFromPlannerSelection(courseId);
+		});
+		showUndoToast("Removed from plan");
 	} else if (draggedSource === "bucket" && bucketId !== draggedFromBucketId) {
 		await assignCourseToBucket(draggedCourseId, bucketId || null);
 	}
@@ -1570,18 +3041,19 @@ function showDragPreview(courseId) {
 	let conflictSlots = 0;
 	const componentSummaries = [];
 
-	for (const component of course.components) {
+	for (const component of flattenToSchedule([course])) {
 		if (!component.timeRange || !component.days?.length) continue;
 
 		const startMinutes = timeToMinutes(component.timeRange.start);
 		const endMinutes = timeToMinutes(component.timeRange.end);
 		if (!Number.isFinite(startMinutes) || !Number.isFinite(endMinutes)) continue;
 
-		const top = ((startMinutes - START_HOUR * 60) / 60) * HOUR_HEIGHT;
+		const top = ((startMinutes - startHour * 60) / 60) * HOUR_HEIGHT;
 		const height = ((endMinutes - startMinutes) / 60) * HOUR_HEIGHT;
 
 		const componentConflicts =
-			!alreadyAdded && hasConflict(component, cachedPlannedSchedule);
+			!alreadyAdded &&
+			hasConflict(component, cachedPlannedSchedule.concat(cachedBusySchedule));
 		componentSummaries.push({
 			type: component.type || "Class",
 			days: component.days.join("/"),
@@ -1609,8 +3081,8 @@ function showDragPreview(courseId) {
 			const timeLabel = `${formatTime(component.timeRange.start)} – ${formatTime(component.timeRange.end)}`;
 			ghost.innerHTML = `
 				<div class="course-block-ghost-head">
-					<span class="course-block-ghost-code">${course.courseCode || ""}</span>
-					<span class="course-block-ghost-type">${typeLabel}</span>
+					<span class="course-block-ghost-code">${escapeHtml(course.courseCode || "")}</span>
+					<span class="course-block-ghost-type">${escapeHtml(typeLabel)}</span>
 				</div>
 				<div class="course-block-ghost-time">${timeLabel}</div>
 				${componentConflicts ? '<span class="course-block-ghost-mark" aria-hidden="true">✕</span>' : ""}
@@ -1632,7 +3104,7 @@ function showDragPreview(courseId) {
 		.map(
 			(c) =>
 				`<div class="drag-cursor-pill-line${c.conflict ? " is-conflict" : ""}">
-					<span class="drag-cursor-pill-type">${c.type}</span>
+					<span class="drag-cursor-pill-type">${escapeHtml(c.type)}</span>
 					<span class="drag-cursor-pill-when">${c.days} · ${c.start}–${c.end}</span>
 				</div>`,
 		)
@@ -1653,8 +3125,8 @@ function showDragPreview(courseId) {
 
 	pill.innerHTML = `
 		<div class="drag-cursor-pill-head">
-			<span class="drag-cursor-pill-code">${course.courseCode || ""}</span>
-			${course.title ? `<span class="drag-cursor-pill-title">${course.title}</span>` : ""}
+			<span class="drag-cursor-pill-code">${escapeHtml(course.courseCode || "")}</span>
+			${course.title ? `<span class="drag-cursor-pill-title">${escapeHtml(course.title)}</span>` : ""}
 		</div>
 		${metaHtml ? `<div class="drag-cursor-pill-body">${metaHtml}</div>` : ""}
 		<div class="drag-cursor-pill-status">
@@ -1702,6 +3174,7 @@ async function handlePlannerAdd(courseId) {
 async function handlePlannerRemove(courseId) {
 	if (!courseId) return;
 	await removeCourseFromPlannerSelection(courseId);
+	showUndoToast("Removed from plan");
 	await loadSchedule();
 }
 
@@ -2013,14 +3486,604 @@ async function deleteSelectedBuckets() {
 
 	if (!confirmed) return;
 
-	for (const bucketId of ids) {
-		await deleteBucket(bucketId);
-		bucketCollapseState.delete(bucketId);
-	}
+	const label = ids.length === 1 ? "Delete bucket" : "Delete buckets";
+	await batchHistory(label, async () => {
+		for (const bucketId of ids) {
+			await deleteBucket(bucketId);
+			bucketCollapseState.delete(bucketId);
+		}
+	});
 	exitDeleteMode({ reload: false });
+	showUndoToast(
+		ids.length === 1 ? "Bucket deleted" : `${ids.length} buckets deleted`,
+	);
+	await loadSchedule();
+}
+
+// ============ Schedule Generator ============
+
+function renderGeneratorPanel() {
+	if (!sidebarGenerator) return;
+	sidebarGenerator.innerHTML = "";
+
+	if (!generatorState) {
+		const hint = document.createElement("p");
+		hint.className = "tray-empty";
+		hint.textContent = "// find every conflict-free section combination";
+
+		const generateButton = document.createElement("button");
+		generateButton.type = "button";
+		generateButton.className = "btn-inline generator-run";
+		generateButton.textContent = "generate";
+		generateButton.addEventListener("click", handleGenerateSchedules);
+
+		sidebarGenerator.append(hint, generateButton);
+		return;
+	}
+
+	const { combinations, index, truncated } = generatorState;
+	const combination = combinations[index];
+
+	const pager = document.createElement("div");
+	pager.className = "generator-pager";
+	pager.innerHTML = `
+		<button type="button" class="course-icon-btn generator-prev" aria-label="Previous combination" title="Previous combination">
+			<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"/></svg>
+		</button>
+		<span class="generator-position">${index + 1} / ${combinations.length}${truncated ? "+" : ""}</span>
+		<button type="button" class="course-icon-btn generator-next" aria-label="Next combination" title="Next combination">
+			<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"/></svg>
+		</button>
+	`;
+	pager
+		.querySelector(".generator-prev")
+		.addEventListener("click", () => showGeneratedCombination(index - 1));
+	pager
+		.querySelector(".generator-next")
+		.addEventListener("click", () => showGeneratedCombination(index + 1));
+
+	const summary = document.createElement("p");
+	summary.className = "generator-summary";
+	const count = combination.courses.length;
+	const softMisses = combination.violations?.length ?? 0;
+	summary.textContent = `${count} course${count !== 1 ? "s" : ""} · ${combination.credits} cr · score ${combination.score.total}${
+		softMisses ? ` · ${softMisses} soft constraint${softMisses !== 1 ? "s" : ""} missed` : ""
+	}`;
+
+	const coverage = document.createElement("div");
+	coverage.className = "generator-coverage";
+	for (const bucket of currentBuckets) {
+		const codes = new Set(
+			Array.from(coursesById.values())
+				.filter((course) => course.bucket === bucket.id)
+				.map((course) => course.courseCode),
+		);
+		if (codes.size === 0) continue;
+		const picked = combination.courses.filter(
+			(course) => course.bucket === bucket.id,
+		).length;
+		const tag = document.createElement("span");
+		tag.className = "planner-bucket-tag";
+		tag.textContent = `${bucket.name} ${picked}/${codes.size}`;
+		if (bucket.color) {
+			tag.style.color = bucket.color;
+			tag.style.backgroundColor = `${bucket.color}22`;
+		}
+		coverage.appendChild(tag);
+	}
+
+	const actions = document.createElement("div");
+	actions.className = "generator-actions";
+	const keepButton = document.createElement("button");
+	keepButton.type = "button";
+	keepButton.className = "btn-inline";
+	keepButton.textContent = "keep";
+	keepButton.addEventListener("click", () => closeGenerator(false));
+	const revertButton = document.createElement("button");
+	revertButton.type = "button";
+	revertButton.className = "btn-inline btn-danger";
+	revertButton.textContent = "revert";
+	revertButton.addEventListener("click", () => closeGenerator(true));
+	actions.append(keepButton, revertButton);
+
+	sidebarGenerator.append(pager, summary, coverage, actions);
+}
+
+async function handleGenerateSchedules() {
+	const courses = Array.from(coursesById.values());
+	if (courses.length === 0) {
+		showToast("No courses to combine yet", "info");
+		return;
+	}
+
+	const { combinations, truncated } = generateScheduleCombinations(
+		courses,
+		currentBuckets,
+		{
+			constraints: cachedConstraints,
+			ratings: cachedProfRatings,
+			busyBlocks: cachedBusyBlocks,
+		},
+	);
+	if (combinations.length === 0) {
+		showToast("No combination fits the hard constraints", "error");
+		return;
+	}
+
+	generatorState = {
+		combinations,
+		index: 0,
+		truncated,
+		originalSelection: Array.from(plannerSelectionSet),
+	};
+	await showGeneratedCombination(0);
+	showToast(
+		`Found ${combinations.length} combination${combinations.length !== 1 ? "s" : ""}`,
+		"success",
+	);
+}
+
+// Combinations are only shown while paging; the plan is saved once, on keep
+async function showGeneratedCombination(index) {
+	if (!generatorState) return;
+	const total = generatorState.combinations.length;
+	generatorState.index = (index + total) % total;
+	renderGeneratorPanel();
 	await loadSchedule();
 }
 
+/**
+ * Course ids of the combination on screen, in place of the stored selection
+ * @param {string[]} storedSelection - The active scenario's saved course ids
+ * @returns {string[]|null} null when no preview is open
+ */
+function getGeneratorPreview(storedSelection) {
+	if (!generatorState) return null;
+	// The plan was edited under the preview (planner toggle, undo, sync); the
+	// edit wins
+	const { originalSelection } = generatorState;
+	if (
+		storedSelection.length !== originalSelection.length ||
+		storedSelection.some((id) => !originalSelection.includes(id))
+	) {
+		generatorState = null;
+		renderGeneratorPanel();
+		return null;
+	}
+	const { combinations, index } = generatorState;
+	return combinations[index].courses.map((course) => course.id);
+}
+
+async function closeGenerator(revert) {
+	if (!generatorState) return;
+	const { combinations, index } = generatorState;
+	generatorState = null;
+	renderGeneratorPanel();
+	if (revert) {
+		showToast("Previous plan restored", "info");
+		await loadSchedule();
+		return;
+	}
+	// Redraws through the storage listener
+	await setPlannerSelection(
+		combinations[index].courses.map((course) => course.id),
+	);
+}
+
+// ============ Scenario Comparison ============
+
+function minutesToTimeValue(totalMinutes) {
+	return { hours: Math.floor(totalMinutes / 60), minutes: totalMinutes % 60 };
+}
+
+function toMinutes(time) {
+	return time ? time.hours * 60 + time.minutes : null;
+}
+
+// better: which direction wins a row; null rows are shown but never highlighted
+const COMPARE_METRICS = [
+	{
+		label: "courses",
+		value: (summary) => summary.courseCount,
+		better: null,
+	},
+	{
+		label: "credits",
+		value: (summary) => summary.credits,
+		better: "higher",
+	},
+	{
+		label: "hours/wk",
+		value: (summary) => summary.weeklyHours,
+		format: (value) => value.toFixed(1),
+		better: null,
+	},
+	{
+		label: "campus days",
+		value: (summary) => summary.campusDays.length,
+		format: (value, summary) =>
+			value
+				? `${value} · ${ALL_DAYS.filter((day) => summary.campusDays.includes(day)).join("/")}`
+				: "0",
+		better: "lower",
+	},
+	{
+		label: "earliest",
+		value: (summary) => toMinutes(summary.earliest),
+		format: (value) => formatTime(minutesToTimeValue(value)),
+		better: "higher",
+	},
+	{
+		label: "latest",
+		value: (summary) => toMinutes(summary.latest),
+		format: (value) => formatTime(minutesToTimeValue(value)),
+		better: "lower",
+	},
+	{
+		label: "conflicts",
+		value: (summary) => summary.conflicts.length,
+		better: "lower",
+	},
+];
+
+function getScenarioColor(scenarioId) {
+	const index = currentScenarios?.items.findIndex(
+		(item) => item.id === scenarioId,
+	);
+	return SCENARIO_COLORS[Math.max(index ?? 0, 0) % SCENARIO_COLORS.length];
+}
+
+function toggleCompareView() {
+	if (compareState) {
+		compareState = null;
+	} else {
+		compareState = {
+			ids: (currentScenarios?.items || [])
+				.slice(0, MAX_COMPARED_SCENARIOS)
+				.map((item) => item.id),
+			layout: "adjacent",
+		};
+	}
+	document.body.classList.toggle("weekly-compare-open", Boolean(compareState));
+	btnCompareScenarios?.setAttribute("aria-pressed", String(Boolean(compareState)));
+	if (compareContainer) compareContainer.hidden = !compareState;
+	renderComparison();
+}
+
+function toggleComparedScenario(scenarioId) {
+	const ids = compareState.ids;
+	if (ids.includes(scenarioId)) {
+		if (ids.length === 1) return;
+		compareState.ids = ids.filter((id) => id !== scenarioId);
+	} else if (ids.length >= MAX_COMPARED_SCENARIOS) {
+		showToast(`Compare up to ${MAX_COMPARED_SCENARIOS} scenarios at once`, "info");
+		return;
+	} else {
+		// Keep the header order so colors and columns don't jump around
+		const order = currentScenarios.items.map((item) => item.id);
+		compareState.ids = [...ids, scenarioId].sort(
+			(a, b) => order.indexOf(a) - order.indexOf(b),
+		);
+	}
+	renderComparison();
+}
+
+function setCompareLayout(layout) {
+	if (!compareState) return;
+	compareState.layout = layout;
+	renderComparison();
+}
+
+function renderComparePicker() {
+	comparePicker.innerHTML = "";
+	for (const scenario of currentScenarios.items) {
+		const selected = compareState.ids.includes(scenario.id);
+		const chip = document.createElement("button");
+		chip.type = "button";
+		chip.className = "compare-chip";
+		chip.setAttribute("aria-pressed", String(selected));
+		chip.style.setProperty("--scenario-color", getScenarioColor(scenario.id));
+
+		const swatch = document.createElement("span");
+		swatch.className = "compare-swatch";
+		swatch.setAttribute("aria-hidden", "true");
+		const name = document.createElement("span");
+		name.textContent = scenario.name;
+		chip.append(swatch, name);
+		chip.addEventListener("click", () => toggleComparedScenario(scenario.id));
+		comparePicker.appendChild(chip);
+	}
+
+	for (const button of compareContainer.querySelectorAll(".compare-layout-btn")) {
+		button.classList.toggle(
+			"is-active",
+			button.dataset.layout === compareState.layout,
+		);
+	}
+}
+
+/**
+ * Hours and days covering every compared schedule, so the mini grids share a scale
+ */
+function getCompareRange(entries) {
+	const { days } = getCalendarLayout(
+		cachedSettings,
+		entries.flatMap((entry) => entry.schedule),
+	);
+	let start = null;
+	let end = null;
+	for (const { summary } of entries) {
+		if (summary.earliest) {
+			const hour = summary.earliest.hours;
+			start = start === null ? hour : Math.min(start, hour);
+		}
+		if (summary.latest) {
+			const hour = Math.ceil(toMinutes(summary.latest) / 60);
+			end = end === null ? hour : Math.max(end, hour);
+		}
+	}
+	if (start === null || end === null) return { start: startHour, end: endHour, days };
+	return {
+		start: Math.max(start, 0),
+		end: Math.min(Math.max(end, start + 1), 24),
+		days,
+	};
+}
+
+function createCompareBlock(component, range, options) {
+	const { color, lane = 0, lanes = 1, conflict = false, scenarioName } = options;
+	const span = (range.end - range.start) * 60;
+	const start = timeToMinutes(component.timeRange.start) - range.start * 60;
+	const end = timeToMinutes(component.timeRange.end) - range.start * 60;
+
+	const block = document.createElement("div");
+	block.className = "compare-block";
+	block.classList.toggle("is-conflict", conflict);
+	block.style.top = `${(start / span) * 100}%`;
+	block.style.height = `${((end - start) / span) * 100}%`;
+	block.style.left = `${(lane / lanes) * 100}%`;
+	block.style.width = `${100 / lanes}%`;
+	block.style.setProperty("--block-color", color);
+	block.textContent = component.courseCode;
+	block.title = [
+		scenarioName,
+		`${component.courseCode} ${component.type || ""}`.trim(),
+		`${formatTime(component.timeRange.start)} – ${formatTime(component.timeRange.end)}`,
+	]
+		.filter(Boolean)
+		.join("\n");
+	return block;
+}
+
+/**
+ * Compact week grid; each layer is one schedule drawn in its own lane
+ */
+function createCompareGrid(range, layers) {
+	const grid = document.createElement("div");
+	grid.className = "compare-grid";
+	grid.style.setProperty("--compare-hours", String(range.end - range.start));
+	grid.style.setProperty("--compare-days", String(range.days.length));
+
+	const times = document.createElement("div");
+	times.className = "compare-times";
+	for (let hour = range.start; hour < range.end; hour++) {
+		const label = document.createElement("span");
+		label.className = "compare-time-label";
+		label.style.top = `${((hour - range.start) / (range.end - range.start)) * 100}%`;
+		label.textContent = formatTime({ hours: hour, minutes: 0 }).replace(":00", "");
+		times.appendChild(label);
+	}
+	grid.appendChild(times);
+
+	for (const day of range.days) {
+		const column = document.createElement("div");
+		column.className = "compare-day";
+		const header = document.createElement("div");
+		header.className = "compare-day-header";
+		header.textContent = day;
+		const body = document.createElement("div");
+		body.className = "compare-day-body";
+
+		layers.forEach((layer, lane) => {
+			for (const component of layer.schedule) {
+				if (!component.timeRange || !component.days?.includes(day)) continue;
+				body.appendChild(
+					createCompareBlock(component, range, {
+						color: layer.color ?? courseCodeToColor(component.courseCode),
+						lane,
+						lanes: layers.length,
+						conflict: layer.conflictIds?.has(component.courseId),
+						scenarioName: layer.scenarioName,
+					}),
+				);
+			}
+		});
+
+		column.append(header, body);
+		grid.appendChild(column);
+	}
+
+	return grid;
+}
+
+function createCompareCard(title, meta, color) {
+	const card = document.createElement("div");
+	card.className = "compare-card";
+	const heading = document.createElement("div");
+	heading.className = "compare-card-title";
+	if (color) {
+		const swatch = document.createElement("span");
+		swatch.className = "compare-swatch";
+		swatch.style.setProperty("--scenario-color", color);
+		heading.appendChild(swatch);
+	}
+	const name = document.createElement("span");
+	name.textContent = title;
+	const metaEl = document.createElement("span");
+	metaEl.className = "compare-card-meta";
+	metaEl.textContent = meta;
+	heading.append(name, metaEl);
+	card.appendChild(heading);
+	return card;
+}
+
+function renderCompareGrids(entries, range) {
+	compareGrids.innerHTML = "";
+	compareGrids.dataset.layout = compareState.layout;
+
+	if (compareState.layout === "overlay") {
+		const card = createCompareCard(
+			"overlay",
+			entries.map((entry) => entry.scenario.name).join(" vs "),
+		);
+		card.appendChild(
+			createCompareGrid(
+				range,
+				entries.map((entry) => ({
+					schedule: entry.schedule,
+					color: entry.color,
+					scenarioName: entry.scenario.name,
+				})),
+			),
+		);
+		compareGrids.appendChild(card);
+		return;
+	}
+
+	for (const entry of entries) {
+		const { summary } = entry;
+		const card = createCompareCard(
+			entry.scenario.name,
+			`${summary.courseCount} course${summary.courseCount !== 1 ? "s" : ""} · ${summary.credits} cr`,
+			entry.color,
+		);
+		card.classList.toggle(
+			"is-active",
+			entry.scenario.id === currentScenarios.activeId,
+		);
+		card.appendChild(
+			createCompareGrid(range, [
+				{
+					schedule: entry.schedule,
+					conflictIds: new Set(summary.conflicts.flat()),
+				},
+			]),
+		);
+		compareGrids.appendChild(card);
+	}
+}
+
+function renderCompareTable(entries) {
+	compareTable.innerHTML = "";
+
+	const head = document.createElement("thead");
+	const headRow = document.createElement("tr");
+	const corner = document.createElement("th");
+	corner.textContent = "//";
+	headRow.appendChild(corner);
+	for (const entry of entries) {
+		const th = document.createElement("th");
+		th.scope = "col";
+		const swatch = document.createElement("span");
+		swatch.className = "compare-swatch";
+		swatch.style.setProperty("--scenario-color", entry.color);
+		th.append(swatch, document.createTextNode(entry.scenario.name));
+		headRow.appendChild(th);
+	}
+	head.appendChild(headRow);
+
+	const body = document.createElement("tbody");
+	for (const metric of COMPARE_METRICS) {
+		const values = entries.map((entry) => metric.value(entry.summary));
+		const present = values.filter((value) => value !== null);
+		let best = null;
+		if (metric.better && new Set(present).size > 1) {
+			best =
+				metric.better === "higher" ? Math.max(...present) : Math.min(...present);
+		}
+
+		const row = document.createElement("tr");
+		const label = document.createElement("th");
+		label.scope = "row";
+		label.textContent = metric.label;
+		row.appendChild(label);
+		entries.forEach((entry, index) => {
+			const value = values[index];
+			const cell = document.createElement("td");
+			if (value === null) {
+				cell.textContent = "—";
+			} else {
+				cell.textContent = metric.format
+					? metric.format(value, entry.summary)
+					: String(value);
+			}
+			cell.classList.toggle("is-best", value !== null && value === best);
+			row.appendChild(cell);
+		});
+		body.appendChild(row);
+	}
+
+	// Course codes a plan has that none of the other compared plans do
+	if (entries.length > 1) {
+		const row = document.createElement("tr");
+		const label = document.createElement("th");
+		label.scope = "row";
+		label.textContent = "only here";
+		row.appendChild(label);
+		for (const entry of entries) {
+			const others = new Set(
+				entries
+					.filter((other) => other !== entry)
+					.flatMap((other) => other.courses.map((course) => course.courseCode)),
+			);
+			const unique = [
+				...new Set(
+					entry.courses
+						.map((course) => course.courseCode)
+						.filter((code) => !others.has(code)),
+				),
+			];
+			const cell = document.createElement("td");
+			cell.className = "compare-unique";
+			cell.textContent = unique.length ? unique.join(", ") : "—";
+			row.appendChild(cell);
+		}
+		body.appendChild(row);
+	}
+
+	compareTable.append(head, body);
+}
+
+function renderComparison() {
+	if (!compareState || !currentScenarios || !compareContainer) return;
+
+	const knownIds = new Set(currentScenarios.items.map((item) => item.id));
+	compareState.ids = compareState.ids.filter((id) => knownIds.has(id));
+	if (compareState.ids.length === 0) {
+		compareState.ids = currentScenarios.items
+			.slice(0, MAX_COMPARED_SCENARIOS)
+			.map((item) => item.id);
+	}
+
+	const entries = compareState.ids.map((id) => {
+		const scenario = currentScenarios.items.find((item) => item.id === id);
+		const courses = scenario.courseIds
+			.map((courseId) => coursesById.get(courseId))
+			.filter(Boolean);
+		return {
+			scenario,
+			courses,
+			schedule: flattenToSchedule(courses),
+			summary: summarizeSelection(courses, cachedTermCalendar),
+			color: getScenarioColor(id),
+		};
+	});
+
+	renderComparePicker();
+	renderCompareGrids(entries, getCompareRange(entries));
+	renderCompareTable(entries);
+}
+
 // ============ Calendar Export ============
 
 async function handleExportCalendar() {
@@ -2040,15 +4103,8 @@ async function handleExportCalendar() {
 
 	try {
 		const blob = await renderElementToPng(calendarEl);
-		const url = URL.createObjectURL(blob);
-		const a = document.createElement("a");
 		const stamp = new Date().toISOString().slice(0, 10);
-		a.href = url;
-		a.download = `albert-calendar-${stamp}.png`;
-		document.body.appendChild(a);
-		a.click();
-		a.remove();
-		URL.revokeObjectURL(url);
+		downloadFile(blob, `albert-calendar-${stamp}.png`, "image/png");
 		showToast("Calendar exported", "success");
 	} catch (error) {
 		console.error("[Albert Enhancer] Calendar export failed:", error);
@@ -2059,6 +4115,61 @@ async function handleExportCalendar() {
 	}
 }
 
+function downloadFile(content, filename, type) {
+	const blob = content instanceof Blob ? content : new Blob([content], { type });
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement("a");
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	URL.revokeObjectURL(url);
+}
+
+function handleExportIcs() {
+	const plannedCourses = Array.from(plannerSelectionSet)
+		.map((id) => coursesById.get(id))
+		.filter(Boolean);
+	if (plannedCourses.length === 0) {
+		showToast("Nothing planned to export", "info");
+		return;
+	}
+
+	if (!cachedTermCalendar) {
+		showToast(
+			`No term calendar for ${getTermName(activeTerm)} — add one in settings`,
+			"error",
+		);
+		return;
+	}
+
+	try {
+		const termName = getTermName(activeTerm);
+		const { ics, eventCount } = buildScheduleIcs(
+			plannedCourses,
+			cachedTermCalendar,
+			{ term: activeTerm, calendarName: `${termName} classes` },
+		);
+		if (eventCount === 0) {
+			showToast("No planned class has meeting times yet", "info");
+			return;
+		}
+		downloadFile(
+			ics,
+			`albert-${termName.toLowerCase().replace(/\s+/g, "-")}.ics`,
+			"text/calendar",
+		);
+		showToast(
+			`Exported ${eventCount} recurring event${eventCount !== 1 ? "s" : ""}`,
+			"success",
+		);
+	} catch (error) {
+		console.error("[Albert Enhancer] iCalendar export failed:", error);
+		showToast("Export failed", "error");
+	}
+}
+
 function collectDocumentStyles() {
 	const parts = [];
 	for (const sheet of document.styleSheets) {
@@ -2145,14 +4256,192 @@ ${cloneHtml}
 	});
 }
 
+// ============ Plan Sharing ============
+
+const SHARE_HASH_PREFIX = "#share=";
+
+function formatSharedCourse(course) {
+	const meetings = course.components.flatMap((component) =>
+		getComponentMeetings(component)
+			.filter((meeting) => meeting.timeRange)
+			.map(
+				(meeting) =>
+					`${component.type} ${meeting.days.join("/")} ${formatTime(meeting.timeRange.start)}–${formatTime(meeting.timeRange.end)}`,
+			),
+	);
+	return `${course.courseCode} · ${course.section} — ${meetings.join(", ") || "TBA"}`;
+}
+
+async function copyText(text, message) {
+	try {
+		await navigator.clipboard.writeText(text);
+		showToast(message, "success");
+	} catch (error) {
+		console.error("[Albert Enhancer] Clipboard write failed:", error);
+		showToast("Could not copy, select the text and copy it by hand", "error");
+	}
+}
+
+async function handleSharePlan() {
+	const plannedCourses = Array.from(plannerSelectionSet)
+		.map((id) => coursesById.get(id))
+		.filter(Boolean);
+	if (plannedCourses.length === 0) {
+		showToast("Nothing planned to share", "info");
+		return;
+	}
+
+	const code = encodeSharedPlan({
+		term: activeTerm,
+		name: getActiveScenario()?.name || "",
+		courses: plannedCourses,
+	});
+	const link = chrome.runtime.getURL(
+		`src/weekly-view.html${SHARE_HASH_PREFIX}${code}`,
+	);
+
+	const content = document.createElement("div");
+	content.className = "input-group";
+	content.innerHTML = `
+        <p class="share-hint">Friends with the extension can open the link, or paste the code under import in their weekly view.</p>
+        <label class="input-label" for="share-code-output">Plan code</label>
+        <textarea class="input-field share-code-field" id="share-code-output" rows="4" readonly></textarea>
+    `;
+	const output = content.querySelector("textarea");
+	output.value = code;
+	output.addEventListener("focus", () => output.select());
+
+	const result = await showModal(
+		`// share ${plannedCourses.length} course${plannedCourses.length !== 1 ? "s" : ""}`,
+		content,
+		[
+			{ label: "import a plan", value: "import" },
+			{ label: "copy code", value: "code" },
+			{ label: "copy link", value: "link", primary: true },
+		],
+	);
+	if (result === "import") {
+		openSharedPlanImport();
+	} else if (result === "code") {
+		copyText(code, "Plan code copied");
+	} else if (result === "link") {
+		copyText(link, "Share link copied");
+	}
+}
+
+function renderSharedPlanPreview(preview, text) {
+	preview.innerHTML = "";
+	if (!text.trim()) return null;
+
+	let plan;
+	try {
+		plan = decodeSharedPlan(text);
+	} catch (error) {
+		preview.textContent = error.message;
+		preview.classList.add("is-error");
+		return null;
+	}
+	preview.classList.remove("is-error");
+
+	const heading = document.createElement("p");
+	heading.textContent = `${plan.name || "Shared plan"} · ${getTermName(plan.term)}`;
+	if (plan.term !== activeTerm) {
+		heading.textContent += ` (you are planning ${getTermName(activeTerm)})`;
+	}
+	preview.appendChild(heading);
+
+	const list = document.createElement("ul");
+	for (const course of plan.courses) {
+		const item = document.createElement("li");
+		const owned =
+			coursesById.has(course.id) ||
+			(course.classNumber &&
+				Array.from(coursesById.values()).some(
+					(existing) => existing.classNumber === course.classNumber,
+				));
+		item.textContent = `${formatSharedCourse(course)}${owned ? " · already yours" : ""}`;
+		list.appendChild(item);
+	}
+	preview.appendChild(list);
+	return plan;
+}
+
+async function openSharedPlanImport(initialText = "") {
+	const content = document.createElement("div");
+	content.className = "input-group";
+	content.innerHTML = `
+        <label class="input-label" for="share-code-input">Link or plan code</label>
+        <textarea class="input-field share-code-field" id="share-code-input" rows="3" placeholder="fa1.…"></textarea>
+        <div class="share-preview" aria-live="polite"></div>
+        <label class="input-label" for="share-name-input">Scenario name</label>
+        <input type="text" class="input-field" id="share-name-input" placeholder="e.g. Sam's plan">
+    `;
+	const input = content.querySelector("textarea");
+	const preview = content.querySelector(".share-preview");
+	const nameInput = content.querySelector("#share-name-input");
+	const update = () => {
+		const plan = renderSharedPlanPreview(preview, input.value);
+		if (plan && !nameInput.value) nameInput.value = plan.name;
+	};
+	input.value = initialText;
+	input.addEventListener("input", update);
+	update();
+	setTimeout(() => input.focus(), 100);
+
+	const result = await showModal("// import shared plan", content, [
+		{ label: "cancel", value: null },
+		{ label: "add as scenario", value: "add", primary: true },
+	]);
+	if (result !== "add") return;
+
+	let plan;
+	try {
+		plan = decodeSharedPlan(input.value);
+	} catch (error) {
+		showToast(error.message, "error");
+		return;
+	}
+	if (plan.term !== activeTerm) {
+		showToast(
+			`This plan is for ${getTermName(plan.term)}, switch to that term first`,
+			"error",
+		);
+		return;
+	}
+
+	runScenarioAction(async () => {
+		const { added } = await importSharedPlan(plan, nameInput.value);
+		showToast(
+			`Added ${plan.courses.length} course${plan.courses.length !== 1 ? "s" : ""} as a scenario (${added} new)`,
+			"success",
+		);
+	});
+}
+
+// Links from handleSharePlan open the weekly view with the code in the hash
+function openSharedPlanFromLink() {
+	if (!window.location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+	const code = window.location.hash.slice(SHARE_HASH_PREFIX.length);
+	history.replaceState(null, "", window.location.pathname);
+	openSharedPlanImport(code);
+}
+
 // ============ Event Listeners ============
 
 function setupEventListeners() {
 	btnAddBucket?.addEventListener("click", () => handleBucketCreate());
+	btnAddCourse?.addEventListener("click", () => openCourseEditor());
 	btnSidebarToggle?.addEventListener("click", toggleSidebar);
 	btnExportCalendar?.addEventListener("click", handleExportCalendar);
+	btnExportIcs?.addEventListener("click", handleExportIcs);
+	btnSharePlan?.addEventListener("click", handleSharePlan);
+	freeTimeMin?.addEventListener("change", handleFreeTimeMinChange);
+	btnFriendAdd?.addEventListener("click", () => friendFile?.click());
+	friendFile?.addEventListener("change", handleFriendFiles);
 	metadataDrawerClose?.addEventListener("click", closeCourseMetadataDrawer);
 	metadataDrawerBackdrop?.addEventListener("click", closeCourseMetadataDrawer);
+	busyBlockForm?.addEventListener("submit", handleBusyBlockSubmit);
+	btnBusyBlockCancel?.addEventListener("click", () => resetBusyBlockForm());
 
 	document
 		.querySelectorAll(
@@ -2188,10 +4477,54 @@ function setupEventListeners() {
 		deleteSelectedBuckets();
 	});
 
-	chrome.storage.onChanged.addListener((changes, namespace) => {
+	weeklyTermBadge?.addEventListener("change", handleTermChange);
+	scenarioSelect?.addEventListener("change", handleScenarioSwitch);
+	weekSelect?.addEventListener("change", handleWeekChange);
+	btnCompareScenarios?.addEventListener("click", toggleCompareView);
+	compareContainer?.querySelectorAll(".compare-layout-btn").forEach((button) => {
+		button.addEventListener("click", () => setCompareLayout(button.dataset.layout));
+	});
+	btnScenarioNew?.addEventListener("click", handleScenarioCreate);
+	btnScenarioDuplicate?.addEventListener("click", handleScenarioDuplicate);
+	btnScenarioRename?.addEventListener("click", handleScenarioRename);
+	btnScenarioDelete?.addEventListener("click", handleScenarioDelete);
+
+	chrome.storage.onChanged.addListener(async (changes, namespace) => {
+		if (namespace === "sync") {
+			if (changes[SYNC_META_KEY]) {
+				notifyRemoteSync(changes[SYNC_META_KEY].newValue);
+			}
+			return;
+		}
+		if (namespace !== "local") return;
+		const changed = getChangedStorageKeys(changes, activeTerm);
+		if (changed.has("syncState")) {
+			const { oldValue, newValue } = changes.syncState;
+			if (newValue?.conflict && !oldValue?.conflict) {
+				promptSyncConflict();
+			}
+		}
+		if (changed.has("activeTerm") || changed.has("knownTerms")) {
+			if (changed.has("activeTerm") && generatorState) {
+				generatorState = null;
+				renderGeneratorPanel();
+			}
+			await renderTermSwitcher();
+			clearCourseBlocks();
+			loadSchedule();
+			return;
+		}
 		if (
-			namespace === "local" &&
-			(changes.courses || changes.buckets || changes.plannerSelection || changes.professorRatings)
+			changed.has("courses") ||
+			changed.has("buckets") ||
+			changed.has("scenarios") ||
+			changed.has("professorRatings") ||
+			changed.has("scheduleConstraints") ||
+			changed.has("searchResults") ||
+			changed.has("termCalendar") ||
+			changed.has("settings") ||
+			changed.has("busyBlocks") ||
+			changed.has("friendSchedules")
 		) {
 			clearCourseBlocks();
 			loadSchedule();
@@ -2207,7 +4540,13 @@ function setupEventListeners() {
 	});
 
 	document.addEventListener("keydown", (event) => {
-		if (event.key === "Escape" && activeMetadataCourseId) {
+		const historyStep = getHistoryShortcut(event);
+		if (historyStep) {
+			event.preventDefault();
+			stepHistory(historyStep);
+			return;
+		}
+		if (event.key === "Escape" && (activeMetadataCourseId || isEditingCourse)) {
 			closeCourseMetadataDrawer();
 			return;
 		}
@@ -2217,10 +4556,103 @@ function setupEventListeners() {
 	});
 }
 
+// ============ Device Sync ============
+
+let isSyncPromptOpen = false;
+
+// The background worker pulls the new copy; its writes reload the schedule
+async function notifyRemoteSync(meta) {
+	try {
+		const [settings, status] = await Promise.all([
+			getSettings(),
+			getSyncStatus(),
+		]);
+		if (!settings.syncEnabled || !meta || meta.deviceId === status.deviceId) {
+			return;
+		}
+		if (meta.hash !== status.lastHash) {
+			showToast("Plan changed on another device, syncing", "info");
+		}
+	} catch (error) {
+		console.error("[Albert Enhancer] Failed to read sync status", error);
+	}
+}
+
+// Called without awaiting from init and the storage listener, so it reports
+// its own failures
+async function promptSyncConflict() {
+	if (isSyncPromptOpen) return;
+	isSyncPromptOpen = true;
+	try {
+		await resolveSyncConflict();
+	} catch (error) {
+		console.error("[Albert Enhancer] Sync conflict failed", error);
+		showToast(`Sync failed: ${error.message || "no response"}`, "error");
+	} finally {
+		isSyncPromptOpen = false;
+	}
+}
+
+async function resolveSyncConflict() {
+	const [settings, status] = await Promise.all([
+		getSettings(),
+		getSyncStatus(),
+	]);
+	if (!settings.syncEnabled || !status.conflict) return;
+
+	const savedAt = new Date(status.conflict.remoteUpdatedAt).toLocaleString(
+		"en-US",
+		{ month: "short", day: "numeric", hour: "numeric", minute: "2-digit" },
+	);
+	const resolve = await showModal(
+		"// sync conflict",
+		`This device and another one both changed the plan since the last sync (theirs was saved ${savedAt}). Keep which one? The other is replaced.`,
+		[
+			{ label: "decide later", value: null },
+			{ label: "use other device", value: "remote" },
+			{ label: "keep this device", value: "local", primary: true },
+		],
+	);
+	if (!resolve) return;
+
+	const response = await chrome.runtime.sendMessage({
+		type: "SYNC_NOW",
+		resolve,
+	});
+	if (response?.ok) {
+		showToast(
+			resolve === "local"
+				? "Kept this device's plan"
+				: "Plan synced from another device",
+			"success",
+		);
+	} else {
+		showToast(`Sync failed: ${response?.error || "no response"}`, "error");
+	}
+}
+
+// ============ Undo / Redo ============
+
+function stepHistory(step) {
+	return handleHistoryStep(step, showToast);
+}
+
 // ============ Utilities ============
 
+// For any text that ends up in innerHTML: names and course data can come
+// from backups, shared plans, friends' files and sync
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
 function clearCourseBlocks() {
-	const blocks = document.querySelectorAll(".course-block");
+	const blocks = document.querySelectorAll(
+		".course-block, .friend-block, .idle-gap-block",
+	);
 	blocks.forEach((block) => block.remove());
 }
 
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import { installChromeStorage } from "./helpers/chrome-storage.js";
+import {
+	getCourses,
+	getPlannerSelection,
+	getSnapshots,
+	initializeStorage,
+	mergeFetchedCourses,
+	saveCourse,
+	setPlannerSelection,
+	undo,
+} from "../src/course-storage.js";
+
+function course(id, classNumber, overrides = {}) {
+	return {
+		id,
+		courseCode: id.slice(0, -4),
+		section: id.slice(-3),
+		classNumber,
+		title: `Course ${id}`,
+		credits: 4,
+		components: [
+			{
+				type: "Lecture",
+				section: id.slice(-3),
+				days: ["Mon", "Wed"],
+				timeRange: {
+					start: { hours: 9, minutes: 30 },
+					end: { hours: 10, minutes: 45 },
+				},
+				meetings: [],
+				room: "WWH 101",
+				instructor: "Ada Lovelace",
+				isTBA: false,
+			},
+		],
+		bucket: null,
+		...overrides,
+	};
+}
+
+async function storedCourse(id) {
+	return (await getCourses()).find((item) => item.id === id);
+}
+
+describe("mergeFetchedCourses", () => {
+	beforeEach(async () => {
+		installChromeStorage();
+		await initializeStorage();
+		await mergeFetchedCourses([
+			course("CSCI-UA-101-001", "10001"),
+			course("MATH-UA-9-003", "10002"),
+		]);
+		await saveCourse({
+			...(await storedCourse("CSCI-UA-101-001")),
+			bucket: "required",
+			notes: "Take with Ada",
+			addedAt: 1000,
+		});
+	});
+
+	it("keeps id, bucket, notes and addedAt of a course matched by class number", async () => {
+		await setPlannerSelection(["CSCI-UA-101-001"]);
+		const diff = await mergeFetchedCourses([
+			course("CSCI-UA-101-RENAMED", "10001", { title: "Intro to CS" }),
+			course("MATH-UA-9-003", "10002"),
+		]);
+
+		const kept = await storedCourse("CSCI-UA-101-001");
+		assert.equal(kept.title, "Intro to CS");
+		assert.equal(kept.bucket, "required");
+		assert.equal(kept.notes, "Take with Ada");
+		assert.equal(kept.addedAt, 1000);
+		assert.equal(await storedCourse("CSCI-UA-101-RENAMED"), undefined);
+		assert.deepEqual(await getPlannerSelection(), ["CSCI-UA-101-001"]);
+		assert.equal(diff.unchanged, 2);
+	});
+
+	it("flags cart courses missing from the fetch instead of deleting them", async () => {
+		const diff = await mergeFetchedCourses([course("MATH-UA-9-003", "10002")]);
+
+		assert.deepEqual(
+			diff.removed.map((item) => item.id),
+			["CSCI-UA-101-001"],
+		);
+		const dropped = await storedCourse("CSCI-UA-101-001");
+		assert.equal(dropped.droppedFromCart, true);
+		assert.equal(dropped.bucket, "required");
+	});
+
+	it("reports a dropped course only once and clears the flag when it returns", async () => {
+		await mergeFetchedCourses([course("MATH-UA-9-003", "10002")]);
+		const again = await mergeFetchedCourses([course("MATH-UA-9-003", "10002")]);
+		assert.deepEqual(again.removed, []);
+
+		const back = await mergeFetchedCourses([
+			course("CSCI-UA-101-001", "10001"),
+			course("MATH-UA-9-003", "10002"),
+		]);
+		assert.deepEqual(
+			back.added.map((item) => item.id),
+			["CSCI-UA-101-001"],
+		);
+		const returned = await storedCourse("CSCI-UA-101-001");
+		assert.ok(!("droppedFromCart" in returned));
+		assert.equal(returned.notes, "Take with Ada");
+	});
+
+	it("leaves search and manual courses alone", async () => {
+		await saveCourse(course("ECON-UA-1-001", "", { source: "search" }));
+		await saveCourse(course("ART-UA-5-001", "", { source: "manual" }));
+
+		const diff = await mergeFetchedCourses([
+			course("CSCI-UA-101-001", "10001"),
+			course("MATH-UA-9-003", "10002"),
+		]);
+
+		assert.deepEqual(diff.removed, []);
+		for (const id of ["ECON-UA-1-001", "ART-UA-5-001"]) {
+			const kept = await storedCourse(id);
+			assert.ok(kept, id);
+			assert.ok(!("droppedFromCart" in kept), id);
+		}
+	});
+
+	it("lists meeting changes", async () => {
+		const moved = course("MATH-UA-9-003", "10002");
+		moved.components[0].room = "SILV 206";
+		moved.components[0].instructor = "Emmy Noether";
+
+		const diff = await mergeFetchedCourses([
+			course("CSCI-UA-101-001", "10001"),
+			moved,
+		]);
+
+		assert.equal(diff.changed.length, 1);
+		assert.deepEqual(
+			diff.changed[0].changes.map((change) => [
+				change.field,
+				change.before,
+				change.after,
+			]),
+			[
+				["room", "WWH 101", "SILV 206"],
+				["instructor", "Ada Lovelace", "Emmy Noether"],
+			],
+		);
+	});
+
+	it("saves a restore point first and undoes as one step", async () => {
+		await mergeFetchedCourses([course("MATH-UA-9-003", "10002")]);
+
+		assert.equal((await getSnapshots())[0].reason, "Before fetch");
+		assert.equal(await undo(), "Fetch from Albert");
+		assert.ok(!("droppedFromCart" in (await storedCourse("CSCI-UA-101-001"))));
+	});
+});
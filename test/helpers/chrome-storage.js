@@ -0,0 +1,73 @@
+// In-memory stand-in for chrome.storage.local, enough for course-storage.js.
+// Values are cloned on the way in and out, like the real storage serializes
+// them.
+
+// Roughly how chrome counts bytes in use: key plus JSON value
+function sizeOf(store) {
+	let bytes = 0;
+	for (const [key, value] of store) {
+		bytes += key.length + JSON.stringify(value).length;
+	}
+	return bytes;
+}
+
+/**
+ * Install a fresh chrome.storage.local on globalThis.chrome
+ * @param {object} [initial] - Storage contents to start with
+ * @param {{ quotaBytes?: number }} [options] - Writes that would go over
+ *   quotaBytes fail the way chrome's do, and change nothing
+ * @returns {Map<string, *>} The backing store, for inspecting writes
+ */
+export function installChromeStorage(initial = {}, options = {}) {
+	const { quotaBytes = Infinity } = options;
+	const store = new Map(Object.entries(structuredClone(initial)));
+
+	const pick = (keys) => {
+		if (keys === null || keys === undefined) {
+			return Object.fromEntries(store);
+		}
+		if (typeof keys === "string") keys = [keys];
+		const defaults = Array.isArray(keys) ? {} : keys;
+		const names = Array.isArray(keys) ? keys : Object.keys(keys);
+		const result = {};
+		for (const key of names) {
+			if (store.has(key)) {
+				result[key] = store.get(key);
+			} else if (key in defaults) {
+				result[key] = defaults[key];
+			}
+		}
+		return result;
+	};
+
+	globalThis.chrome = {
+		storage: {
+			local: {
+				async get(keys) {
+					return structuredClone(pick(keys));
+				},
+				async set(values) {
+					const next = new Map(store);
+					for (const [key, value] of Object.entries(structuredClone(values))) {
+						next.set(key, value);
+					}
+					if (sizeOf(next) > quotaBytes) {
+						throw new Error("QUOTA_BYTES quota exceeded");
+					}
+					for (const [key, value] of next) {
+						store.set(key, value);
+					}
+				},
+				async remove(keys) {
+					for (const key of typeof keys === "string" ? [keys] : keys) {
+						store.delete(key);
+					}
+				},
+				async clear() {
+					store.clear();
+				},
+			},
+		},
+	};
+	return store;
+}
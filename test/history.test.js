@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import { installChromeStorage } from "./helpers/chrome-storage.js";
+import {
+	batchHistory,
+	getCourses,
+	initializeStorage,
+	redo,
+	removeCourse,
+	saveCourse,
+	undo,
+} from "../src/course-storage.js";
+import { HISTORY_LIMIT } from "../src/utils/constants.js";
+import {
+	getHistoryShortcut,
+	handleHistoryStep,
+} from "../src/utils/history-shortcuts.js";
+
+function course(id) {
+	return {
+		id,
+		courseCode: id.slice(0, -4),
+		section: id.slice(-3),
+		title: `Course ${id}`,
+		credits: 4,
+		components: [],
+		bucket: null,
+	};
+}
+
+async function courseIds() {
+	return (await getCourses()).map((item) => item.id);
+}
+
+describe("undo / redo", () => {
+	beforeEach(async () => {
+		installChromeStorage();
+		await initializeStorage();
+	});
+
+	it("reverts and reapplies a change", async () => {
+		await saveCourse(course("A-UA-001"));
+		await saveCourse(course("B-UA-001"));
+
+		assert.equal(await undo(), "Add course");
+		assert.deepEqual(await courseIds(), ["A-UA-001"]);
+		assert.equal(await redo(), "Add course");
+		assert.deepEqual(await courseIds(), ["A-UA-001", "B-UA-001"]);
+	});
+
+	it("returns null when there is nothing to step through", async () => {
+		assert.equal(await undo(), null);
+		assert.equal(await redo(), null);
+	});
+
+	it("drops undone steps once a new change is made", async () => {
+		await saveCourse(course("A-UA-001"));
+		await undo();
+		await saveCourse(course("B-UA-001"));
+
+		assert.equal(await redo(), null);
+		assert.deepEqual(await courseIds(), ["B-UA-001"]);
+	});
+
+	it("records a batch as one step", async () => {
+		await batchHistory("Add two", async () => {
+			await saveCourse(course("A-UA-001"));
+			await saveCourse(course("B-UA-001"));
+		});
+
+		assert.equal(await undo(), "Add two");
+		assert.deepEqual(await courseIds(), []);
+		assert.equal(await undo(), null);
+	});
+
+	it("skips a batch that changes nothing in the end", async () => {
+		await batchHistory("Add and remove", async () => {
+			await saveCourse(course("A-UA-001"));
+			await removeCourse("A-UA-001");
+		});
+
+		assert.equal(await undo(), null);
+	});
+
+	it(`keeps the last ${HISTORY_LIMIT} steps`, async () => {
+		for (let index = 0; index <= HISTORY_LIMIT; index += 1) {
+			await saveCourse(course(`C-UA-${String(index).padStart(3, "0")}`));
+		}
+
+		let steps = 0;
+		while (await undo()) steps += 1;
+		assert.equal(steps, HISTORY_LIMIT);
+		assert.deepEqual(await courseIds(), ["C-UA-000"]);
+	});
+});
+
+describe("handleHistoryStep", () => {
+	beforeEach(async () => {
+		installChromeStorage();
+		await initializeStorage();
+	});
+
+	it("reports the step it took", async () => {
+		await saveCourse(course("A-UA-001"));
+		const messages = [];
+		const notify = (message, type) => messages.push([message, type]);
+
+		await handleHistoryStep("undo", notify);
+		await handleHistoryStep("redo", notify);
+		await handleHistoryStep("redo", notify);
+
+		assert.deepEqual(messages, [
+			["Undid: Add course", "info"],
+			["Redid: Add course", "info"],
+			["Nothing to redo", "info"],
+		]);
+	});
+});
+
+describe("getHistoryShortcut", () => {
+	// Only consulted for the focus check
+	globalThis.HTMLElement ??= class {};
+	const key = (init) => ({ target: null, ...init });
+
+	it("maps Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y", () => {
+		assert.equal(getHistoryShortcut(key({ ctrlKey: true, key: "z" })), "undo");
+		assert.equal(getHistoryShortcut(key({ metaKey: true, key: "z" })), "undo");
+		assert.equal(
+			getHistoryShortcut(key({ metaKey: true, shiftKey: true, key: "Z" })),
+			"redo",
+		);
+		assert.equal(getHistoryShortcut(key({ ctrlKey: true, key: "y" })), "redo");
+	});
+
+	it("ignores other keys and modifiers", () => {
+		assert.equal(getHistoryShortcut(key({ key: "z" })), null);
+		assert.equal(
+			getHistoryShortcut(key({ ctrlKey: true, altKey: true, key: "z" })),
+			null,
+		);
+		assert.equal(
+			getHistoryShortcut(key({ ctrlKey: true, shiftKey: true, key: "y" })),
+			null,
+		);
+		assert.equal(getHistoryShortcut(key({ ctrlKey: true, key: "x" })), null);
+	});
+
+	it("leaves text fields their own undo", () => {
+		const input = Object.assign(new HTMLElement(), { tagName: "INPUT" });
+		const editable = Object.assign(new HTMLElement(), {
+			tagName: "DIV",
+			isContentEditable: true,
+		});
+		for (const target of [input, editable]) {
+			assert.equal(
+				getHistoryShortcut({ ctrlKey: true, key: "z", target }),
+				null,
+			);
+		}
+	});
+});
@@ -0,0 +1,254 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import { installChromeStorage } from "./helpers/chrome-storage.js";
+import {
+	exportData,
+	getCourses,
+	getProfessorRatings,
+	getScenarios,
+	getSnapshots,
+	importData,
+	initializeStorage,
+	previewImport,
+	redo,
+	restoreSnapshot,
+	saveCourse,
+	setPlannerSelection,
+	setProfessorRating,
+	undo,
+} from "../src/course-storage.js";
+
+function course(id, overrides = {}) {
+	return {
+		id,
+		courseCode: id.slice(0, -4),
+		section: id.slice(-3),
+		title: `Course ${id}`,
+		credits: 4,
+		components: [],
+		bucket: null,
+		...overrides,
+	};
+}
+
+async function courseIds() {
+	return (await getCourses()).map((item) => item.id);
+}
+
+async function scenarioItems() {
+	return (await getScenarios()).items.map(({ name, courseIds }) => [
+		name,
+		courseIds,
+	]);
+}
+
+// Plans the courses on a fresh device: all of them go into Plan A unless
+// plan says otherwise
+async function planCourses(courses, plan = courses.map((item) => item.id)) {
+	for (const item of courses) await saveCourse(item);
+	await setPlannerSelection(plan);
+}
+
+// A backup of another device that planned the given courses
+async function backupWith(courses, plan) {
+	installChromeStorage();
+	await initializeStorage();
+	await planCourses(courses, plan);
+	return exportData();
+}
+
+async function onThisDevice(courses, plan) {
+	installChromeStorage();
+	await initializeStorage();
+	await planCourses(courses, plan);
+}
+
+describe("previewImport", () => {
+	it("lists added, removed and conflicting courses without writing", async () => {
+		const backup = await backupWith([
+			course("A-UA-001", { title: "Renamed" }),
+			course("B-UA-001"),
+			course("C-UA-001"),
+		]);
+		await onThisDevice([course("A-UA-001"), course("B-UA-001"), course("D-UA-001")]);
+		const before = await exportData();
+
+		const [diff] = await previewImport(backup);
+
+		assert.equal(diff.term, "1268");
+		assert.deepEqual(
+			diff.added.map((item) => item.id),
+			["C-UA-001"],
+		);
+		assert.deepEqual(
+			diff.removed.map((item) => item.id),
+			["D-UA-001"],
+		);
+		assert.deepEqual(
+			diff.conflicts.map(({ id, changes }) => [id, changes]),
+			[
+				[
+					"A-UA-001",
+					[{ field: "title", before: "Course A-UA-001", after: "Renamed" }],
+				],
+			],
+		);
+		assert.equal(diff.unchanged, 1);
+		assert.deepEqual((await exportData()).data, before.data);
+	});
+
+	it("returns nothing when the backup matches", async () => {
+		await onThisDevice([course("A-UA-001")]);
+		assert.deepEqual(await previewImport(await exportData()), []);
+	});
+
+	it("rejects invalid backups", async () => {
+		await onThisDevice([]);
+		await assert.rejects(previewImport(null), /Invalid backup format/);
+	});
+});
+
+describe("importData in merge mode", () => {
+	let backup;
+
+	beforeEach(async () => {
+		backup = await backupWith([
+			course("A-UA-001", { title: "Theirs" }),
+			course("C-UA-001"),
+		]);
+		await onThisDevice([course("A-UA-001"), course("B-UA-001")]);
+	});
+
+	it("adds what only the backup has and keeps the rest", async () => {
+		await importData(backup, { mode: "merge" });
+
+		assert.deepEqual(await courseIds(), ["A-UA-001", "B-UA-001", "C-UA-001"]);
+		const [kept] = await getCourses();
+		assert.equal(kept.title, "Course A-UA-001");
+	});
+
+	it("takes the backup's copy of a conflicting course when resolved so", async () => {
+		await importData(backup, {
+			mode: "merge",
+			resolutions: { 1268: { "A-UA-001": "incoming" } },
+		});
+
+		const [taken] = await getCourses();
+		assert.equal(taken.title, "Theirs");
+	});
+
+	it("brings in a colliding scenario as a renamed copy", async () => {
+		await importData(backup, { mode: "merge" });
+
+		const scenarios = await getScenarios();
+		assert.equal(scenarios.activeId, "plan-a");
+		assert.deepEqual(await scenarioItems(), [
+			["Plan A", ["A-UA-001", "B-UA-001"]],
+			["Plan A (imported)", ["A-UA-001", "C-UA-001"]],
+		]);
+		assert.notEqual(scenarios.items[1].id, "plan-a");
+	});
+
+	it("numbers further renamed copies", async () => {
+		const other = await backupWith([course("D-UA-001")]);
+		await onThisDevice([course("A-UA-001"), course("B-UA-001")]);
+		await importData(backup, { mode: "merge" });
+
+		await importData(other, { mode: "merge" });
+
+		assert.deepEqual(
+			(await scenarioItems()).map(([name]) => name),
+			["Plan A", "Plan A (imported)", "Plan A (imported 2)"],
+		);
+	});
+
+	it("doesn't copy a scenario twice when the same file is imported again", async () => {
+		await importData(backup, { mode: "merge" });
+		await importData(backup, { mode: "merge" });
+
+		assert.equal((await getScenarios()).items.length, 2);
+	});
+
+	it("keeps this device's professor ratings over the backup's", async () => {
+		installChromeStorage();
+		await initializeStorage();
+		await setProfessorRating("Ada Lovelace", 2);
+		await setProfessorRating("Emmy Noether", 5);
+		const rated = await exportData();
+		await onThisDevice([]);
+		await setProfessorRating("Ada Lovelace", 4);
+
+		await importData(rated, { mode: "merge" });
+
+		assert.deepEqual(await getProfessorRatings(), {
+			"Ada Lovelace": 4,
+			"Emmy Noether": 5,
+		});
+	});
+
+	it("saves a restore point and undoes as one step", async () => {
+		await importData(backup, { mode: "merge" });
+
+		assert.equal((await getSnapshots())[0].reason, "Before import");
+		assert.equal(await undo(), "Import backup");
+		assert.deepEqual(await courseIds(), ["A-UA-001", "B-UA-001"]);
+		assert.equal((await getScenarios()).items.length, 1);
+	});
+});
+
+describe("importData in replace mode", () => {
+	let backup;
+
+	beforeEach(async () => {
+		backup = await backupWith([course("B-UA-001")]);
+		await onThisDevice([course("A-UA-001")]);
+	});
+
+	it("swaps courses and scenarios for the backup's", async () => {
+		await importData(backup, { mode: "replace" });
+
+		assert.deepEqual(await courseIds(), ["B-UA-001"]);
+		assert.deepEqual(await scenarioItems(), [["Plan A", ["B-UA-001"]]]);
+		assert.equal((await getSnapshots())[0].reason, "Before import");
+	});
+
+	it("leaves data alone when the backup is invalid", async () => {
+		await assert.rejects(
+			importData({ version: 1, data: { "1268:courses": "nope" } }),
+			/courses must be an array/,
+		);
+		await assert.rejects(importData(backup, { mode: "append" }), /Unknown import mode/);
+		assert.deepEqual(await courseIds(), ["A-UA-001"]);
+	});
+
+	it("clears undo and redo, so undo can't mix in the replaced data", async () => {
+		await saveCourse(course("A-UA-002"));
+		await undo();
+
+		await importData(backup, { mode: "replace" });
+
+		assert.equal(await undo(), null);
+		assert.equal(await redo(), null);
+		assert.deepEqual(await courseIds(), ["B-UA-001"]);
+	});
+
+	it("records changes after the replace as new undo steps", async () => {
+		await importData(backup, { mode: "replace" });
+		await saveCourse(course("B-UA-002"));
+
+		assert.equal(await undo(), "Add course");
+		assert.deepEqual(await courseIds(), ["B-UA-001"]);
+		assert.equal(await undo(), null);
+	});
+
+	it("clears undo on a snapshot restore too", async () => {
+		await importData(backup, { mode: "replace" });
+		const [beforeImport] = await getSnapshots();
+
+		await restoreSnapshot(beforeImport.id);
+
+		assert.deepEqual(await courseIds(), ["A-UA-001"]);
+		assert.equal(await undo(), null);
+	});
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+	BASE_SCHEMA_VERSION,
+	migrateStorageData,
+	SCHEMA_VERSION,
+} from "../src/utils/migrations.js";
+
+// Storage as the extension wrote it before terms and scenarios existed
+const v1Storage = {
+	activeTerm: "1264",
+	courses: [
+		{ id: "CSCI-UA-101-001", courseCode: "CSCI-UA 101", bucket: "required" },
+		{ id: "MATH-UA-9-003", courseCode: "MATH-UA 9", bucket: null },
+	],
+	buckets: [{ id: "required", name: "Required", priority: 1 }],
+	plannerSelection: ["CSCI-UA-101-001"],
+	professorRatings: { "Ada Lovelace": 5 },
+	settings: { showWeekends: false },
+};
+
+describe("migrateStorageData", () => {
+	it("moves v1 planner data under the active term", () => {
+		const migrated = migrateStorageData(v1Storage, 1);
+
+		assert.deepEqual(migrated["1264:courses"], v1Storage.courses);
+		assert.deepEqual(migrated["1264:buckets"], v1Storage.buckets);
+		assert.deepEqual(
+			migrated["1264:professorRatings"],
+			v1Storage.professorRatings,
+		);
+		for (const key of [
+			"courses",
+			"buckets",
+			"plannerSelection",
+			"professorRatings",
+		]) {
+			assert.ok(!(key in migrated), `${key} is left unscoped`);
+		}
+	});
+
+	it("turns the v1 planner selection into the first scenario", () => {
+		const migrated = migrateStorageData(v1Storage, 1);
+
+		assert.deepEqual(migrated["1264:scenarios"], {
+			activeId: "plan-a",
+			items: [{ id: "plan-a", name: "Plan A", courseIds: ["CSCI-UA-101-001"] }],
+		});
+		assert.ok(!("1264:plannerSelection" in migrated));
+	});
+
+	it("keeps global keys and sets the schema version", () => {
+		const migrated = migrateStorageData(v1Storage, 1);
+
+		assert.equal(migrated.activeTerm, "1264");
+		assert.deepEqual(migrated.settings, v1Storage.settings);
+		assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+	});
+
+	it("leaves its input unchanged", () => {
+		const copy = structuredClone(v1Storage);
+		migrateStorageData(v1Storage, 1);
+		assert.deepEqual(v1Storage, copy);
+	});
+
+	it("treats unversioned data as version 1", () => {
+		assert.equal(BASE_SCHEMA_VERSION, 1);
+		assert.deepEqual(migrateStorageData(v1Storage), migrateStorageData(v1Storage, 1));
+	});
+
+	it("files v1 data without a valid active term under Fall 2026", () => {
+		const { activeTerm, ...withoutTerm } = v1Storage;
+		const migrated = migrateStorageData(withoutTerm, 1);
+		assert.deepEqual(migrated["1268:courses"], v1Storage.courses);
+
+		const badTerm = migrateStorageData({ ...v1Storage, activeTerm: "fall" }, 1);
+		assert.deepEqual(badTerm["1268:courses"], v1Storage.courses);
+	});
+
+	it("doesn't overwrite term data that already exists", () => {
+		const existing = [{ id: "OLD-1", courseCode: "OLD 1" }];
+		const migrated = migrateStorageData(
+			{ ...v1Storage, "1264:courses": existing },
+			1,
+		);
+		assert.deepEqual(migrated["1264:courses"], existing);
+		assert.ok(!("courses" in migrated));
+	});
+
+	it("upgrades v2 selections of every term and keeps existing scenarios", () => {
+		const scenarios = {
+			activeId: "scenario-1",
+			items: [{ id: "scenario-1", name: "Mine", courseIds: [] }],
+		};
+		const migrated = migrateStorageData(
+			{
+				"1264:plannerSelection": ["A"],
+				"1268:plannerSelection": ["B"],
+				"1268:scenarios": scenarios,
+			},
+			2,
+		);
+
+		assert.deepEqual(migrated["1264:scenarios"].items[0].courseIds, ["A"]);
+		assert.deepEqual(migrated["1268:scenarios"], scenarios);
+		assert.ok(!("1264:plannerSelection" in migrated));
+		assert.ok(!("1268:plannerSelection" in migrated));
+	});
+
+	it("leaves current data as it is", () => {
+		const current = { "1268:courses": [], schemaVersion: SCHEMA_VERSION };
+		assert.deepEqual(migrateStorageData(current, SCHEMA_VERSION), current);
+	});
+
+	it("rejects unknown and newer versions", () => {
+		assert.throws(() => migrateStorageData({}, 0), /Unknown schema version/);
+		assert.throws(() => migrateStorageData({}, 1.5), /Unknown schema version/);
+		assert.throws(
+			() => migrateStorageData({}, SCHEMA_VERSION + 1),
+			/newer version of the extension/,
+		);
+	});
+});
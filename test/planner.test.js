@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { generateScheduleCombinations } from "../src/planner.js";
+import { normalizeConstraints } from "../src/utils/schedule-constraints.js";
+
+const buckets = [
+	{ id: "required", name: "Required", priority: 1 },
+	{ id: "backup", name: "Backup", priority: 5 },
+];
+
+function course(id, courseCode, days, start, end, bucket = "required") {
+	return {
+		id,
+		courseCode,
+		section: id.slice(-3),
+		credits: 4,
+		bucket,
+		components: [
+			{
+				type: "Lecture",
+				days,
+				timeRange: {
+					start: { hours: start, minutes: 0 },
+					end: { hours: end, minutes: 0 },
+				},
+				meetings: [],
+				isTBA: false,
+			},
+		],
+	};
+}
+
+function pickedIds(result) {
+	return result.combinations.map((combination) =>
+		combination.courses.map((picked) => picked.id).sort().join("+"),
+	);
+}
+
+describe("generateScheduleCombinations", () => {
+	it("picks one section per course code and skips clashing ones", () => {
+		const result = generateScheduleCombinations(
+			[
+				course("A-001", "A", ["Mon"], 9, 10),
+				course("A-002", "A", ["Tue"], 9, 10),
+				course("B-001", "B", ["Mon"], 9, 10),
+			],
+			buckets,
+		);
+
+		assert.deepEqual(pickedIds(result).sort(), ["A-001", "A-002+B-001"].sort());
+		assert.equal(result.truncated, false);
+	});
+
+	it("ranks combinations with more required courses first", () => {
+		const result = generateScheduleCombinations(
+			[
+				course("A-001", "A", ["Mon"], 9, 10),
+				course("B-001", "B", ["Mon"], 9, 10, "backup"),
+				course("C-001", "C", ["Tue"], 9, 10),
+			],
+			buckets,
+		);
+
+		assert.equal(pickedIds(result)[0], "A-001+C-001");
+	});
+
+	it("plans around busy blocks", () => {
+		const result = generateScheduleCombinations(
+			[
+				course("A-001", "A", ["Mon"], 9, 10),
+				course("A-002", "A", ["Tue"], 9, 10),
+			],
+			buckets,
+			{
+				busyBlocks: [
+					{
+						id: "work",
+						name: "Work",
+						days: ["Mon"],
+						timeRange: {
+							start: { hours: 8, minutes: 0 },
+							end: { hours: 12, minutes: 0 },
+						},
+					},
+				],
+			},
+		);
+
+		assert.deepEqual(pickedIds(result), ["A-002"]);
+	});
+
+	it("rejects combinations that break a hard constraint", () => {
+		const constraints = normalizeConstraints({
+			earliestStart: {
+				enabled: true,
+				hard: true,
+				value: { hours: 10, minutes: 0 },
+			},
+		});
+		const result = generateScheduleCombinations(
+			[
+				course("A-001", "A", ["Mon"], 9, 10),
+				course("A-002", "A", ["Mon"], 11, 12),
+			],
+			buckets,
+			{ constraints },
+		);
+
+		assert.deepEqual(pickedIds(result), ["A-002"]);
+	});
+
+	it("falls back to smaller combinations when a hard max gap rejects the full one", () => {
+		const constraints = normalizeConstraints({
+			maxGap: { enabled: true, hard: true, value: 60 },
+		});
+		const result = generateScheduleCombinations(
+			[
+				course("A-001", "A", ["Mon"], 9, 10),
+				course("B-001", "B", ["Mon"], 14, 15),
+				course("C-001", "C", ["Mon"], 10, 11),
+			],
+			buckets,
+			{ constraints },
+		);
+
+		assert.deepEqual(pickedIds(result).sort(), ["A-001+C-001", "B-001"]);
+		for (const combination of result.combinations) {
+			assert.ok(combination.violations.every((violation) => !violation.hard));
+		}
+	});
+
+	it("keeps soft violations but ranks them lower", () => {
+		const constraints = normalizeConstraints({
+			earliestStart: {
+				enabled: true,
+				hard: false,
+				value: { hours: 10, minutes: 0 },
+			},
+		});
+		const result = generateScheduleCombinations(
+			[
+				course("A-001", "A", ["Mon"], 9, 10),
+				course("A-002", "A", ["Mon"], 11, 12),
+			],
+			buckets,
+			{ constraints },
+		);
+
+		assert.deepEqual(pickedIds(result), ["A-002", "A-001"]);
+		assert.equal(result.combinations[1].violations[0].id, "earliestStart");
+	});
+});
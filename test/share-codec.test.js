@@ -0,0 +1,207 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+	decodeSharedPlan,
+	encodeSharedPlan,
+} from "../src/utils/share-codec.js";
+
+const time = (hours, minutes) => ({ hours, minutes });
+
+const lecture = {
+	id: "CSCI-UA-101-001",
+	courseCode: "CSCI-UA 101",
+	section: "001",
+	classNumber: "12345",
+	title: "Intro to Computer Science",
+	credits: 4,
+	components: [
+		{
+			type: "Lecture",
+			section: "001",
+			days: ["Mon", "Wed"],
+			timeRange: { start: time(9, 30), end: time(10, 45) },
+			meetings: [],
+			dateRange: { start: "2026-09-02", end: "2026-12-14" },
+			session: null,
+			room: "WWH 101",
+			instructor: "Ada Lovelace",
+			isTBA: false,
+		},
+		{
+			type: "Recitation",
+			section: "002",
+			days: ["Fri"],
+			timeRange: { start: time(14, 0), end: time(15, 15) },
+			meetings: [],
+			dateRange: null,
+			session: null,
+			room: "TBA",
+			instructor: "TBA",
+			isTBA: false,
+		},
+	],
+	bucket: "required",
+};
+
+const halfTerm = {
+	id: "MATH-UA-9-003",
+	courseCode: "MATH-UA 9",
+	section: "003",
+	classNumber: "",
+	title: "Algebra",
+	credits: 2,
+	components: [
+		{
+			type: "Lecture",
+			section: "003",
+			days: ["Tue", "Thu"],
+			timeRange: { start: time(11, 0), end: time(12, 15) },
+			meetings: [
+				{
+					days: ["Tue", "Thu"],
+					timeRange: { start: time(11, 0), end: time(12, 15) },
+					room: "SILV 206",
+					dateRange: { start: "2026-09-02", end: "2026-10-20" },
+				},
+				{
+					days: ["Fri"],
+					timeRange: { start: time(8, 0), end: time(9, 0) },
+					room: "SILV 207",
+					dateRange: { start: "2026-09-02", end: "2026-10-20" },
+				},
+			],
+			dateRange: { start: "2026-09-02", end: "2026-10-20" },
+			session: "First Half",
+			room: "SILV 206",
+			instructor: "Emmy Noether",
+			isTBA: false,
+		},
+	],
+	bucket: null,
+};
+
+const plan = { term: "1268", name: "Plan A", courses: [lecture, halfTerm] };
+
+describe("encodeSharedPlan / decodeSharedPlan", () => {
+	it("round-trips term, name and course fields", () => {
+		const code = encodeSharedPlan(plan);
+		assert.match(code, /^fa1\.[A-Za-z0-9_-]+$/);
+
+		const decoded = decodeSharedPlan(code);
+		assert.equal(decoded.term, "1268");
+		assert.equal(decoded.name, "Plan A");
+		assert.equal(decoded.courses.length, 2);
+
+		const [course] = decoded.courses;
+		for (const field of [
+			"id",
+			"courseCode",
+			"section",
+			"classNumber",
+			"title",
+			"credits",
+		]) {
+			assert.equal(course[field], lecture[field], field);
+		}
+		assert.equal(course.bucket, null);
+	});
+
+	it("keeps meeting times, rooms, dates and instructors", () => {
+		const decoded = decodeSharedPlan(encodeSharedPlan(plan));
+		const [lectureComponent, recitation] = decoded.courses[0].components;
+
+		assert.deepEqual(lectureComponent.days, ["Mon", "Wed"]);
+		assert.deepEqual(lectureComponent.timeRange, lecture.components[0].timeRange);
+		assert.deepEqual(lectureComponent.dateRange, lecture.components[0].dateRange);
+		assert.equal(lectureComponent.room, "WWH 101");
+		assert.equal(lectureComponent.instructor, "Ada Lovelace");
+		assert.equal(lectureComponent.isTBA, false);
+
+		assert.equal(recitation.type, "Recitation");
+		assert.equal(recitation.section, "002");
+		assert.equal(recitation.room, "TBA");
+		assert.equal(recitation.instructor, "TBA");
+		assert.equal(recitation.dateRange, null);
+	});
+
+	it("keeps every meeting pattern of a multi-pattern section", () => {
+		const decoded = decodeSharedPlan(encodeSharedPlan(plan));
+		const [component] = decoded.courses[1].components;
+
+		assert.equal(component.session, "First Half");
+		assert.equal(component.meetings.length, 2);
+		assert.deepEqual(
+			component.meetings.map((meeting) => [meeting.days, meeting.room]),
+			[
+				[["Tue", "Thu"], "SILV 206"],
+				[["Fri"], "SILV 207"],
+			],
+		);
+		assert.deepEqual(component.meetings[1].timeRange, {
+			start: time(8, 0),
+			end: time(9, 0),
+		});
+	});
+
+	it("marks components without times as TBA", () => {
+		const tba = {
+			...lecture,
+			components: [
+				{ ...lecture.components[0], days: [], timeRange: null, isTBA: true },
+			],
+		};
+		const decoded = decodeSharedPlan(
+			encodeSharedPlan({ term: "1268", courses: [tba] }),
+		);
+		const [component] = decoded.courses[0].components;
+		assert.equal(component.timeRange, null);
+		assert.equal(component.isTBA, true);
+	});
+
+	it("finds the code in a link or a pasted message", () => {
+		const code = encodeSharedPlan(plan);
+		const link = `chrome-extension://abc/src/weekly-view.html#share=${code}`;
+
+		assert.deepEqual(decodeSharedPlan(link), decodeSharedPlan(code));
+		assert.deepEqual(
+			decodeSharedPlan(`here's my plan: ${code} see you there`),
+			decodeSharedPlan(code),
+		);
+	});
+
+	it("rejects text without a code", () => {
+		assert.throws(() => decodeSharedPlan("no code here"), /no plan code found/);
+		assert.throws(() => decodeSharedPlan(""), /no plan code found/);
+	});
+
+	it("rejects codes from a newer version", () => {
+		const code = encodeSharedPlan(plan).replace(/^fa1\./, "fa2.");
+		assert.throws(() => decodeSharedPlan(code), /newer version/);
+	});
+
+	it("rejects damaged codes", () => {
+		const code = encodeSharedPlan(plan);
+		assert.throws(
+			() => decodeSharedPlan(code.slice(0, code.length / 2)),
+			/Invalid share code/,
+		);
+	});
+
+	it("rejects unknown terms", () => {
+		const code = encodeSharedPlan({ ...plan, term: "2026" });
+		assert.throws(() => decodeSharedPlan(code), /unknown term/);
+	});
+
+	it("keeps course text with angle brackets as it is", () => {
+		const decoded = decodeSharedPlan(
+			encodeSharedPlan({
+				...plan,
+				name: "A > B",
+				courses: [{ ...lecture, title: "Calc <3" }],
+			}),
+		);
+		assert.equal(decoded.name, "A > B");
+		assert.equal(decoded.courses[0].title, "Calc <3");
+	});
+});
@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { installChromeStorage } from "./helpers/chrome-storage.js";
+import {
+	createDailySnapshot,
+	createSnapshot,
+	getCourses,
+	getSnapshots,
+	initializeStorage,
+	previewSnapshot,
+	removeCourse,
+	restoreSnapshot,
+	saveCourse,
+} from "../src/course-storage.js";
+import {
+	SNAPSHOT_INTERVAL_MS,
+	SNAPSHOT_LIMIT,
+	STORAGE_KEYS,
+} from "../src/utils/constants.js";
+
+function course(id, notes = "") {
+	return {
+		id,
+		courseCode: id.slice(0, -4),
+		section: id.slice(-3),
+		title: `Course ${id}`,
+		credits: 4,
+		components: [],
+		bucket: null,
+		notes,
+	};
+}
+
+async function courseIds() {
+	return (await getCourses()).map((item) => item.id);
+}
+
+// Snapshot ids come from Date.now, so every call gets its own millisecond
+let clock;
+
+async function setUp(options) {
+	clock = Date.UTC(2026, 8, 1);
+	mock.method(Date, "now", () => (clock += 1));
+	installChromeStorage({}, options);
+	await initializeStorage();
+}
+
+describe("snapshots", () => {
+	beforeEach(() => setUp());
+	afterEach(() => mock.restoreAll());
+
+	it("saves a restore point with its reason and course count", async () => {
+		await saveCourse(course("A-UA-001"));
+		const id = await createSnapshot("Manual");
+
+		const [snapshot] = await getSnapshots();
+		assert.equal(snapshot.id, id);
+		assert.equal(snapshot.reason, "Manual");
+		assert.equal(snapshot.courseCount, 1);
+	});
+
+	it("skips a restore point when nothing changed", async () => {
+		await saveCourse(course("A-UA-001"));
+		assert.ok(await createSnapshot("First"));
+		assert.equal(await createSnapshot("Second"), null);
+		assert.equal((await getSnapshots()).length, 1);
+	});
+
+	it("leaves the class search cache out", async () => {
+		await saveCourse(course("A-UA-001"));
+		await createSnapshot("First");
+		await chrome.storage.local.set({
+			[STORAGE_KEYS.SEARCH_RESULTS]: { 1268: [{ id: "X" }] },
+		});
+
+		assert.equal(await createSnapshot("Second"), null);
+		const [{ backup }] = (await chrome.storage.local.get(STORAGE_KEYS.SNAPSHOTS))[
+			STORAGE_KEYS.SNAPSHOTS
+		];
+		assert.ok(!(STORAGE_KEYS.SEARCH_RESULTS in backup.data));
+	});
+
+	it("lists them newest first", async () => {
+		await saveCourse(course("A-UA-001"));
+		await createSnapshot("Older");
+		await saveCourse(course("B-UA-001"));
+		await createSnapshot("Newer");
+
+		assert.deepEqual(
+			(await getSnapshots()).map((snapshot) => snapshot.reason),
+			["Newer", "Older"],
+		);
+	});
+
+	it(`keeps the newest ${SNAPSHOT_LIMIT}`, async () => {
+		for (let index = 0; index <= SNAPSHOT_LIMIT; index += 1) {
+			await saveCourse(course("A-UA-001", `edit ${index}`));
+			await createSnapshot(`Edit ${index}`);
+		}
+
+		const snapshots = await getSnapshots();
+		assert.equal(snapshots.length, SNAPSHOT_LIMIT);
+		assert.equal(snapshots[0].reason, `Edit ${SNAPSHOT_LIMIT}`);
+		assert.equal(snapshots.at(-1).reason, "Edit 1");
+	});
+
+	it("previews and restores a snapshot", async () => {
+		await saveCourse(course("A-UA-001"));
+		const id = await createSnapshot("Manual");
+		await removeCourse("A-UA-001");
+		await saveCourse(course("B-UA-001"));
+
+		const [diff] = await previewSnapshot(id);
+		assert.deepEqual(
+			diff.added.map((item) => item.id),
+			["A-UA-001"],
+		);
+		assert.deepEqual(
+			diff.removed.map((item) => item.id),
+			["B-UA-001"],
+		);
+
+		await restoreSnapshot(id);
+		assert.deepEqual(await courseIds(), ["A-UA-001"]);
+	});
+
+	it("saves the current data before restoring, so a restore can be undone", async () => {
+		await saveCourse(course("A-UA-001"));
+		const id = await createSnapshot("Manual");
+		await saveCourse(course("B-UA-001"));
+
+		await restoreSnapshot(id);
+		const [beforeRestore] = await getSnapshots();
+		assert.equal(beforeRestore.reason, "Before restore");
+
+		await restoreSnapshot(beforeRestore.id);
+		assert.deepEqual(await courseIds(), ["A-UA-001", "B-UA-001"]);
+	});
+
+	it("rejects unknown snapshot ids", async () => {
+		await assert.rejects(restoreSnapshot("snapshot-0"), /not found/);
+	});
+
+	it("takes the daily restore point at most once a day", async () => {
+		await saveCourse(course("A-UA-001"));
+		assert.ok(await createDailySnapshot());
+
+		await saveCourse(course("B-UA-001"));
+		assert.equal(await createDailySnapshot(), null);
+
+		clock += SNAPSHOT_INTERVAL_MS;
+		assert.ok(await createDailySnapshot());
+	});
+});
+
+describe("snapshots when storage is full", () => {
+	afterEach(() => mock.restoreAll());
+
+	it("drops the oldest restore points to make room for plan data", async () => {
+		await setUp({ quotaBytes: 6000 });
+		const notes = "n".repeat(1000);
+		await saveCourse(course("A-UA-001", notes));
+		await createSnapshot("Oldest");
+		await saveCourse(course("B-UA-001", notes));
+		await createSnapshot("Newest");
+
+		await saveCourse(course("C-UA-001", notes));
+
+		assert.deepEqual(await courseIds(), ["A-UA-001", "B-UA-001", "C-UA-001"]);
+		const reasons = (await getSnapshots()).map((snapshot) => snapshot.reason);
+		assert.ok(!reasons.includes("Oldest"));
+	});
+});
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+	decodePayload,
+	encodePayload,
+	hashPayload,
+	splitChunks,
+} from "../src/utils/sync-codec.js";
+
+const terms = {
+	1268: {
+		courses: [
+			{ id: "CSCI-UA-101-001", courseCode: "CSCI-UA 101", credits: 4 },
+			{ id: "MATH-UA-9-003", courseCode: "MATH-UA 9", credits: 2 },
+		],
+		buckets: [{ id: "required", name: "Required", priority: 1 }],
+		scenarios: {
+			activeId: "plan-a",
+			items: [{ id: "plan-a", name: "Plan A", courseIds: ["CSCI-UA-101-001"] }],
+		},
+		professorRatings: { "Ada Lovelace": 5 },
+	},
+};
+
+// Deterministic filler that deflate can't shrink much
+function noise(length) {
+	let seed = 1;
+	let text = "";
+	while (text.length < length) {
+		seed = (seed * 48271) % 2147483647;
+		text += seed.toString(36);
+	}
+	return text.slice(0, length);
+}
+
+describe("hashPayload", () => {
+	it("ignores object key order", () => {
+		const reordered = {
+			1268: {
+				professorRatings: { "Ada Lovelace": 5 },
+				scenarios: {
+					items: terms[1268].scenarios.items,
+					activeId: "plan-a",
+				},
+				buckets: terms[1268].buckets,
+				courses: terms[1268].courses,
+			},
+		};
+		assert.equal(hashPayload(reordered), hashPayload(terms));
+	});
+
+	it("ignores undefined properties", () => {
+		assert.equal(hashPayload({ a: 1, b: undefined }), hashPayload({ a: 1 }));
+	});
+
+	it("changes when a value or array order changes", () => {
+		const rated = structuredClone(terms);
+		rated[1268].professorRatings["Ada Lovelace"] = 4;
+		assert.notEqual(hashPayload(rated), hashPayload(terms));
+
+		const reversed = structuredClone(terms);
+		reversed[1268].courses.reverse();
+		assert.notEqual(hashPayload(reversed), hashPayload(terms));
+	});
+
+	it("is 8 hex digits", () => {
+		assert.match(hashPayload(terms), /^[0-9a-f]{8}$/);
+		assert.match(hashPayload(null), /^[0-9a-f]{8}$/);
+	});
+});
+
+describe("encodePayload / decodePayload", () => {
+	it("round-trips the synced data", async () => {
+		const encoded = await encodePayload(terms);
+		assert.match(encoded, /^[A-Za-z0-9+/]+=*$/);
+		assert.deepEqual(await decodePayload(encoded), terms);
+	});
+
+	it("compresses repetitive data", async () => {
+		const courses = Array.from({ length: 200 }, () => terms[1268].courses[0]);
+		const encoded = await encodePayload(courses);
+		assert.ok(encoded.length < JSON.stringify(courses).length / 10);
+	});
+});
+
+describe("splitChunks", () => {
+	it("keeps a short payload in one chunk", () => {
+		assert.deepEqual(splitChunks("abc", 10), ["abc"]);
+	});
+
+	it("returns no chunks for an empty payload", () => {
+		assert.deepEqual(splitChunks("", 10), []);
+	});
+
+	it("splits on exact chunk boundaries", () => {
+		assert.deepEqual(splitChunks("abcdef", 3), ["abc", "def"]);
+		assert.deepEqual(splitChunks("abcdefg", 3), ["abc", "def", "g"]);
+	});
+
+	it("round-trips a payload that spans several chunks", async () => {
+		const notes = noise(40 * 500);
+		const large = {
+			1268: {
+				...terms[1268],
+				courses: Array.from({ length: 40 }, (_, index) => ({
+					id: `COURSE-${index}`,
+					notes: notes.slice(index * 500, (index + 1) * 500),
+				})),
+			},
+		};
+		const encoded = await encodePayload(large);
+		const chunks = splitChunks(encoded, 7000);
+
+		assert.ok(chunks.length > 1);
+		assert.ok(chunks.every((chunk) => chunk.length <= 7000));
+		const decoded = await decodePayload(chunks.join(""));
+		assert.deepEqual(decoded, large);
+		assert.equal(hashPayload(decoded), hashPayload(large));
+	});
+});